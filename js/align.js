@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { getObjectBounds } from './utils.js';
+
+/*
+ * Align and distribute along one world axis using world bounding boxes (as overlap checks do),
+ * so objects of different sizes line up by their visible extents rather than their origins.
+ * Objects inside groups move in world space; their local position is adjusted to match.
+ */
+
+function getEdge(box, axis, edge) {
+    if (edge === 'min') return box.min[axis];
+    if (edge === 'max') return box.max[axis];
+    return (box.min[axis] + box.max[axis]) / 2;
+}
+
+// Shift an object along a world axis, whatever its parent's transform
+function moveAlongWorldAxis(object, axis, delta) {
+    if (Math.abs(delta) < 1e-9) return;
+    const world = object.getWorldPosition(new THREE.Vector3());
+    world[axis] += delta;
+    if (object.parent) object.parent.worldToLocal(world);
+    object.position.copy(world);
+    object.updateMatrixWorld(true);
+}
+
+/**
+ * Line up one edge (min, center, max) of every object along `axis` ('x', 'y' or 'z').
+ * - first: to the same edge of the first object (which stays put)
+ * - selection: to that edge of the bounds of all the objects
+ * - grid: each object to the grid line nearest its own edge, `gridSize` apart
+ * @returns {number} how many objects moved
+ */
+export function alignObjects(objects, { axis, edge = 'center', target = 'selection', gridSize = 1 }) {
+    if (objects.length === 0) return 0;
+    const boxes = objects.map((obj) => getObjectBounds(obj));
+
+    let reference = null;
+    if (target === 'first') {
+        reference = getEdge(boxes[0], axis, edge);
+    } else if (target === 'selection') {
+        const union = new THREE.Box3();
+        boxes.forEach((box) => union.union(box));
+        reference = getEdge(union, axis, edge);
+    }
+
+    let moved = 0;
+    objects.forEach((obj, index) => {
+        const current = getEdge(boxes[index], axis, edge);
+        const goal = reference !== null ? reference : Math.round(current / gridSize) * gridSize;
+        if (Math.abs(goal - current) < 1e-9) return;
+        moveAlongWorldAxis(obj, axis, goal - current);
+        moved++;
+    });
+    return moved;
+}
+
+/**
+ * Space objects evenly along `axis`; the two outermost (by center) stay where they are.
+ * - centers: equal distance between consecutive centers
+ * - gaps: equal empty space between consecutive bounding boxes
+ * @returns {number} how many objects moved (needs at least three objects)
+ */
+export function distributeObjects(objects, { axis, mode = 'centers' }) {
+    if (objects.length < 3) return 0;
+    const entries = objects
+        .map((object) => {
+            const box = getObjectBounds(object);
+            return { object, box, center: getEdge(box, axis, 'center') };
+        })
+        .sort((a, b) => a.center - b.center);
+
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const middle = entries.slice(1, -1);
+    let moved = 0;
+    const moveTo = (entry, goal, current) => {
+        if (Math.abs(goal - current) < 1e-9) return;
+        moveAlongWorldAxis(entry.object, axis, goal - current);
+        moved++;
+    };
+
+    if (mode === 'gaps') {
+        const sizes = entries.reduce((sum, { box }) => sum + (box.max[axis] - box.min[axis]), 0);
+        const gap = (last.box.max[axis] - first.box.min[axis] - sizes) / (entries.length - 1);
+        let cursor = first.box.max[axis] + gap;
+        middle.forEach((entry) => {
+            moveTo(entry, cursor, entry.box.min[axis]);
+            cursor += entry.box.max[axis] - entry.box.min[axis] + gap;
+        });
+    } else {
+        const step = (last.center - first.center) / (entries.length - 1);
+        middle.forEach((entry, index) => moveTo(entry, first.center + step * (index + 1), entry.center));
+    }
+    return moved;
+}
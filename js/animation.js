@@ -0,0 +1,405 @@
+import * as THREE from 'three';
+import { ANIMATION_INTERPOLATIONS } from './constants.js';
+import { getObjects } from './objects.js';
+
+/*
+ * Keyframe animation of object transforms and material color. An object's tracks live in
+ * userData.animation, one per property, each with one interpolation and its keys sorted by time
+ * (seconds):
+ *   { position: { interpolation: 'linear', keys: [{ time: 0, value: [0, 0.5, 0] }, ...] }, ... }
+ * Values are the local position, the rotation as a quaternion [x, y, z, w], the scale, and the
+ * material color as 0xRRGGBB. Each track maps onto one glTF sampler (STEP, LINEAR or
+ * CUBICSPLINE), so an exported animation plays back the same in other viewers.
+ *
+ * Tracks are replaced on every edit, never changed in place, so history states can keep
+ * references to them.
+ */
+
+export const ANIMATED_PROPERTIES = ['position', 'rotation', 'scale', 'color'];
+
+const VALUE_SIZES = { position: 3, rotation: 4, scale: 3, color: 3 }; // Colors are sampled as linear RGB
+const GLTF_PATHS = { position: 'position', rotation: 'quaternion', scale: 'scale' };
+const KEY_TIME_EPSILON = 1e-4; // Keys closer than this (seconds) share a time
+const MAX_KEYS_PER_TRACK = 10000;
+
+const tempColor = new THREE.Color();
+const sample = [];
+
+// Transforms animate on any object; color needs a material with a base color (lights have none)
+export function canAnimate(object, property) {
+    if (property === 'color') return !!(object.material && object.material.color);
+    return ANIMATED_PROPERTIES.includes(property);
+}
+
+function sanitizeValue(property, value) {
+    if (property === 'color') return Number.isInteger(value) && value >= 0 && value <= 0xffffff ? value : null;
+    const size = property === 'rotation' ? 4 : 3;
+    if (!Array.isArray(value) || value.length !== size || !value.every(Number.isFinite)) return null;
+    if (property !== 'rotation') return [...value];
+    const quaternion = new THREE.Quaternion().fromArray(value);
+    return quaternion.lengthSq() > 1e-12 ? quaternion.normalize().toArray() : null;
+}
+
+/**
+ * Valid tracks from saved or pasted data: unknown properties, bad values and keys sharing a time
+ * are dropped, and keys are sorted by time.
+ * @returns {Object|null} null when no track has a key
+ */
+export function sanitizeAnimation(data) {
+    if (!data || typeof data !== 'object') return null;
+    const result = {};
+    ANIMATED_PROPERTIES.forEach((property) => {
+        const track = data[property];
+        if (!track || typeof track !== 'object' || !Array.isArray(track.keys)) return;
+        const keys = [];
+        track.keys.slice(0, MAX_KEYS_PER_TRACK).forEach((key) => {
+            if (!key || typeof key !== 'object') return;
+            const time = Number(key.time);
+            const value = sanitizeValue(property, key.value);
+            if (!Number.isFinite(time) || time < 0 || value === null) return;
+            if (keys.some((other) => Math.abs(other.time - time) < KEY_TIME_EPSILON)) return;
+            keys.push({ time, value });
+        });
+        if (keys.length === 0) return;
+        keys.sort((a, b) => a.time - b.time);
+        result[property] = {
+            interpolation: ANIMATION_INTERPOLATIONS.includes(track.interpolation) ? track.interpolation : 'linear',
+            keys
+        };
+    });
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+export function getAnimation(object) {
+    return object.userData.animation || null;
+}
+
+function setAnimation(object, animation) {
+    if (Object.keys(animation).length > 0) object.userData.animation = animation;
+    else delete object.userData.animation;
+}
+
+function readValue(object, property) {
+    if (property === 'position') return object.position.toArray();
+    if (property === 'rotation') return object.quaternion.toArray();
+    if (property === 'scale') return object.scale.toArray();
+    return object.material.color.getHex();
+}
+
+/**
+ * Key the current value of each property at `time`, replacing any key already there. New tracks
+ * use `interpolation`; existing tracks keep theirs.
+ * @returns {boolean} whether any key was set
+ */
+export function setKeyframes(object, properties, time, interpolation = 'linear') {
+    const animation = { ...getAnimation(object) };
+    let changed = false;
+    properties.forEach((property) => {
+        if (!canAnimate(object, property)) return;
+        const track = animation[property];
+        const keys = track ? track.keys.filter((key) => Math.abs(key.time - time) >= KEY_TIME_EPSILON) : [];
+        keys.push({ time, value: readValue(object, property) });
+        keys.sort((a, b) => a.time - b.time);
+        animation[property] = { interpolation: track ? track.interpolation : interpolation, keys };
+        changed = true;
+    });
+    if (changed) setAnimation(object, animation);
+    return changed;
+}
+
+/**
+ * Remove the properties' keys within `tolerance` seconds of `time`; tracks left without keys go.
+ * @returns {boolean} whether any key was removed
+ */
+export function removeKeyframes(object, properties, time, tolerance = KEY_TIME_EPSILON) {
+    const animation = { ...getAnimation(object) };
+    let changed = false;
+    properties.forEach((property) => {
+        const track = animation[property];
+        if (!track) return;
+        const keys = track.keys.filter((key) => Math.abs(key.time - time) >= tolerance);
+        if (keys.length === track.keys.length) return;
+        if (keys.length > 0) animation[property] = { ...track, keys };
+        else delete animation[property];
+        changed = true;
+    });
+    if (changed) setAnimation(object, animation);
+    return changed;
+}
+
+// Change the interpolation of the properties' existing tracks; returns whether any changed
+export function setTrackInterpolation(object, properties, interpolation) {
+    if (!ANIMATION_INTERPOLATIONS.includes(interpolation)) return false;
+    const animation = { ...getAnimation(object) };
+    let changed = false;
+    properties.forEach((property) => {
+        const track = animation[property];
+        if (!track || track.interpolation === interpolation) return;
+        animation[property] = { ...track, interpolation };
+        changed = true;
+    });
+    if (changed) setAnimation(object, animation);
+    return changed;
+}
+
+// Key times on the object's tracks for the given properties, sorted, each once
+export function getKeyframeTimes(object, properties = ANIMATED_PROPERTIES) {
+    const animation = getAnimation(object);
+    if (!animation) return [];
+    const times = [];
+    properties.forEach((property) => {
+        if (!animation[property]) return;
+        animation[property].keys.forEach(({ time }) => {
+            if (!times.some((other) => Math.abs(other - time) < KEY_TIME_EPSILON)) times.push(time);
+        });
+    });
+    return times.sort((a, b) => a - b);
+}
+
+/**
+ * Slopes (per second) for bezier tracks: through the neighboring keys, but flat at the ends and at
+ * every peak or dip, component by component, so the curve eases in and out there instead of
+ * swinging past the keyed value ("auto-clamped" handles).
+ */
+function computeTangents(times, values, size) {
+    const tangents = new Array(values.length).fill(0);
+    for (let k = 1; k < times.length - 1; k++) {
+        for (let c = 0; c < size; c++) {
+            const previous = values[(k - 1) * size + c];
+            const current = values[k * size + c];
+            const next = values[(k + 1) * size + c];
+            if ((current - previous) * (next - current) <= 0) continue;
+            tangents[k * size + c] = (next - previous) / (times[k + 1] - times[k - 1]);
+        }
+    }
+    return tangents;
+}
+
+/**
+ * A track as flat arrays, as glTF stores it: quaternions flipped onto one hemisphere so rotations
+ * take the short way round, colors as linear RGB. Cached per track, since tracks never change.
+ */
+const flatTracks = new WeakMap();
+function getFlatTrack(property, track) {
+    if (flatTracks.has(track)) return flatTracks.get(track);
+    const size = VALUE_SIZES[property];
+    const times = track.keys.map((key) => key.time);
+    const values = [];
+    track.keys.forEach(({ value }, k) => {
+        if (property === 'color') {
+            values.push(...tempColor.setHex(value).toArray());
+        } else if (property === 'rotation' && k > 0) {
+            const offset = values.length - 4;
+            const dot = value.reduce((sum, component, c) => sum + component * values[offset + c], 0);
+            values.push(...(dot < 0 ? value.map((component) => -component) : value));
+        } else {
+            values.push(...value);
+        }
+    });
+    const flat = {
+        size,
+        times,
+        values,
+        tangents: track.interpolation === 'bezier' ? computeTangents(times, values, size) : null
+    };
+    flatTracks.set(track, flat);
+    return flat;
+}
+
+// Value of a flattened track at `time` into `out`; the nearest key holds outside the keyed range
+function sampleTrack(property, flat, interpolation, time, out) {
+    const { size, times, values, tangents } = flat;
+    const last = times.length - 1;
+    out.length = size;
+    const copyKey = (k) => {
+        for (let c = 0; c < size; c++) out[c] = values[k * size + c];
+    };
+    if (last === 0 || time <= times[0]) {
+        copyKey(0);
+        return;
+    }
+    if (time >= times[last]) {
+        copyKey(last);
+        return;
+    }
+
+    let k = 0;
+    let upper = last;
+    while (upper - k > 1) {
+        const middle = (k + upper) >> 1;
+        if (times[middle] <= time) k = middle;
+        else upper = middle;
+    }
+    if (interpolation === 'step') {
+        copyKey(k);
+        return;
+    }
+
+    const span = times[k + 1] - times[k];
+    const t = (time - times[k]) / span;
+    if (interpolation === 'linear' && property === 'rotation') {
+        THREE.Quaternion.slerpFlat(out, 0, values, k * size, values, (k + 1) * size, t);
+        return;
+    }
+
+    // Cubic Hermite basis, as glTF's CUBICSPLINE defines it
+    const t2 = t * t;
+    const t3 = t2 * t;
+    for (let c = 0; c < size; c++) {
+        const p0 = values[k * size + c];
+        const p1 = values[(k + 1) * size + c];
+        out[c] = interpolation === 'linear'
+            ? p0 + (p1 - p0) * t
+            : (2 * t3 - 3 * t2 + 1) * p0 + (t3 - 2 * t2 + t) * span * tangents[k * size + c]
+                + (-2 * t3 + 3 * t2) * p1 + (t3 - t2) * span * tangents[(k + 1) * size + c];
+    }
+    if (property === 'rotation') {
+        const length = Math.hypot(out[0], out[1], out[2], out[3]) || 1;
+        for (let c = 0; c < 4; c++) out[c] /= length;
+    }
+}
+
+/**
+ * Pose objects as their tracks say at `time` (seconds). Properties without a track keep their
+ * current value.
+ * @returns {Array<THREE.Object3D>} the objects that have tracks
+ */
+export function applyAnimationAt(objects, time) {
+    const animated = [];
+    objects.forEach((object) => {
+        const animation = getAnimation(object);
+        if (!animation) return;
+        animated.push(object);
+        ANIMATED_PROPERTIES.forEach((property) => {
+            const track = animation[property];
+            if (!track || !canAnimate(object, property)) return;
+            sampleTrack(property, getFlatTrack(property, track), track.interpolation, time, sample);
+            if (property === 'position') object.position.fromArray(sample);
+            else if (property === 'rotation') object.quaternion.fromArray(sample);
+            else if (property === 'scale') object.scale.fromArray(sample);
+            else object.material.color.setRGB(sample[0], sample[1], sample[2]);
+        });
+    });
+    return animated;
+}
+
+/**
+ * Sampler data for glTF: CUBICSPLINE stores an in-tangent, the value and an out-tangent per key.
+ * `extra` appends constant components to every value (a color's alpha).
+ */
+function toSamplerValues(flat, interpolation, extra = []) {
+    const { size, times, values, tangents } = flat;
+    const output = [];
+    const zeros = extra.map(() => 0);
+    for (let k = 0; k < times.length; k++) {
+        const value = [...values.slice(k * size, (k + 1) * size), ...extra];
+        if (interpolation === 'bezier') {
+            const tangent = [...tangents.slice(k * size, (k + 1) * size), ...zeros];
+            output.push(...tangent, ...value, ...tangent);
+        } else {
+            output.push(...value);
+        }
+    }
+    return output;
+}
+
+const SAMPLER_INTERPOLATIONS = { linear: 'LINEAR', step: 'STEP', bezier: 'CUBICSPLINE' };
+
+// GLTFExporter writes a CUBICSPLINE sampler for a track whose interpolant factory carries this flag
+function markCubicSpline(track) {
+    const createInterpolant = track.createInterpolant;
+    track.createInterpolant = function (result) {
+        return createInterpolant.call(this, result);
+    };
+    track.createInterpolant.isInterpolantFactoryMethodGLTFCubicSpline = true;
+}
+
+function isExported(node) {
+    for (let current = node; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Every track in the scene for GLTFExporter, targeting the export copies in `exportRoot` (found
+ * by object id). Transforms become one AnimationClip; material colors need KHR_animation_pointer,
+ * which the returned plugin writes into the same glTF animation.
+ * @returns {{ animations: Array<THREE.AnimationClip>, plugin: Function|null }}
+ */
+export function buildGLTFAnimation(exportRoot, name = 'Animation') {
+    const copies = new Map();
+    exportRoot.traverse((node) => {
+        if (node.userData.id) copies.set(node.userData.id, node);
+    });
+
+    const tracks = [];
+    const colorTracks = [];
+    getObjects().forEach((object) => {
+        const animation = getAnimation(object);
+        const copy = animation && copies.get(object.userData.id);
+        if (!copy || !isExported(copy)) return;
+        ANIMATED_PROPERTIES.forEach((property) => {
+            const track = animation[property];
+            if (!track || !canAnimate(copy, property)) return;
+            const flat = getFlatTrack(property, track);
+            if (property === 'color') {
+                colorTracks.push({
+                    material: copy.material,
+                    times: flat.times,
+                    values: toSamplerValues(flat, track.interpolation, [copy.material.opacity]),
+                    interpolation: SAMPLER_INTERPOLATIONS[track.interpolation]
+                });
+                return;
+            }
+            const TrackType = property === 'rotation' ? THREE.QuaternionKeyframeTrack : THREE.VectorKeyframeTrack;
+            const keyframeTrack = new TrackType(
+                `${copy.uuid}.${GLTF_PATHS[property]}`,
+                flat.times,
+                toSamplerValues(flat, track.interpolation),
+                track.interpolation === 'step' ? THREE.InterpolateDiscrete : THREE.InterpolateLinear
+            );
+            if (track.interpolation === 'bezier') markCubicSpline(keyframeTrack);
+            tracks.push(keyframeTrack);
+        });
+    });
+
+    const plugin = colorTracks.length === 0 ? null : (writer) => ({
+        afterParse: () => {
+            const json = writer.json;
+            if (!json.animations) json.animations = [];
+            let gltfAnimation = json.animations.find((entry) => entry.name === name);
+            if (!gltfAnimation) {
+                gltfAnimation = { name, samplers: [], channels: [] };
+                json.animations.push(gltfAnimation);
+            }
+            colorTracks.forEach(({ material, times, values, interpolation }) => {
+                const materialIndex = writer.cache.materials.get(material);
+                if (materialIndex === undefined) return;
+                gltfAnimation.samplers.push({
+                    input: writer.processAccessor(new THREE.BufferAttribute(new Float32Array(times), 1)),
+                    output: writer.processAccessor(new THREE.BufferAttribute(new Float32Array(values), 4)),
+                    interpolation
+                });
+                gltfAnimation.channels.push({
+                    sampler: gltfAnimation.samplers.length - 1,
+                    target: {
+                        path: 'pointer',
+                        extensions: {
+                            KHR_animation_pointer: { pointer: `/materials/${materialIndex}/pbrMetallicRoughness/baseColorFactor` }
+                        }
+                    }
+                });
+                writer.extensionsUsed.KHR_animation_pointer = true;
+            });
+            // Nothing could be written (e.g. every material was left out of the export)
+            if (gltfAnimation.channels.length === 0) json.animations.splice(json.animations.indexOf(gltfAnimation), 1);
+            if (json.animations.length === 0) delete json.animations;
+        }
+    });
+
+    return {
+        animations: tracks.length > 0 ? [new THREE.AnimationClip(name, -1, tracks)] : [],
+        plugin
+    };
+}
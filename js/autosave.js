@@ -0,0 +1,120 @@
+import { AUTOSAVE_CONFIG } from './constants.js';
+import { STORES, isStorageAvailable, getRecord, getAllRecords, putRecords, deleteRecords } from './storage.js';
+import { showNotification } from './persistence.js';
+import { generateUUID } from './utils.js';
+
+const AUTOSAVE_STORES = [STORES.AUTOSAVES, STORES.AUTOSAVE_DATA];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Crash recovery: keeps the current session's scene in IndexedDB.
+ * `markChanged()` (scene edits) saves shortly after the last change; `markDirty()` (camera,
+ * selection, snap settings) is picked up by the periodic save. Each session has one autosave
+ * record that is overwritten; older sessions are pruned by AUTOSAVE_CONFIG's retention policy.
+ *
+ * @param {Function} getSnapshot - returns `{ scene, editor }`: serializeScene() output and editor state
+ * @param {Function} getObjectCount - shown when offering to restore
+ */
+export function initAutosave({ getSnapshot, getObjectCount }) {
+    const sessionId = `${Date.now()}-${generateUUID()}`;
+    const enabled = isStorageAvailable();
+    let dirty = false;
+    let debounceTimer = null;
+    let saving = null; // Promise of the save in progress
+    let failureReported = false;
+
+    async function prune() {
+        const records = await getAllRecords(STORES.AUTOSAVES);
+        const cutoff = Date.now() - AUTOSAVE_CONFIG.maxAgeDays * DAY_MS;
+        const expired = records
+            .filter((record) => record.id !== sessionId)
+            .sort((a, b) => b.savedAt - a.savedAt)
+            // The current session counts toward the limit
+            .filter((record, index) => index >= AUTOSAVE_CONFIG.maxSessions - 1 || record.savedAt < cutoff);
+        for (const record of expired) {
+            await deleteRecords(AUTOSAVE_STORES, record.id);
+        }
+    }
+
+    async function write() {
+        dirty = false;
+        const { scene, editor } = getSnapshot();
+        const savedAt = Date.now();
+        await putRecords({
+            [STORES.AUTOSAVES]: { id: sessionId, savedAt, objectCount: getObjectCount() },
+            [STORES.AUTOSAVE_DATA]: { id: sessionId, scene, editor }
+        });
+        await prune();
+    }
+
+    // Save now if anything changed; overlapping calls wait for the running save and then save again
+    async function saveNow() {
+        if (!enabled) return;
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+        if (saving) await saving.catch(() => {});
+        if (!dirty) return;
+
+        saving = write();
+        try {
+            await saving;
+        } catch (error) {
+            dirty = true;
+            console.warn('Autosave failed:', error);
+            if (!failureReported) {
+                failureReported = true;
+                showNotification('Autosave failed: ' + (error && error.message ? error.message : error), 'error');
+            }
+        } finally {
+            saving = null;
+        }
+    }
+
+    function markChanged() {
+        dirty = true;
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(saveNow, AUTOSAVE_CONFIG.debounceMs);
+    }
+
+    function markDirty() {
+        dirty = true;
+    }
+
+    /**
+     * Most recent autosave from an earlier session, with its scene data.
+     * @returns {Promise<{ id: string, savedAt: number, objectCount: number, scene: Object, editor: Object }|null>}
+     */
+    async function getLastSession() {
+        if (!enabled) return null;
+        const records = await getAllRecords(STORES.AUTOSAVES);
+        const last = records
+            .filter((record) => record.id !== sessionId)
+            .sort((a, b) => b.savedAt - a.savedAt)[0];
+        if (!last) return null;
+        const data = await getRecord(STORES.AUTOSAVE_DATA, last.id);
+        return data ? { ...last, scene: data.scene, editor: data.editor } : null;
+    }
+
+    const interval = enabled ? setInterval(saveNow, AUTOSAVE_CONFIG.intervalMs) : null;
+    // Best effort when the tab is hidden or closed
+    const onPageHide = () => saveNow();
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') saveNow();
+    };
+    window.addEventListener('pagehide', onPageHide);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return {
+        markChanged,
+        markDirty,
+        saveNow,
+        getLastSession,
+        isEnabled: () => enabled,
+        dispose: () => {
+            clearTimeout(debounceTimer);
+            clearInterval(interval);
+            window.removeEventListener('pagehide', onPageHide);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        }
+    };
+}
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { WORKSPACE_BOUNDS } from './constants.js';
+import { getObjectBounds } from './utils.js';
 
 /**
  * Calculate optimal camera position with isometric-like view (35-45° angle)
@@ -135,11 +136,8 @@ export function frameObjects(objects, camera, margin = 0.2) {
     objects.forEach(obj => {
         if (obj && obj.visible) {
             try {
-                const objBox = new THREE.Box3().setFromObject(obj);
-                if (!objBox.isEmpty()) {
-                    boundingBox.expandByBox(objBox);
-                    hasValidObjects = true;
-                }
+                boundingBox.union(getObjectBounds(obj));
+                hasValidObjects = true;
             } catch (error) {
                 console.warn('Error calculating bounding box for object:', obj, error);
             }
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+import { getObjects, getRootObjects, getObjectSubtree, getUniqueName, updateRegistry, setObjectParent } from './objects.js';
+import { serializeObjects, createObjectsFromData } from './persistence.js';
+import { findNonOverlappingPosition, validatePosition, clampPosition } from './utils.js';
+
+/*
+ * Copy/paste of editor objects. The clipboard holds the scene file format (see serializeObjects),
+ * so copies travel between editor tabs as plain text and can be pasted into a text editor,
+ * and a scene file's contents can be pasted back as objects.
+ */
+
+// Last copied text, for when the system clipboard can't be read or written
+let localClipboard = null;
+
+export function serializeObjectsToText(roots) {
+    return JSON.stringify(serializeObjects(roots), null, 2);
+}
+
+/**
+ * Parse clipboard text as editor objects.
+ * @returns {Object|Array|null} scene data, or null if the text is not a scene document with objects
+ */
+export function parseClipboardText(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    try {
+        const data = JSON.parse(text);
+        const objects = Array.isArray(data) ? data : (data && typeof data === 'object' ? data.objects : null);
+        return Array.isArray(objects) && objects.length > 0 ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Copy event handler: writes straight to the event's clipboard, no permission needed
+export function writeClipboardEvent(event, text) {
+    localClipboard = text;
+    event.clipboardData.setData('text/plain', text);
+    event.preventDefault();
+}
+
+// For buttons, which get no clipboard event; the local copy is kept either way
+export async function writeClipboardText(text) {
+    localClipboard = text;
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.warn('System clipboard unavailable, copy kept in this tab:', error);
+        return false;
+    }
+}
+
+export async function readClipboardText() {
+    try {
+        return await navigator.clipboard.readText();
+    } catch (error) {
+        console.warn('System clipboard unavailable, pasting the last copy from this tab:', error);
+        return localClipboard;
+    }
+}
+
+/**
+ * Add new copies of the objects in scene data to the scene.
+ * Copies keep their layout relative to each other; as a whole they move aside (spiral search,
+ * see findNonOverlappingPosition) when they would overlap existing objects.
+ * @param {Object} [options.parent] - editable object to place the copies under (world transform kept)
+ * @returns {{ roots: THREE.Object3D[], skippedCount: number }}
+ */
+export function pasteObjects(scene, data, { gridSize = 1, parent = null } = {}) {
+    const { roots, skippedCount } = createObjectsFromData(data);
+    if (roots.length === 0) return { roots, skippedCount };
+
+    const taken = new Set(getObjects().map((obj) => obj.userData.name));
+    const copies = roots.flatMap(getObjectSubtree);
+    copies.forEach((obj) => {
+        obj.userData.name = getUniqueName(obj.userData.name, taken);
+        obj.name = obj.userData.name;
+        taken.add(obj.userData.name);
+    });
+
+    // Test the copies as one cluster so they shift together
+    const existing = getRootObjects();
+    if (existing.length > 0) {
+        const cluster = new THREE.Group();
+        roots.forEach((root) => cluster.add(root));
+        const offset = findNonOverlappingPosition(new THREE.Vector3(), cluster, existing, gridSize);
+        roots.forEach((root) => root.position.add(offset));
+    }
+    roots.forEach((root) => {
+        if (!validatePosition(root.position)) root.position.copy(clampPosition(root.position));
+        scene.add(root);
+    });
+
+    const count = getObjects().length;
+    updateRegistry(copies.map((object, index) => ({ object, index: count + index })), []);
+    if (parent) roots.forEach((root) => setObjectParent(root, parent, scene));
+    return { roots, skippedCount };
+}
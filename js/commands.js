@@ -0,0 +1,305 @@
+import { getObjects, getObjectSubtree, isObjectRegistered, updateRegistry } from './objects.js';
+import { serializeMaterial, applyMaterialData, getMaterialUV, setMaterialUV } from './materials.js';
+import { TEXTURE_SLOTS } from './textures.js';
+import { serializeLight, setLightProperty } from './lights.js';
+import { getSceneSettings, restoreSceneSettings } from './settings.js';
+import { disposeObject } from './utils.js';
+
+/*
+ * Undoable commands for the history (see history.js).
+ *
+ * Every command keeps references to the live objects, materials and geometries it touched and
+ * only the state of those, so undo/redo put back the very same instances and cost as much as
+ * the edit itself, however large the scene. Factories take the state captured before an edit
+ * and read the current state as "after"; they return null when the edit changed nothing.
+ */
+
+// --- Objects: transform, place in the hierarchy, registry membership ---
+
+/**
+ * Snapshot of each object's local transform, parent (with child index) and registry position.
+ * `parent` is null for objects outside the scene graph, `registryIndex` -1 for unregistered ones.
+ */
+export function captureObjectState(objects) {
+    const registryIndex = new Map(getObjects().map((obj, index) => [obj, index]));
+    return objects.map((object) => ({
+        object,
+        parent: object.parent,
+        index: object.parent ? object.parent.children.indexOf(object) : -1,
+        registryIndex: registryIndex.has(object) ? registryIndex.get(object) : -1,
+        position: object.position.clone(),
+        rotation: object.rotation.clone(),
+        scale: object.scale.clone()
+    }));
+}
+
+// The same objects taken out of the scene: roots are detached, descendants stay under them, none is registered
+function toRemovedState(states, roots) {
+    const rootSet = new Set(roots);
+    return states.map((state) => ({
+        ...state,
+        parent: rootSet.has(state.object) ? null : state.parent,
+        index: rootSet.has(state.object) ? -1 : state.index,
+        registryIndex: -1
+    }));
+}
+
+// State of objects that did not exist yet, e.g. a group before grouping
+export function captureRemovedState(objects) {
+    return toRemovedState(captureObjectState(objects), objects);
+}
+
+// Put objects back into captured states; also how play mode resets the simulation
+export function applyObjectState(states) {
+    const moved = states.filter((state) => state.object.parent !== state.parent);
+    moved.forEach(({ object }) => {
+        if (object.parent) object.parent.remove(object);
+    });
+
+    // Re-insert in ascending child order so every object lands at its recorded index
+    moved
+        .filter((state) => state.parent)
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ object, parent, index }) => {
+            parent.add(object);
+            const children = parent.children;
+            children.pop();
+            children.splice(Math.min(index, children.length), 0, object);
+        });
+
+    states.forEach(({ object, position, rotation, scale }) => {
+        object.position.copy(position);
+        object.rotation.copy(rotation);
+        object.scale.copy(scale);
+    });
+
+    const additions = states
+        .filter((state) => state.registryIndex >= 0)
+        .map((state) => ({ object: state.object, index: state.registryIndex }));
+    const removals = states.filter((state) => state.registryIndex < 0).map((state) => state.object);
+    // Pure transform changes leave the registry and hierarchy alone
+    if (moved.length > 0 || removals.length > 0 || additions.some(({ object }) => !isObjectRegistered(object))) {
+        updateRegistry(additions, removals);
+    }
+}
+
+function isSameObjectState(a, b) {
+    return a.parent === b.parent &&
+        (a.registryIndex >= 0) === (b.registryIndex >= 0) &&
+        a.position.equals(b.position) &&
+        a.rotation.equals(b.rotation) &&
+        a.scale.equals(b.scale);
+}
+
+/**
+ * Generic object command: `before` and `after` list the same objects in the same order.
+ * Objects left out of the scene by a state that drops out of the history are disposed.
+ */
+export function createObjectStateCommand(label, before, after) {
+    if (before.length === 0 || before.every((state, i) => isSameObjectState(state, after[i]))) return null;
+    return {
+        label,
+        undo: () => applyObjectState(before),
+        redo: () => applyObjectState(after),
+        discard: (applied) => {
+            (applied ? after : before)
+                .filter((state) => state.registryIndex < 0)
+                .forEach((state) => disposeObject(state.object));
+        }
+    };
+}
+
+// Objects whose transform, parent or registration changed since `before` was captured from them
+export function createObjectChangeCommand(label, before) {
+    return createObjectStateCommand(label, before, captureObjectState(before.map((state) => state.object)));
+}
+
+// Move/rotate/scale edits are object changes that only touch transforms
+export const createTransformCommand = createObjectChangeCommand;
+
+// Top-level objects (with their subtrees) that were just added to the scene
+export function createAddObjectsCommand(label, roots) {
+    const after = captureObjectState(roots.flatMap(getObjectSubtree));
+    return createObjectStateCommand(label, toRemovedState(after, roots), after);
+}
+
+// Removes top-level objects (with their subtrees) when executed; undo puts the same objects back
+export function createRemoveObjectsCommand(label, roots) {
+    const before = captureObjectState(roots.flatMap(getObjectSubtree));
+    return createObjectStateCommand(label, before, toRemovedState(before, roots));
+}
+
+// --- Materials ---
+
+// Editable material values plus the texture objects themselves, so undo needs no texture reload
+export function captureMaterialState(materials) {
+    return materials.map((material) => {
+        const { maps, uv, ...data } = serializeMaterial(material);
+        const textures = {};
+        TEXTURE_SLOTS.forEach((slot) => {
+            textures[slot] = material[slot] || null;
+        });
+        return { material, data, uv: structuredClone(getMaterialUV(material)), textures };
+    });
+}
+
+function applyMaterialState(states) {
+    states.forEach(({ material, data, uv, textures }) => {
+        TEXTURE_SLOTS.forEach((slot) => {
+            if (material[slot] === textures[slot]) return;
+            material[slot] = textures[slot];
+            material.needsUpdate = true;
+        });
+        applyMaterialData(material, data);
+        setMaterialUV(material, uv);
+    });
+}
+
+function getMaterialStateKey(state) {
+    return JSON.stringify([state.data, state.uv]) + TEXTURE_SLOTS.map((slot) => (state.textures[slot] ? state.textures[slot].uuid : '')).join();
+}
+
+export function createMaterialCommand(label, before) {
+    const after = captureMaterialState(before.map((state) => state.material));
+    if (before.every((state, i) => getMaterialStateKey(state) === getMaterialStateKey(after[i]))) return null;
+    return {
+        label,
+        undo: () => applyMaterialState(before),
+        redo: () => applyMaterialState(after)
+    };
+}
+
+// --- Primitive geometry parameters ---
+
+// Rebuilding a primitive swaps its geometry and may shift it to keep resting on the grid
+export function captureGeometryState(objects) {
+    return objects.map((object) => ({
+        object,
+        geometry: object.geometry,
+        params: object.userData.geometryParams,
+        position: object.position.clone()
+    }));
+}
+
+function applyGeometryState(states) {
+    states.forEach(({ object, geometry, params, position }) => {
+        object.geometry = geometry;
+        object.userData.geometryParams = params;
+        object.position.copy(position);
+    });
+}
+
+export function createGeometryCommand(label, before) {
+    const after = captureGeometryState(before.map((state) => state.object));
+    if (before.every((state, i) => state.geometry === after[i].geometry)) return null;
+    return {
+        label,
+        undo: () => applyGeometryState(before),
+        redo: () => applyGeometryState(after),
+        // Geometries only the dropped side used are no longer reachable
+        discard: (applied) => {
+            (applied ? before : after).forEach((state) => {
+                if (state.object.geometry !== state.geometry) state.geometry.dispose();
+            });
+        }
+    };
+}
+
+// --- Lights ---
+
+export function captureLightState(lights) {
+    return lights.map((light) => ({ light, data: serializeLight(light) }));
+}
+
+function applyLightState(states) {
+    states.forEach(({ light, data }) => {
+        Object.entries(data).forEach(([key, value]) => setLightProperty(light, key, value));
+    });
+}
+
+export function createLightCommand(label, before) {
+    const after = captureLightState(before.map((state) => state.light));
+    if (before.every((state, i) => JSON.stringify(state.data) === JSON.stringify(after[i].data))) return null;
+    return {
+        label,
+        undo: () => applyLightState(before),
+        redo: () => applyLightState(after)
+    };
+}
+
+// --- Physics properties ---
+
+// userData.physics is replaced on every edit, never changed in place, so keeping the reference is enough
+export function capturePhysicsState(objects) {
+    return objects.map((object) => ({ object, physics: object.userData.physics }));
+}
+
+function applyPhysicsState(states) {
+    states.forEach(({ object, physics }) => {
+        if (physics) object.userData.physics = physics;
+        else delete object.userData.physics;
+    });
+}
+
+export function createPhysicsCommand(label, before) {
+    const after = capturePhysicsState(before.map((state) => state.object));
+    if (before.every((state, i) => JSON.stringify(state.physics) === JSON.stringify(after[i].physics))) return null;
+    return {
+        label,
+        undo: () => applyPhysicsState(before),
+        redo: () => applyPhysicsState(after)
+    };
+}
+
+// --- Keyframe tracks ---
+
+// userData.animation is replaced on every edit too (see animation.js), so references compare
+export function captureAnimationState(objects) {
+    return objects.map((object) => ({ object, animation: object.userData.animation }));
+}
+
+function applyAnimationState(states) {
+    states.forEach(({ object, animation }) => {
+        if (animation) object.userData.animation = animation;
+        else delete object.userData.animation;
+    });
+}
+
+export function createAnimationCommand(label, before) {
+    const after = captureAnimationState(before.map((state) => state.object));
+    if (before.every((state, i) => state.animation === after[i].animation)) return null;
+    return {
+        label,
+        undo: () => applyAnimationState(before),
+        redo: () => applyAnimationState(after)
+    };
+}
+
+// --- Scene settings (units, environment, timeline) ---
+
+// `before` is a getSceneSettings() snapshot
+export function createSettingsCommand(label, before) {
+    const after = getSceneSettings();
+    if (JSON.stringify(before) === JSON.stringify(after)) return null;
+    return {
+        label,
+        undo: () => restoreSceneSettings(before),
+        redo: () => restoreSceneSettings(after)
+    };
+}
+
+// --- Composition ---
+
+// Several commands recorded as one step; null entries (no-op parts) are skipped
+export function createCompositeCommand(label, commands) {
+    const parts = commands.filter(Boolean);
+    if (parts.length === 0) return null;
+    return {
+        label,
+        undo: () => [...parts].reverse().forEach((command) => command.undo()),
+        redo: () => parts.forEach((command) => command.redo()),
+        discard: (applied) => parts.forEach((command) => {
+            if (command.discard) command.discard(applied);
+        })
+    };
+}
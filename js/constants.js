@@ -1,24 +1,148 @@
 export const OBJECT_TYPES = {
     BOX: 'box',
     SPHERE: 'sphere',
-    CYLINDER: 'cylinder'
+    CYLINDER: 'cylinder',
+    CONE: 'cone',
+    TORUS: 'torus',
+    PLANE: 'plane',
+    CAPSULE: 'capsule',
+    ICOSPHERE: 'icosphere',
+    TORUS_KNOT: 'torusKnot',
+    RING: 'ring',
+    POINT_LIGHT: 'pointLight',
+    SPOT_LIGHT: 'spotLight',
+    DIRECTIONAL_LIGHT: 'directionalLight',
+    HEMISPHERE_LIGHT: 'hemisphereLight',
+    AMBIENT_LIGHT: 'ambientLight',
+    GROUP: 'group',
+    MODEL: 'model'
 };
 
 export const DEFAULT_COLORS = {
     [OBJECT_TYPES.BOX]: 0x007acc,
     [OBJECT_TYPES.SPHERE]: 0xff6b6b,
-    [OBJECT_TYPES.CYLINDER]: 0x4ecdc4
+    [OBJECT_TYPES.CYLINDER]: 0x4ecdc4,
+    [OBJECT_TYPES.CONE]: 0xffa94d,
+    [OBJECT_TYPES.TORUS]: 0xf7b731,
+    [OBJECT_TYPES.PLANE]: 0x95a5a6,
+    [OBJECT_TYPES.CAPSULE]: 0xa55eea,
+    [OBJECT_TYPES.ICOSPHERE]: 0x26de81,
+    [OBJECT_TYPES.TORUS_KNOT]: 0xfc5c65,
+    [OBJECT_TYPES.RING]: 0x45aaf2,
+    [OBJECT_TYPES.MODEL]: 0xcccccc
 };
 
 export const EXPORT_FILE_NAME = 'scene-data.json';
+export const GLTF_FILE_NAME = 'scene.gltf';
+export const GLB_FILE_NAME = 'scene.glb';
+export const STL_FILE_NAME = 'scene.stl';
+export const OBJ_FILE_NAME = 'scene.obj';
+export const MTL_FILE_NAME = 'scene.mtl';
+
+// Physical length of one scene unit, in millimeters (fabrication exports are written in mm)
+export const SCENE_UNITS = {
+    mm: 1,
+    cm: 10,
+    m: 1000,
+    in: 25.4
+};
+
+export const DEFAULT_SCENE_UNITS = 'm';
+
+// Scene environment for new scenes (rotation in radians)
+export const ENVIRONMENT_DEFAULTS = {
+    background: { type: 'solid', color: 0x222222, topColor: 0x4a6a8a, bottomColor: 0x1a1a1a },
+    fog: { type: 'none', color: 0x222222, near: 10, far: 50, density: 0.03 },
+    envMap: { asset: null, name: '', intensity: 1, rotation: 0 }
+};
+
+export const BACKGROUND_TYPES = ['solid', 'gradient', 'hdr'];
+export const FOG_TYPES = ['none', 'linear', 'exponential'];
+
+// Environment value constraints
+export const ENVIRONMENT_LIMITS = {
+    fogDistance: { min: 0, max: 1000 },
+    fogDensity: { min: 0, max: 1 },
+    intensity: { min: 0, max: 10 }
+};
+
+// Largest HDR/EXR environment image accepted, in megabytes (it is embedded in the scene file)
+export const ENV_MAP_MAX_SIZE_MB = 25;
+
+// Vertices closer than this (in mm) are welded together when merging meshes for printing
+export const WELD_TOLERANCE_MM = 0.001;
 
 // Professional default object dimensions
 export const DEFAULT_DIMENSIONS = {
     [OBJECT_TYPES.BOX]: { width: 1, height: 1, depth: 1 },
     [OBJECT_TYPES.SPHERE]: { radius: 0.5 },
-    [OBJECT_TYPES.CYLINDER]: { radius: 0.5, height: 1 }
+    [OBJECT_TYPES.CYLINDER]: { radius: 0.5, height: 1 },
+    [OBJECT_TYPES.CONE]: { radius: 0.5, height: 1 },
+    [OBJECT_TYPES.TORUS]: { radius: 0.4, tube: 0.15 },
+    [OBJECT_TYPES.PLANE]: { width: 2, depth: 2 },
+    [OBJECT_TYPES.CAPSULE]: { radius: 0.25, length: 0.5 },
+    [OBJECT_TYPES.ICOSPHERE]: { radius: 0.5, detail: 2 },
+    [OBJECT_TYPES.TORUS_KNOT]: { radius: 0.35, tube: 0.1 },
+    [OBJECT_TYPES.RING]: { innerRadius: 0.25, outerRadius: 0.5 }
+};
+
+// Tessellation and shape options per primitive type; together with DEFAULT_DIMENSIONS these
+// form an object's editable geometry parameters
+export const DEFAULT_GEOMETRY_DETAIL = {
+    [OBJECT_TYPES.BOX]: { widthSegments: 1, heightSegments: 1, depthSegments: 1 },
+    [OBJECT_TYPES.SPHERE]: { widthSegments: 32, heightSegments: 16 },
+    [OBJECT_TYPES.CYLINDER]: { radialSegments: 32, heightSegments: 1, openEnded: false },
+    [OBJECT_TYPES.CONE]: { radialSegments: 32, heightSegments: 1, openEnded: false },
+    [OBJECT_TYPES.TORUS]: { radialSegments: 16, tubularSegments: 48 },
+    [OBJECT_TYPES.PLANE]: { widthSegments: 1, depthSegments: 1 },
+    [OBJECT_TYPES.CAPSULE]: { capSegments: 8, radialSegments: 16 },
+    [OBJECT_TYPES.ICOSPHERE]: {},
+    [OBJECT_TYPES.TORUS_KNOT]: { tubularSegments: 128, radialSegments: 16, p: 2, q: 3 },
+    [OBJECT_TYPES.RING]: { thetaSegments: 48 }
+};
+
+// Allowed range per geometry parameter (integer parameters are rounded)
+export const GEOMETRY_PARAM_LIMITS = {
+    width: { min: 0.01, max: 20 },
+    height: { min: 0.01, max: 20 },
+    depth: { min: 0.01, max: 20 },
+    length: { min: 0, max: 20 },
+    radius: { min: 0.01, max: 10 },
+    tube: { min: 0.01, max: 5 },
+    innerRadius: { min: 0, max: 10 },
+    outerRadius: { min: 0.01, max: 10 },
+    widthSegments: { min: 1, max: 128, integer: true },
+    heightSegments: { min: 1, max: 128, integer: true },
+    depthSegments: { min: 1, max: 128, integer: true },
+    radialSegments: { min: 3, max: 128, integer: true },
+    tubularSegments: { min: 3, max: 512, integer: true },
+    capSegments: { min: 1, max: 32, integer: true },
+    thetaSegments: { min: 3, max: 128, integer: true },
+    detail: { min: 0, max: 5, integer: true },
+    p: { min: 1, max: 20, integer: true },
+    q: { min: 1, max: 20, integer: true }
+};
+
+// Light settings for new lights (angle in radians); every light also has color and intensity
+export const LIGHT_DEFAULTS = {
+    [OBJECT_TYPES.POINT_LIGHT]: { color: 0xffffff, intensity: 10, distance: 0, castShadow: false },
+    [OBJECT_TYPES.SPOT_LIGHT]: { color: 0xffffff, intensity: 30, distance: 0, angle: Math.PI / 6, penumbra: 0.2, castShadow: true },
+    [OBJECT_TYPES.DIRECTIONAL_LIGHT]: { color: 0xffffff, intensity: 1, castShadow: false },
+    [OBJECT_TYPES.HEMISPHERE_LIGHT]: { color: 0xffffff, groundColor: 0x444444, intensity: 1 },
+    [OBJECT_TYPES.AMBIENT_LIGHT]: { color: 0x404040, intensity: 1.2 }
 };
 
+// Light property constraints (angle in radians)
+export const LIGHT_LIMITS = {
+    intensity: { min: 0, max: 1000 },
+    distance: { min: 0, max: 100 },
+    angle: { min: 0.01, max: Math.PI / 2 },
+    penumbra: { min: 0, max: 1 }
+};
+
+// Imported models larger than this (in any dimension) are scaled down to fit the workspace
+export const MODEL_IMPORT_MAX_SIZE = 10;
+
 // Workspace constraints (professional standard)
 export const WORKSPACE_BOUNDS = {
     minX: -10,
@@ -46,3 +170,121 @@ export const ROTATION_LIMITS = {
     min: 0,
     max: 360
 };
+
+// PBR material defaults (match THREE.MeshStandardMaterial)
+export const MATERIAL_DEFAULTS = {
+    metalness: 0,
+    roughness: 1,
+    emissive: 0x000000,
+    emissiveIntensity: 1,
+    opacity: 1,
+    transparent: false,
+    flatShading: false,
+    doubleSided: false
+};
+
+// Emissive intensity constraints
+export const EMISSIVE_INTENSITY_LIMITS = {
+    min: 0,
+    max: 10
+};
+
+// Undo history depth (steps kept before the oldest are dropped)
+export const HISTORY_DEPTH = {
+    default: 100,
+    min: 1,
+    max: 1000
+};
+
+// Browser storage (IndexedDB) for autosaves
+export const STORAGE_DB_NAME = 'threejs-scene-editor';
+
+// Autosave timing and retention
+export const AUTOSAVE_CONFIG = {
+    debounceMs: 2000, // Save this long after the last edit
+    intervalMs: 60000, // Also save camera/selection/snap changes this often
+    maxSessions: 5, // Keep the autosaves of this many recent sessions...
+    maxAgeDays: 7 // ...as long as they are no older than this
+};
+
+// Project library thumbnails (pixels)
+export const PROJECT_THUMBNAIL_SIZE = {
+    width: 160,
+    height: 100
+};
+
+// Pattern (array) tool
+export const PATTERN_TYPES = {
+    LINEAR: 'linear',
+    GRID: 'grid',
+    RADIAL: 'radial'
+};
+
+export const PATTERN_LIMITS = {
+    maxCount: 100, // Per count field
+    maxCopies: 500, // Per pattern
+    maxSpacing: 20,
+    maxRadius: 20
+};
+
+// Snapping to other objects (vertices, edge midpoints, face centers, bounding-box corners)
+export const OBJECT_SNAP_CONFIG = {
+    tolerancePx: 12, // Screen distance within which a target catches
+    maxVerticesPerObject: 20000, // Denser meshes only offer their bounding-box corners
+    maxCandidates: 100000 // Per drag, across all objects
+};
+
+// Solid objects mode (moves stop at contact with other meshes)
+export const SOLID_OBJECTS_CONFIG = {
+    cueDurationMs: 800, // How long blockers stay outlined after a numeric edit
+    maxCueOutlines: 8 // Blockers outlined at once
+};
+
+// Gravity commands (drop to floor, settle)
+export const PHYSICS_CONFIG = {
+    gravity: 9.81, // Units per second², treating one unit as a meter
+    timeStep: 1 / 120, // Fixed step, so the same scene always settles the same way
+    solverIterations: 10, // Contact solver passes per step; more keeps tall stacks stiffer
+    warmStartDistance: 0.05, // Contacts this close to last step's start from its impulses
+    settleMaxSeconds: 5, // Simulated time before settling gives up
+    restSpeed: 0.05, // Units per second (at a body's rim, for spinning) below which a body counts as still
+    restSteps: 30, // Consecutive still steps before a body falls asleep
+    contactMargin: 0.02, // Contacts start this far apart, before bodies actually touch
+    penetrationSlop: 0.001, // Overlap left alone, so resting contacts don't jitter
+    positionCorrection: 0.2, // Share of the remaining overlap pushed apart per step
+    maxCorrectionSpeed: 2, // Overlapping bodies separate at most this fast
+    linearDamping: 0.05, // Per second; air drag
+    angularDamping: 0.5, // Per second; spin lost in the air
+    rollingResistance: 0.05, // Units; how far ahead of a rolling sphere or cylinder its weight acts
+    floorFriction: 0.5,
+    bounceMinSpeed: 0.5, // Slower impacts don't bounce, so bodies come to rest
+    maxFrameSeconds: 0.1, // Play mode catches up at most this much after a slow frame
+    checkSeconds: 5 // Simulated time compared by checkDeterminism
+};
+
+// Per-object physics properties (Play mode and Settle)
+export const PHYSICS_BODY_DEFAULTS = {
+    static: false,
+    mass: 1,
+    friction: 0.5,
+    restitution: 0.3
+};
+
+export const PHYSICS_BODY_LIMITS = {
+    mass: { min: 0.01, max: 1000 },
+    friction: { min: 0, max: 1 },
+    restitution: { min: 0, max: 1 }
+};
+
+// Keyframe animation: scene timeline settings (duration in seconds) and track interpolation modes
+export const ANIMATION_DEFAULTS = {
+    fps: 30,
+    duration: 5
+};
+
+export const ANIMATION_LIMITS = {
+    fps: { min: 1, max: 120 },
+    duration: { min: 0.1, max: 600 }
+};
+
+export const ANIMATION_INTERPOLATIONS = ['linear', 'step', 'bezier'];
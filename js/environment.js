@@ -0,0 +1,224 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { getAsset } from './textures.js';
+import { getEnvironmentSettings, onSceneSettingsChanged } from './settings.js';
+import { getFileExtension } from './models.js';
+
+// Equirectangular image formats accepted as environment maps, with the MIME type used in their data URL
+const ENVIRONMENT_FORMATS = {
+    hdr: 'image/vnd.radiance',
+    exr: 'image/x-exr'
+};
+
+const BACKGROUND_CUBE_SIZE = 1024;
+
+export function isEnvironmentFile(file) {
+    return !!file && Object.prototype.hasOwnProperty.call(ENVIRONMENT_FORMATS, getFileExtension(file.name));
+}
+
+/**
+ * Read an .hdr/.exr file as a data URL for the asset table.
+ * Browsers report no MIME type for these files, so the data URL is labelled by extension.
+ */
+export function readEnvironmentFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!isEnvironmentFile(file)) {
+            reject(new Error('Not an HDR or EXR file'));
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            const base64 = String(reader.result).replace(/^data:[^,]*,/, '');
+            resolve(`data:${ENVIRONMENT_FORMATS[getFileExtension(file.name)]};base64,${base64}`);
+        };
+        reader.onerror = () => reject(new Error('Could not read environment file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+function createGradientTexture(topColor, bottomColor) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, `#${topColor.toString(16).padStart(6, '0')}`);
+    gradient.addColorStop(1, `#${bottomColor.toString(16).padStart(6, '0')}`);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+/**
+ * Apply the scene's environment settings (background, fog, HDR environment map) and
+ * re-apply them whenever they change.
+ *
+ * r160 has no scene-level environment rotation or intensity, so the HDR image is drawn on an
+ * inside-out sphere in a private scene: rotating/tinting that sphere rotates/scales the light,
+ * and the result is baked into a PMREM environment map and, for HDR backgrounds, a cube map.
+ */
+export function initEnvironment(scene, renderer, requestRender) {
+    const pmrem = new THREE.PMREMGenerator(renderer);
+
+    const skyScene = new THREE.Scene();
+    const skyGeometry = new THREE.SphereGeometry(1, 64, 32);
+    skyGeometry.scale(-1, 1, 1); // View the equirectangular image from inside, unmirrored
+    const skyMaterial = new THREE.MeshBasicMaterial({ depthWrite: false });
+    const sky = new THREE.Mesh(skyGeometry, skyMaterial);
+    skyScene.add(sky);
+
+    // The background cube map is large (six half-float BACKGROUND_CUBE_SIZE² faces), so it only
+    // exists while an HDR background is shown
+    let cubeTarget = null;
+    let cubeCamera = null;
+
+    let envTarget = null;
+    let hdrTexture = null;
+    let hdrAssetId = null;
+    let gradientTexture = null;
+    let gradientKey = '';
+    let loadToken = 0;
+    let appliedKey = '';
+
+    function loadHDR(assetId) {
+        const token = ++loadToken;
+        hdrAssetId = assetId;
+        if (hdrTexture) hdrTexture.dispose();
+        hdrTexture = null;
+
+        const dataUrl = assetId && getAsset(assetId);
+        if (!dataUrl) return;
+
+        const loader = dataUrl.startsWith(`data:${ENVIRONMENT_FORMATS.exr}`) ? new EXRLoader() : new RGBELoader();
+        loader.setDataType(THREE.HalfFloatType);
+        loader.load(
+            dataUrl,
+            (texture) => {
+                // A newer load (or a clear) superseded this one
+                if (token !== loadToken) {
+                    texture.dispose();
+                    return;
+                }
+                hdrTexture = texture;
+                apply();
+            },
+            undefined,
+            (error) => {
+                console.error('Could not load environment map:', error);
+            }
+        );
+    }
+
+    function getCubeCamera() {
+        if (!cubeTarget) {
+            cubeTarget = new THREE.WebGLCubeRenderTarget(BACKGROUND_CUBE_SIZE, { type: THREE.HalfFloatType });
+            cubeCamera = new THREE.CubeCamera(0.1, 10, cubeTarget);
+        }
+        return cubeCamera;
+    }
+
+    function releaseCubeTarget() {
+        if (!cubeTarget) return;
+        cubeTarget.dispose();
+        cubeTarget = null;
+        cubeCamera = null;
+    }
+
+    function updateEnvironmentMap(envMap, showBackground) {
+        if (envTarget) {
+            envTarget.dispose();
+            envTarget = null;
+        }
+        if (!hdrTexture) {
+            releaseCubeTarget();
+            scene.environment = null;
+            return;
+        }
+
+        skyMaterial.map = hdrTexture;
+        skyMaterial.needsUpdate = true;
+        sky.rotation.y = envMap.rotation;
+
+        if (showBackground) {
+            skyMaterial.color.setScalar(1);
+            getCubeCamera().update(renderer, skyScene);
+        } else {
+            releaseCubeTarget();
+        }
+
+        // Colors above 1 are fine here: the PMREM target is half float
+        skyMaterial.color.setScalar(envMap.intensity);
+        envTarget = pmrem.fromScene(skyScene, 0, 0.1, 10);
+        scene.environment = envTarget.texture;
+    }
+
+    function updateBackground(background, envMap) {
+        if (background.type === 'hdr' && hdrTexture) {
+            scene.background = cubeTarget.texture;
+            scene.backgroundIntensity = envMap.intensity;
+            return;
+        }
+        scene.backgroundIntensity = 1;
+
+        if (background.type === 'gradient') {
+            const key = `${background.topColor}-${background.bottomColor}`;
+            if (!gradientTexture || key !== gradientKey) {
+                if (gradientTexture) gradientTexture.dispose();
+                gradientTexture = createGradientTexture(background.topColor, background.bottomColor);
+                gradientKey = key;
+            }
+            scene.background = gradientTexture;
+            return;
+        }
+
+        // Solid color, also the fallback while an HDR background is missing or still loading
+        scene.background = new THREE.Color(background.color);
+    }
+
+    function updateFog(fog) {
+        if (fog.type === 'linear') {
+            scene.fog = new THREE.Fog(fog.color, fog.near, fog.far);
+        } else if (fog.type === 'exponential') {
+            scene.fog = new THREE.FogExp2(fog.color, fog.density);
+        } else {
+            scene.fog = null;
+        }
+    }
+
+    function apply() {
+        const environment = getEnvironmentSettings();
+        const { background, fog, envMap } = environment;
+        if (envMap.asset !== hdrAssetId) loadHDR(envMap.asset);
+
+        // Settings notifications also cover unrelated settings; skip re-baking when nothing changed
+        const key = JSON.stringify(environment) + (hdrTexture ? hdrTexture.uuid : '');
+        if (key === appliedKey) return;
+        appliedKey = key;
+
+        updateEnvironmentMap(envMap, background.type === 'hdr');
+        updateBackground(background, envMap);
+        updateFog(fog);
+        requestRender();
+    }
+
+    const unsubscribe = onSceneSettingsChanged(apply);
+    apply();
+
+    return {
+        dispose: () => {
+            unsubscribe();
+            loadToken++;
+            if (envTarget) envTarget.dispose();
+            if (hdrTexture) hdrTexture.dispose();
+            if (gradientTexture) gradientTexture.dispose();
+            releaseCubeTarget();
+            skyGeometry.dispose();
+            skyMaterial.dispose();
+            pmrem.dispose();
+        }
+    };
+}
@@ -0,0 +1,76 @@
+import { getGeometryParamSpecs, sanitizeGeometryParams } from './geometry.js';
+
+/**
+ * Geometry section of the properties panel: one field per parameter of the active primitive's type.
+ * Fields are rebuilt only when the type changes. `onChange(key, value)` fires while editing and
+ * `onCommit()` when an edit ends (change/blur), so callers can group edits into one undo step.
+ */
+export function initGeometryPanel(section, { onChange, onCommit }) {
+    const fields = section.querySelector('.geometry-fields');
+    const inputs = new Map(); // param key -> input element
+    let currentType = null;
+
+    function createField(spec) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const id = `geo-${spec.key}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = spec.label;
+
+        const input = document.createElement('input');
+        input.id = id;
+        if (spec.boolean) {
+            input.type = 'checkbox';
+            input.addEventListener('change', () => {
+                onChange(spec.key, input.checked);
+                onCommit();
+            });
+        } else {
+            input.type = 'number';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.integer ? 1 : 0.05;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) onChange(spec.key, value);
+            });
+            input.addEventListener('change', onCommit);
+            input.addEventListener('blur', onCommit);
+        }
+
+        group.appendChild(label);
+        group.appendChild(input);
+        fields.appendChild(group);
+        inputs.set(spec.key, input);
+    }
+
+    function build(type) {
+        fields.innerHTML = '';
+        inputs.clear();
+        getGeometryParamSpecs(type).forEach(createField);
+        currentType = type;
+    }
+
+    // Show the active object's parameters; hides the section for objects without any
+    function update(object) {
+        const type = object ? object.userData.type : null;
+        const params = type ? sanitizeGeometryParams(type, object.userData.geometryParams) : null;
+        section.style.display = params ? 'block' : 'none';
+        if (!params) return;
+
+        if (type !== currentType) build(type);
+        inputs.forEach((input, key) => {
+            // Leave the field being typed in alone
+            if (input === document.activeElement) return;
+            if (input.type === 'checkbox') {
+                input.checked = params[key];
+            } else {
+                input.value = Number.isInteger(params[key]) ? params[key] : params[key].toFixed(2);
+            }
+        });
+    }
+
+    return { update };
+}
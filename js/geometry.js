@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { OBJECT_TYPES, DEFAULT_DIMENSIONS, DEFAULT_GEOMETRY_DETAIL, GEOMETRY_PARAM_LIMITS } from './constants.js';
+
+// Properties panel labels for geometry parameters
+const PARAM_LABELS = {
+    width: 'Width',
+    height: 'Height',
+    depth: 'Depth',
+    length: 'Length',
+    radius: 'Radius',
+    tube: 'Tube Radius',
+    innerRadius: 'Inner Radius',
+    outerRadius: 'Outer Radius',
+    widthSegments: 'Width Segments',
+    heightSegments: 'Height Segments',
+    depthSegments: 'Depth Segments',
+    radialSegments: 'Radial Segments',
+    tubularSegments: 'Tubular Segments',
+    capSegments: 'Cap Segments',
+    thetaSegments: 'Segments',
+    detail: 'Detail',
+    p: 'Winds (p)',
+    q: 'Loops (q)',
+    openEnded: 'Open Ended'
+};
+
+export function hasGeometryParams(type) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_DIMENSIONS, type);
+}
+
+export function getDefaultGeometryParams(type) {
+    if (!hasGeometryParams(type)) return null;
+    return { ...DEFAULT_DIMENSIONS[type], ...DEFAULT_GEOMETRY_DETAIL[type] };
+}
+
+function sanitizeParam(key, value, fallback) {
+    if (typeof fallback === 'boolean') {
+        return typeof value === 'boolean' ? value : fallback;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    const limits = GEOMETRY_PARAM_LIMITS[key];
+    if (!limits) return number;
+    const clamped = Math.min(limits.max, Math.max(limits.min, number));
+    return limits.integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Fill in defaults and clamp every parameter to its limits; unknown keys are dropped.
+ * @returns {Object|null} complete parameter set, or null for types without parameters
+ */
+export function sanitizeGeometryParams(type, params) {
+    const defaults = getDefaultGeometryParams(type);
+    if (!defaults) return null;
+
+    const source = params && typeof params === 'object' ? params : {};
+    const result = {};
+    Object.keys(defaults).forEach((key) => {
+        result[key] = source[key] === undefined ? defaults[key] : sanitizeParam(key, source[key], defaults[key]);
+    });
+
+    // A ring needs a hole smaller than its outer edge
+    if (type === OBJECT_TYPES.RING && result.innerRadius >= result.outerRadius) {
+        result.innerRadius = Math.max(0, result.outerRadius - 0.01);
+    }
+    return result;
+}
+
+/**
+ * Editable parameters for a type, in display order.
+ * @returns {Array<{ key: string, label: string, boolean: boolean, min?: number, max?: number, integer?: boolean }>}
+ */
+export function getGeometryParamSpecs(type) {
+    const defaults = getDefaultGeometryParams(type);
+    if (!defaults) return [];
+    return Object.keys(defaults).map((key) => ({
+        key,
+        label: PARAM_LABELS[key] || key,
+        boolean: typeof defaults[key] === 'boolean',
+        ...GEOMETRY_PARAM_LIMITS[key]
+    }));
+}
+
+/**
+ * Build a primitive's geometry from its parameters (missing or invalid values use defaults).
+ * Flat shapes (plane, ring, torus) are laid on the ground so they rest on the grid unrotated.
+ * @returns {THREE.BufferGeometry|null} null for types that are not parametric primitives
+ */
+export function buildPrimitiveGeometry(type, params) {
+    const p = sanitizeGeometryParams(type, params);
+    if (!p) return null;
+
+    switch (type) {
+        case OBJECT_TYPES.BOX:
+            return new THREE.BoxGeometry(p.width, p.height, p.depth, p.widthSegments, p.heightSegments, p.depthSegments);
+        case OBJECT_TYPES.SPHERE:
+            return new THREE.SphereGeometry(p.radius, p.widthSegments, p.heightSegments);
+        case OBJECT_TYPES.CYLINDER:
+            return new THREE.CylinderGeometry(p.radius, p.radius, p.height, p.radialSegments, p.heightSegments, p.openEnded);
+        case OBJECT_TYPES.CONE:
+            return new THREE.ConeGeometry(p.radius, p.height, p.radialSegments, p.heightSegments, p.openEnded);
+        case OBJECT_TYPES.TORUS:
+            return new THREE.TorusGeometry(p.radius, p.tube, p.radialSegments, p.tubularSegments).rotateX(-Math.PI / 2);
+        case OBJECT_TYPES.PLANE:
+            return new THREE.PlaneGeometry(p.width, p.depth, p.widthSegments, p.depthSegments).rotateX(-Math.PI / 2);
+        case OBJECT_TYPES.CAPSULE:
+            return new THREE.CapsuleGeometry(p.radius, p.length, p.capSegments, p.radialSegments);
+        case OBJECT_TYPES.ICOSPHERE:
+            return new THREE.IcosahedronGeometry(p.radius, p.detail);
+        case OBJECT_TYPES.TORUS_KNOT:
+            return new THREE.TorusKnotGeometry(p.radius, p.tube, p.tubularSegments, p.radialSegments, p.p, p.q);
+        case OBJECT_TYPES.RING:
+            return new THREE.RingGeometry(p.innerRadius, p.outerRadius, p.thetaSegments).rotateX(-Math.PI / 2);
+        default:
+            return null;
+    }
+}
+
+// Lowest world-space point of the object's own geometry (children excluded)
+function getWorldBottom(object) {
+    object.geometry.computeBoundingBox();
+    object.updateMatrixWorld(true);
+    return object.geometry.boundingBox.clone().applyMatrix4(object.matrixWorld).min.y;
+}
+
+/**
+ * Change one geometry parameter of a primitive and rebuild its mesh.
+ * Top-level objects keep their lowest point where it was, so resting objects stay on the grid.
+ * @returns {boolean} false if the object has no geometry parameters
+ */
+export function setGeometryParam(object, key, value) {
+    const type = object.userData.type;
+    if (!object.isMesh || !hasGeometryParams(type)) return false;
+
+    const current = sanitizeGeometryParams(type, object.userData.geometryParams);
+    if (!Object.prototype.hasOwnProperty.call(current, key)) return false;
+
+    const params = sanitizeGeometryParams(type, { ...current, [key]: value });
+    const geometry = buildPrimitiveGeometry(type, params);
+    if (!geometry) return false;
+
+    const isRoot = !object.parent || object.parent.isScene;
+    const bottomBefore = isRoot ? getWorldBottom(object) : 0;
+
+    object.geometry.dispose();
+    object.geometry = geometry;
+    object.userData.geometryParams = params;
+
+    if (isRoot) {
+        object.position.y += bottomBefore - getWorldBottom(object);
+    }
+    return true;
+}
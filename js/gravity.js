@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+import { WORKSPACE_BOUNDS } from './constants.js';
+import { getObjects, getObjectSubtree } from './objects.js';
+import { createPhysicsWorld, getBodyOptions } from './physics.js';
+import { getMeshBounds, translateObjectWorld } from './utils.js';
+
+/*
+ * Gravity commands for the selection: drop straight down onto whatever is below, or settle with
+ * a short simulation (see physics.js) so stacks come to rest on each other, and anything
+ * balanced over an edge tips off it.
+ * Only meshes count; lights and empty groups stay where they are.
+ */
+
+const FOOTPRINT_SAMPLES = 5; // Rays per side across an object's footprint
+const RAY_LIFT = 1e-3; // Rays start just above the object's bottom, so touching surfaces count
+const raycaster = new THREE.Raycaster();
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+// Lowest first, so objects stacked in the selection land on the ones already dropped
+function sortBottomUp(objects) {
+    return objects
+        .map((object) => ({ object, box: getMeshBounds(object) }))
+        .filter(({ box }) => !box.isEmpty())
+        .sort((a, b) => a.box.min.y - b.box.min.y);
+}
+
+/**
+ * Highest surface under a box's footprint: the grid floor (WORKSPACE_BOUNDS.minY) or another
+ * mesh, found by casting rays straight down from a grid of points across the footprint.
+ */
+function findSupportHeight(box, excluded) {
+    const targets = getObjects().filter((obj) => obj.isMesh && obj.visible && !excluded.has(obj));
+    let support = WORKSPACE_BOUNDS.minY;
+    if (box.min.y <= support) return support;
+
+    raycaster.far = box.min.y + RAY_LIFT - support;
+    const origin = new THREE.Vector3();
+    for (let i = 0; i < FOOTPRINT_SAMPLES; i++) {
+        for (let j = 0; j < FOOTPRINT_SAMPLES; j++) {
+            // Inset from the edges so a neighbor merely touching the side doesn't hold it up
+            const u = (i + 0.5) / FOOTPRINT_SAMPLES;
+            const v = (j + 0.5) / FOOTPRINT_SAMPLES;
+            origin.set(
+                THREE.MathUtils.lerp(box.min.x, box.max.x, u),
+                box.min.y + RAY_LIFT,
+                THREE.MathUtils.lerp(box.min.z, box.max.z, v)
+            );
+            raycaster.set(origin, DOWN);
+            const hit = raycaster.intersectObjects(targets, false)[0];
+            if (hit && hit.point.y > support) support = hit.point.y;
+        }
+    }
+    return Math.min(support, box.min.y);
+}
+
+/**
+ * Move each object straight down until its bounding box rests on the grid or on the highest
+ * mesh below it. Objects below the grid come up to it.
+ * @returns {number} how many objects moved
+ */
+export function dropObjects(objects) {
+    let moved = 0;
+    sortBottomUp(objects).forEach(({ object }) => {
+        const box = getMeshBounds(object);
+        const support = box.min.y < WORKSPACE_BOUNDS.minY
+            ? WORKSPACE_BOUNDS.minY
+            : findSupportHeight(box, new Set(getObjectSubtree(object)));
+        const delta = support - box.min.y;
+        if (Math.abs(delta) < 1e-6) return;
+        translateObjectWorld(object, new THREE.Vector3(0, delta, 0));
+        moved++;
+    });
+    return moved;
+}
+
+/**
+ * Let the objects fall under gravity until they rest on the grid, on other objects, or on each
+ * other, tipping over and rolling as they go. Everything else stays put, as do objects marked
+ * static; each object falls as one body around its meshes, with its own physics properties.
+ * @returns {{ moved: number, settled: boolean }} moved objects, and false if the simulation
+ *   ran out of time before everything stopped
+ */
+export function settleObjects(objects) {
+    const world = createPhysicsWorld();
+    const entries = sortBottomUp(objects);
+    const moving = new Set(entries.flatMap(({ object }) => getObjectSubtree(object)));
+
+    getObjects().forEach((obj) => {
+        if (obj.isMesh && obj.visible && !moving.has(obj)) {
+            world.addBody(obj, { ...getBodyOptions(obj), dynamic: false, meshOnly: true });
+        }
+    });
+    const bodies = entries.map(({ object }) => world.addBody(object, getBodyOptions(object)));
+
+    const settled = world.runUntilRest();
+    const moved = bodies.filter((body) => world.hasMoved(body)).length;
+    world.applyToObjects();
+    return { moved, settled };
+}
@@ -0,0 +1,68 @@
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * History panel: lists recorded steps (oldest first) with their time, marks the current state
+ * and greys out undone steps. Clicking a row jumps straight to the state after that step;
+ * the first row is the state before the oldest kept step.
+ */
+export function initHistoryPanel(listElement, history) {
+    let refreshPending = false;
+
+    function createRow(label, time, position) {
+        const row = document.createElement('li');
+        row.className = 'history-row';
+        const current = history.getPosition();
+        if (position === current) row.classList.add('current');
+        if (position > current) row.classList.add('undone');
+
+        const name = document.createElement('span');
+        name.className = 'history-label';
+        name.textContent = label;
+        row.appendChild(name);
+        if (time) {
+            const stamp = document.createElement('span');
+            stamp.className = 'history-time';
+            stamp.textContent = formatTime(time);
+            row.appendChild(stamp);
+        }
+
+        row.title = label;
+        row.addEventListener('click', () => history.jumpTo(position));
+        return row;
+    }
+
+    function refresh() {
+        refreshPending = false;
+        listElement.innerHTML = '';
+
+        const dropped = history.getDroppedCount();
+        const startLabel = dropped > 0
+            ? `Earlier state (${dropped} older step${dropped === 1 ? '' : 's'} dropped)`
+            : 'Initial state';
+        listElement.appendChild(createRow(startLabel, null, 0));
+        history.getEntries().forEach((entry, index) => {
+            listElement.appendChild(createRow(entry.label, entry.time, index + 1));
+        });
+
+        const currentRow = listElement.querySelector('.history-row.current');
+        if (currentRow) currentRow.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Batch bursts of changes (e.g. a jump over many steps) into a single rebuild
+    function scheduleRefresh() {
+        if (refreshPending) return;
+        refreshPending = true;
+        requestAnimationFrame(refresh);
+    }
+
+    const unsubscribe = history.onChange(scheduleRefresh);
+    refresh();
+
+    return {
+        refresh: scheduleRefresh,
+        dispose: () => {
+            unsubscribe();
+            listElement.innerHTML = '';
+        }
+    };
+}
@@ -1,46 +1,148 @@
+import { HISTORY_DEPTH } from './constants.js';
+
 /**
- * Simple undo/redo manager using full-scene snapshots.
- * Stores a bounded stack of serialized scene states.
+ * Command-based undo/redo.
+ * A command is `{ label, undo(), redo(), discard?(applied) }` (see commands.js); it keeps
+ * references to the objects it changed, so undo and redo restore the same instances.
+ * `discard` runs when a command leaves the history for good, with `applied` telling whether
+ * its effect is in the scene, so it can release what only the other state used.
+ * Each step also remembers the selection before and after it, and puts it back on undo/redo.
  */
-export function createHistory({ serialize, load, requestRender, limit = 50 }) {
+export function createHistory({ getSelection, setSelection, limit = HISTORY_DEPTH.default }) {
     const undoStack = [];
     const redoStack = [];
+    const changeListeners = new Set();
+    let depth = limit;
+    let droppedCount = 0; // Steps that fell off the bottom of the undo stack
+    let lastPushed = null; // Only the latest step, before any undo/redo, can absorb a merge
+
+    const notify = () => changeListeners.forEach((listener) => listener());
+
+    const discard = (entry, applied) => {
+        if (entry.command.discard) entry.command.discard(applied);
+    };
 
-    const push = (stack, data) => {
-        stack.push(structuredClone(data));
-        if (stack.length > limit) stack.shift();
+    const trim = () => {
+        while (undoStack.length > depth) {
+            discard(undoStack.shift(), true);
+            droppedCount++;
+        }
     };
 
-    function record() {
-        const snapshot = serialize();
-        push(undoStack, snapshot);
-        redoStack.length = 0;
+    // Continue a step: undo goes back to the older command's start, redo to the newer one's end
+    const mergeCommands = (older, newer) => ({
+        label: newer.label,
+        undo: () => older.undo(),
+        redo: () => newer.redo(),
+        discard: (applied) => [older, newer].forEach((command) => {
+            if (command.discard) command.discard(applied);
+        })
+    });
+
+    /**
+     * Record a command whose effect has already been applied. Null commands (no-op edits) are ignored.
+     * @param {Object} [options.selectionBefore] - selection to restore on undo; defaults to the current one
+     * @param {*} [options.mergeKey] - consecutive pushes with the same key become a single step
+     */
+    function push(command, { selectionBefore, mergeKey = null } = {}) {
+        if (!command) return;
+        const selectionAfter = getSelection();
+        const top = undoStack[undoStack.length - 1];
+
+        if (mergeKey !== null && top && top === lastPushed && top.mergeKey === mergeKey) {
+            top.command = mergeCommands(top.command, command);
+            top.selectionAfter = selectionAfter;
+            top.time = Date.now();
+        } else {
+            lastPushed = {
+                command,
+                mergeKey,
+                time: Date.now(),
+                selectionBefore: selectionBefore || selectionAfter,
+                selectionAfter
+            };
+            undoStack.push(lastPushed);
+            redoStack.splice(0).forEach((entry) => discard(entry, false));
+            trim();
+        }
+        notify();
+    }
+
+    // Apply a command and record it
+    function execute(command, { selectionBefore = getSelection() } = {}) {
+        if (!command) return;
+        command.redo();
+        push(command, { selectionBefore });
     }
 
-    function undo() {
-        if (!undoStack.length) return;
-        const current = serialize();
-        const previous = undoStack.pop();
-        push(redoStack, current);
-        load(previous);
-        requestRender();
+    function stepBack() {
+        const entry = undoStack.pop();
+        entry.command.undo();
+        redoStack.push(entry);
+        return entry.selectionBefore;
     }
 
-    function redo() {
-        if (!redoStack.length) return;
-        const current = serialize();
-        const next = redoStack.pop();
-        push(undoStack, current);
-        load(next);
-        requestRender();
+    function stepForward() {
+        const entry = redoStack.pop();
+        entry.command.redo();
+        undoStack.push(entry);
+        return entry.selectionAfter;
+    }
+
+    /**
+     * Undo or redo as many steps as needed to reach a position in getEntries():
+     * 0 is the oldest kept state, getPosition() the current one.
+     */
+    function jumpTo(position) {
+        const target = Math.max(0, Math.min(undoStack.length + redoStack.length, position));
+        if (target === undoStack.length) return;
+        lastPushed = null;
+        let selection = null;
+        while (undoStack.length > target) selection = stepBack();
+        while (undoStack.length < target) selection = stepForward();
+        // Restore the selection once, for the step that was reached
+        setSelection(selection);
+        notify();
+    }
+
+    function setDepth(value) {
+        depth = Math.max(HISTORY_DEPTH.min, Math.min(HISTORY_DEPTH.max, Math.round(value) || HISTORY_DEPTH.default));
+        trim();
+        notify();
+        return depth;
+    }
+
+    // Forget every step (e.g. after opening another scene); the current state becomes the initial one
+    function clear() {
+        undoStack.splice(0).reverse().forEach((entry) => discard(entry, true));
+        redoStack.splice(0).forEach((entry) => discard(entry, false));
+        droppedCount = 0;
+        lastPushed = null;
+        notify();
     }
 
     return {
-        record,
-        undo,
-        redo,
+        push,
+        execute,
+        undo: () => jumpTo(undoStack.length - 1),
+        redo: () => jumpTo(undoStack.length + 1),
+        jumpTo,
+        clear,
         canUndo: () => undoStack.length > 0,
-        canRedo: () => redoStack.length > 0
+        canRedo: () => redoStack.length > 0,
+        // Recorded steps, oldest first; those at or after getPosition() are undone (redoable)
+        getEntries: () => [...undoStack, ...[...redoStack].reverse()].map((entry) => ({
+            label: entry.command.label,
+            time: entry.time
+        })),
+        getPosition: () => undoStack.length,
+        getDroppedCount: () => droppedCount,
+        getDepth: () => depth,
+        setDepth,
+        // Subscribe to history changes; returns an unsubscribe function
+        onChange: (listener) => {
+            changeListeners.add(listener);
+            return () => changeListeners.delete(listener);
+        }
     };
 }
-
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { OBJECT_TYPES, LIGHT_DEFAULTS, LIGHT_LIMITS } from './constants.js';
+import { addObjectToRegistry, getObjects, onObjectsChanged } from './objects.js';
+import { generateUUID, safeParseNumber, validatePosition, clampPosition } from './utils.js';
+
+export const LIGHT_TYPES = [
+    OBJECT_TYPES.POINT_LIGHT,
+    OBJECT_TYPES.SPOT_LIGHT,
+    OBJECT_TYPES.DIRECTIONAL_LIGHT,
+    OBJECT_TYPES.HEMISPHERE_LIGHT,
+    OBJECT_TYPES.AMBIENT_LIGHT
+];
+
+const LIGHT_NAMES = {
+    [OBJECT_TYPES.POINT_LIGHT]: 'Point Light',
+    [OBJECT_TYPES.SPOT_LIGHT]: 'Spot Light',
+    [OBJECT_TYPES.DIRECTIONAL_LIGHT]: 'Directional Light',
+    [OBJECT_TYPES.HEMISPHERE_LIGHT]: 'Hemisphere Light',
+    [OBJECT_TYPES.AMBIENT_LIGHT]: 'Ambient Light'
+};
+
+// Where new lights appear; spot and directional lights start aimed at the origin
+const LIGHT_POSITIONS = {
+    [OBJECT_TYPES.POINT_LIGHT]: [0, 3, 0],
+    [OBJECT_TYPES.SPOT_LIGHT]: [3, 5, 3],
+    [OBJECT_TYPES.DIRECTIONAL_LIGHT]: [5, 10, 7],
+    [OBJECT_TYPES.HEMISPHERE_LIGHT]: [0, 10, 0],
+    [OBJECT_TYPES.AMBIENT_LIGHT]: [0, 8, 0]
+};
+
+const PICK_RADIUS = 0.35; // Lights have no geometry; clicks within this radius select them
+
+export function isLightType(type) {
+    return LIGHT_TYPES.includes(type);
+}
+
+// Raycast against a small sphere around the light so it can be clicked in the viewport
+function raycastLight(raycaster, intersects) {
+    const center = this.getWorldPosition(new THREE.Vector3());
+    const point = raycaster.ray.intersectSphere(new THREE.Sphere(center, PICK_RADIUS), new THREE.Vector3());
+    if (!point) return;
+    const distance = raycaster.ray.origin.distanceTo(point);
+    if (distance < raycaster.near || distance > raycaster.far) return;
+    intersects.push({ distance, point, object: this });
+}
+
+function configureShadow(light) {
+    if (!light.shadow) return;
+    light.shadow.mapSize.set(2048, 2048);
+    light.shadow.bias = -0.0001;
+    light.shadow.camera.near = 0.5;
+    light.shadow.camera.far = 50;
+    if (light.isDirectionalLight) {
+        // Cover the whole workspace
+        light.shadow.camera.left = -10;
+        light.shadow.camera.right = 10;
+        light.shadow.camera.top = 10;
+        light.shadow.camera.bottom = -10;
+    }
+}
+
+function clampLimit(key, value) {
+    const limits = LIGHT_LIMITS[key];
+    return Math.min(limits.max, Math.max(limits.min, value));
+}
+
+/**
+ * Set one light property with validation.
+ * Colors accept a hex number or '#rrggbb'; angle is in radians.
+ * @returns {boolean} false if the light type has no such property
+ */
+export function setLightProperty(light, key, value) {
+    switch (key) {
+        case 'color':
+        case 'groundColor': {
+            if (!light[key] || !light[key].isColor) return false;
+            const hex = typeof value === 'string' ? parseInt(value.replace('#', ''), 16) : value;
+            light[key].setHex(safeParseNumber(hex, light[key].getHex()));
+            return true;
+        }
+        case 'intensity':
+            light.intensity = clampLimit('intensity', safeParseNumber(value, light.intensity));
+            return true;
+        case 'distance':
+        case 'angle':
+        case 'penumbra':
+            if (!(key in light)) return false;
+            light[key] = clampLimit(key, safeParseNumber(value, light[key]));
+            return true;
+        case 'castShadow':
+            if (!light.shadow) return false;
+            light.castShadow = !!value;
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Light settings for the scene JSON and the properties panel (only keys the type supports).
+ */
+export function serializeLight(light) {
+    const data = {
+        color: light.color.getHex(),
+        intensity: light.intensity
+    };
+    if (light.groundColor) data.groundColor = light.groundColor.getHex();
+    if ('distance' in light) data.distance = light.distance;
+    if (light.isSpotLight) {
+        data.angle = light.angle;
+        data.penumbra = light.penumbra;
+    }
+    if (light.shadow) data.castShadow = light.castShadow;
+    return data;
+}
+
+/**
+ * Create a bare light of the given type (not registered, no editor metadata).
+ * Spot and directional lights shine along their local -Z axis: their target is a child at (0, 0, -1),
+ * so rotating the light aims it.
+ * @returns {THREE.Light|null} null for unknown types
+ */
+export function createLight(type, data = {}) {
+    let light;
+    switch (type) {
+        case OBJECT_TYPES.POINT_LIGHT:
+            light = new THREE.PointLight();
+            break;
+        case OBJECT_TYPES.SPOT_LIGHT:
+            light = new THREE.SpotLight();
+            break;
+        case OBJECT_TYPES.DIRECTIONAL_LIGHT:
+            light = new THREE.DirectionalLight();
+            break;
+        case OBJECT_TYPES.HEMISPHERE_LIGHT:
+            light = new THREE.HemisphereLight();
+            break;
+        case OBJECT_TYPES.AMBIENT_LIGHT:
+            light = new THREE.AmbientLight();
+            break;
+        default:
+            return null;
+    }
+
+    if (light.target) {
+        light.target.position.set(0, 0, -1);
+        light.add(light.target);
+    }
+    configureShadow(light);
+    // Ambient light has no position to click on; it is selected from the outliner
+    if (type !== OBJECT_TYPES.AMBIENT_LIGHT) light.raycast = raycastLight;
+
+    const settings = { ...LIGHT_DEFAULTS[type], ...(data && typeof data === 'object' ? data : {}) };
+    Object.entries(settings).forEach(([key, value]) => setLightProperty(light, key, value));
+    return light;
+}
+
+/**
+ * Add an editable light to the scene.
+ * @param {Object} [options.position] - world position; defaults to a per-type spot above the grid
+ * @param {Object} [options.light] - light settings overriding LIGHT_DEFAULTS
+ * @param {string} [options.name]
+ */
+export function addLight(scene, type, options = {}) {
+    const light = createLight(type, options.light);
+    if (!light) return null;
+
+    light.userData = {
+        isEditable: true,
+        type,
+        id: generateUUID(),
+        createdAt: Date.now(),
+        name: options.name || LIGHT_NAMES[type]
+    };
+    light.name = light.userData.name;
+
+    const position = options.position
+        ? new THREE.Vector3(options.position.x, options.position.y, options.position.z)
+        : new THREE.Vector3().fromArray(LIGHT_POSITIONS[type]);
+    light.position.copy(validatePosition(position) ? position : clampPosition(position));
+    if (light.target) light.lookAt(0, 0, 0);
+
+    scene.add(light);
+    addObjectToRegistry(light);
+    return light;
+}
+
+// The editor's standard lighting rig; lights are ordinary objects, so users can edit or delete them
+export function addDefaultLights(scene) {
+    return [
+        addLight(scene, OBJECT_TYPES.AMBIENT_LIGHT, { name: 'Ambient Light' }),
+        addLight(scene, OBJECT_TYPES.DIRECTIONAL_LIGHT, {
+            name: 'Key Light',
+            position: { x: 5, y: 10, z: 7 },
+            light: { intensity: 1.8, castShadow: true }
+        }),
+        addLight(scene, OBJECT_TYPES.DIRECTIONAL_LIGHT, {
+            name: 'Fill Light',
+            position: { x: -5, y: 3, z: -5 },
+            light: { intensity: 0.4 }
+        })
+    ];
+}
+
+function createHelper(light) {
+    switch (light.userData.type) {
+        case OBJECT_TYPES.POINT_LIGHT:
+            return new THREE.PointLightHelper(light, 0.25);
+        case OBJECT_TYPES.SPOT_LIGHT:
+            return new THREE.SpotLightHelper(light);
+        case OBJECT_TYPES.DIRECTIONAL_LIGHT:
+            return new THREE.DirectionalLightHelper(light, 0.5);
+        case OBJECT_TYPES.HEMISPHERE_LIGHT:
+            return new THREE.HemisphereLightHelper(light, 0.3);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Keep a viewport helper for every registered light. Helpers live at the scene root
+ * (they track the light's world matrix) and are never saved or exported.
+ * Call `update()` before rendering so helpers follow moved or edited lights.
+ */
+export function initLightHelpers(scene) {
+    const helpers = new Map(); // light -> helper
+
+    function sync() {
+        const lights = getObjects().filter((obj) => obj.isLight);
+        helpers.forEach((helper, light) => {
+            if (lights.includes(light)) return;
+            scene.remove(helper);
+            helper.dispose();
+            helpers.delete(light);
+        });
+        lights.forEach((light) => {
+            if (helpers.has(light)) return;
+            const helper = createHelper(light);
+            if (!helper) return;
+            helper.userData.isHelper = true;
+            helper.raycast = () => {};
+            helper.traverse((child) => {
+                child.raycast = () => {};
+            });
+            scene.add(helper);
+            helpers.set(light, helper);
+        });
+    }
+
+    function update() {
+        helpers.forEach((helper, light) => {
+            light.updateMatrixWorld(true);
+            helper.update();
+        });
+    }
+
+    const unsubscribe = onObjectsChanged(sync);
+    sync();
+
+    return {
+        update,
+        dispose: () => {
+            unsubscribe();
+            helpers.forEach((helper) => {
+                scene.remove(helper);
+                helper.dispose();
+            });
+            helpers.clear();
+        }
+    };
+}
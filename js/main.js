@@ -1,14 +1,60 @@
 import * as THREE from 'three';
 import { initScene } from './scene.js';
 import { initControls } from './controls.js';
-import { addBox, addSphere, addCylinder, getObjects, clearObjectsArray, removeObjectFromRegistry } from './objects.js';
+import { addBox, addSphere, addCylinder, addPrimitive, getObjects, getRootObjects, getObjectById, isObjectRegistered, getTopLevelObjects, getObjectSubtree, getEditableParent, getEditableChildren, setObjectParent, groupObjects, ungroupObject, addModel } from './objects.js';
 import { initSelection } from './selection.js';
-import { updateObjectPosition, updateObjectRotationDeg, updateObjectScale } from './transform.js';
-import { exportScene, importScene, serializeScene, loadSceneData, showNotification } from './persistence.js';
-import { disposeObject } from './utils.js';
-import { OBJECT_TYPES } from './constants.js';
+import { updateObjectPosition, updateObjectRotationDeg, updateObjectScale, updateSelectionPosition, getSelectionRotation, getSelectionScale } from './transform.js';
+import { exportScene, exportGLTF, exportSTL, exportOBJ, importScene, serializeScene, serializeObjects, loadSceneData, showNotification } from './persistence.js';
+import { serializeObjectsToText, parseClipboardText, writeClipboardEvent, writeClipboardText, readClipboardText, pasteObjects } from './clipboard.js';
+import { safeParseNumber } from './utils.js';
+import { OBJECT_TYPES, ENV_MAP_MAX_SIZE_MB, PATTERN_LIMITS, PHYSICS_BODY_DEFAULTS } from './constants.js';
 import { createHistory } from './history.js';
+import { initHistoryPanel } from './history-panel.js';
+import {
+    captureObjectState,
+    captureRemovedState,
+    createObjectStateCommand,
+    createObjectChangeCommand,
+    createTransformCommand,
+    createAddObjectsCommand,
+    createRemoveObjectsCommand,
+    captureMaterialState,
+    createMaterialCommand,
+    captureGeometryState,
+    createGeometryCommand,
+    captureLightState,
+    createLightCommand,
+    capturePhysicsState,
+    createPhysicsCommand,
+    captureAnimationState,
+    createAnimationCommand,
+    createSettingsCommand,
+    createCompositeCommand
+} from './commands.js';
 import { frameObjects, frameWorkspace, animateCameraTo } from './camera-utils.js';
+import { initOutliner } from './outliner.js';
+import { initGeometryPanel } from './geometry-panel.js';
+import { setGeometryParam } from './geometry.js';
+import { addLight, addDefaultLights, initLightHelpers, serializeLight, setLightProperty } from './lights.js';
+import { getSelectionMaterials, serializeMaterial, setMaterialProperty, setMaterialMap, getMaterialUV, setMaterialUV } from './materials.js';
+import { TEXTURE_SLOTS, registerAsset, readImageFile, onTextureLoaded } from './textures.js';
+import { isModelFile, loadModelFile } from './models.js';
+import { getSceneSettings, getSceneUnits, setSceneUnits, onSceneSettingsChanged, getEnvironmentSettings, updateEnvironmentSettings, getAnimationSettings, updateAnimationSettings } from './settings.js';
+import { initEnvironment, readEnvironmentFile } from './environment.js';
+import { initAutosave } from './autosave.js';
+import { isStorageAvailable } from './storage.js';
+import { listProjects, loadProject, saveProject, renameProject, duplicateProject, deleteProject, captureThumbnail } from './projects.js';
+import { initProjectPanel } from './project-panel.js';
+import { alignObjects, distributeObjects } from './align.js';
+import { dropObjects, settleObjects } from './gravity.js';
+import { getPhysicsProps, getPhysicsShape, sanitizePhysicsProps } from './physics.js';
+import { initPlayMode, PLAY_STATES } from './play-mode.js';
+import { getAnimation, setKeyframes, removeKeyframes, setTrackInterpolation, getKeyframeTimes, applyAnimationAt } from './animation.js';
+import { initTimelinePanel } from './timeline-panel.js';
+import { initObjectSnap } from './object-snap.js';
+import { initPlacement } from './placement.js';
+import { initSolidObjects } from './solid-objects.js';
+import { computePatternTransforms, createPatternCopies, createPatternPreview } from './pattern.js';
 
 const container = document.getElementById('canvas-container');
 
@@ -17,6 +63,7 @@ let orbit = null;
 let scene = null;
 let camera = null;
 let renderer = null;
+let lightHelpers = null;
 
 // Track if camera animation is active to prevent OrbitControls interference
 let cameraAnimationActive = false;
@@ -31,6 +78,7 @@ const requestRender = () => {
             orbit.update();
         }
         if (renderer && scene && camera) {
+            if (lightHelpers) lightHelpers.update();
             renderer.render(scene, camera);
         }
     });
@@ -43,6 +91,12 @@ renderer = sceneInit.renderer;
 const gridHelper = sceneInit.gridHelper;
 const axesHelper = sceneInit.axesHelper;
 
+initEnvironment(scene, renderer, requestRender);
+
+// Lighting is made of ordinary editable objects; start with the standard rig
+lightHelpers = initLightHelpers(scene);
+addDefaultLights(scene);
+
 // Ensure initial render happens immediately
 requestRender();
 
@@ -54,6 +108,12 @@ let snapConfig = {
     scale: 0.1
 };
 let history = null;
+let outliner = null;
+let autosave = null;
+let timeline = null;
+let currentProject = null; // { id, name } of the open library project, null for an unsaved scene
+let projectDirty = false; // Edited since the project was opened or saved
+let patternSource = null; // Object the open pattern tool copies
 let firstObjectCreated = false; // Track if first object has been created for auto-framing
 
 const ui = {
@@ -69,27 +129,143 @@ const ui = {
     panel: document.getElementById('properties-panel'),
     selId: document.getElementById('selected-id'),
     dims: document.getElementById('dims-label'),
+    parentLabel: document.getElementById('parent-label'),
+    deleteBtn: document.getElementById('delete-btn'),
     modeButtons: {
         translate: document.getElementById('mode-translate'),
         rotate: document.getElementById('mode-rotate'),
         scale: document.getElementById('mode-scale')
     },
+    lightSection: document.getElementById('light-section'),
+    lightRows: document.querySelectorAll('#light-section [data-light-prop]'),
+    light: {
+        color: document.getElementById('light-color'),
+        groundColor: document.getElementById('light-ground-color'),
+        intensity: document.getElementById('light-intensity'),
+        distance: document.getElementById('light-distance'),
+        angle: document.getElementById('light-angle'),
+        penumbra: document.getElementById('light-penumbra'),
+        castShadow: document.getElementById('light-cast-shadow')
+    },
+    materialSection: document.getElementById('material-section'),
+    material: {
+        color: document.getElementById('mat-color'),
+        metalness: document.getElementById('mat-metalness'),
+        roughness: document.getElementById('mat-roughness'),
+        emissive: document.getElementById('mat-emissive'),
+        emissiveIntensity: document.getElementById('mat-emissive-intensity'),
+        opacity: document.getElementById('mat-opacity'),
+        transparent: document.getElementById('mat-transparent'),
+        flatShading: document.getElementById('mat-flat-shading'),
+        doubleSided: document.getElementById('mat-double-sided')
+    },
+    uv: {
+        repeatU: document.getElementById('uv-repeat-u'),
+        repeatV: document.getElementById('uv-repeat-v'),
+        offsetU: document.getElementById('uv-offset-u'),
+        offsetV: document.getElementById('uv-offset-v'),
+        rotation: document.getElementById('uv-rotation')
+    },
+    physicsSection: document.getElementById('physics-section'),
+    physicsNote: document.getElementById('physics-note'),
+    physics: {
+        static: document.getElementById('physics-static'),
+        mass: document.getElementById('physics-mass'),
+        friction: document.getElementById('physics-friction'),
+        restitution: document.getElementById('physics-restitution')
+    },
+    textureSlots: document.querySelectorAll('.texture-slot[data-slot]'),
+    textureInput: document.getElementById('texture-input'),
     snapTranslate: document.getElementById('snap-translate'),
     snapRotate: document.getElementById('snap-rotate'),
     snapScale: document.getElementById('snap-scale')
 };
 
-function updateUI(object) {
+// Numeric fields get a new edit key each time they gain focus; commits made while a field keeps
+// focus (Enter, spinner clicks) share the key and merge into one history step per field edit
+const fieldEditKeys = new WeakMap();
+let fieldEditCount = 0;
+document.addEventListener('focusin', (event) => {
+    if (event.target.type === 'number') fieldEditKeys.set(event.target, ++fieldEditCount);
+});
+
+// Continuous edits (gizmo drags, typing in a field) become one undo step: the state is
+// captured at the first change and the command is recorded when the edit ends
+function createEditSession(capture, createCommand) {
+    let pending = null;
+    return {
+        begin: () => {
+            if (pending) return;
+            pending = {
+                state: capture(),
+                selection: selectionManager.getSelection(),
+                mergeKey: fieldEditKeys.get(document.activeElement) || null
+            };
+        },
+        commit: (...args) => {
+            if (!pending) return;
+            const { state, selection, mergeKey } = pending;
+            pending = null;
+            history.push(createCommand(state, ...args), { selectionBefore: selection, mergeKey });
+        }
+    };
+}
+
+// Readable subject for history labels: the object's name, or a count for several objects
+function describeObjects(objects) {
+    if (objects.length !== 1) return `${objects.length} objects`;
+    return objects[0].userData.name || objects[0].userData.type;
+}
+
+// Geometry parameters: fields show the active primitive; edits apply to selected objects of the same type
+function getGeometryTargets() {
+    const active = selectionManager.getSelected();
+    if (!active) return [];
+    return selectionManager.getSelection().filter((obj) => obj.userData.type === active.userData.type);
+}
+
+const geometryEdit = createEditSession(
+    () => captureGeometryState(getGeometryTargets()),
+    (before) => createGeometryCommand(`Edit ${describeObjects(before.map((state) => state.object))} geometry`, before)
+);
+const geometryPanel = initGeometryPanel(document.getElementById('geometry-section'), {
+    onChange: (key, value) => {
+        const targets = getGeometryTargets();
+        if (targets.length === 0) return;
+        geometryEdit.begin();
+        targets.forEach((obj) => setGeometryParam(obj, key, value));
+        selectionManager.refreshPivot();
+        updateUI(selectionManager.getSelection());
+        requestRender();
+    },
+    onCommit: () => geometryEdit.commit()
+});
+
+// Properties panel reflects the whole selection; the last-selected object is the active one
+function updateUI(selection = []) {
+    syncPatternTool(selection);
+    const object = selection.length > 0 ? selection[selection.length - 1] : null;
     if (!object) {
         ui.panel.style.display = 'none';
         return;
     }
     ui.panel.style.display = 'block';
     const displayName = object.userData.name || object.userData.type || 'Unknown';
-    ui.selId.textContent = `${displayName} (${object.userData.type})`;
-    ui.posX.value = object.position.x.toFixed(2);
-    ui.posY.value = object.position.y.toFixed(2);
-    ui.posZ.value = object.position.z.toFixed(2);
+    const isMulti = selection.length > 1;
+
+    // Multi-selection: position shows the shared pivot, rotation/scale show the active object
+    const position = isMulti ? selectionManager.getSelectionCenter() : object.position;
+    ui.selId.textContent = isMulti
+        ? `${selection.length} objects (active: ${displayName})`
+        : `${displayName} (${object.userData.type})`;
+    ui.deleteBtn.textContent = isMulti ? `Delete ${selection.length} Objects` : 'Delete Object';
+
+    // Child transforms are shown relative to their parent
+    const parent = isMulti ? null : getEditableParent(object);
+    ui.parentLabel.textContent = parent ? `Parent: ${parent.userData.name} (local transform)` : '';
+    ui.posX.value = position.x.toFixed(2);
+    ui.posY.value = position.y.toFixed(2);
+    ui.posZ.value = position.z.toFixed(2);
     ui.rotX.value = (object.rotation.x * 180 / Math.PI).toFixed(1);
     ui.rotY.value = (object.rotation.y * 180 / Math.PI).toFixed(1);
     ui.rotZ.value = (object.rotation.z * 180 / Math.PI).toFixed(1);
@@ -98,48 +274,217 @@ function updateUI(object) {
     ui.scaleZ.value = object.scale.z.toFixed(2);
     
     // Professional dimension display
-    const box = new THREE.Box3().setFromObject(object);
+    const box = new THREE.Box3();
+    selection.forEach((obj) => box.expandByObject(obj));
     const size = box.getSize(new THREE.Vector3());
-    ui.dims.textContent = `Dimensions: ${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)}`;
+    // Lights have no extent
+    ui.dims.textContent = box.isEmpty() ? '' : `Dimensions: ${size.x.toFixed(2)} × ${size.y.toFixed(2)} × ${size.z.toFixed(2)}`;
+
+    geometryPanel.update(object);
+    updateLightUI(selection);
+    updateMaterialUI(selection);
+    updatePhysicsUI(selection);
+}
+
+// Light fields show the active light; rows the light type lacks are hidden
+function updateLightUI(selection) {
+    const object = selection[selection.length - 1];
+    const isLight = !!object && object.isLight;
+    ui.lightSection.style.display = isLight ? 'block' : 'none';
+    if (!isLight) return;
+
+    const data = serializeLight(object);
+    const toHexString = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+    ui.lightRows.forEach((row) => {
+        row.style.display = data[row.dataset.lightProp] === undefined ? 'none' : '';
+    });
+    ui.light.color.value = toHexString(data.color);
+    ui.light.intensity.value = data.intensity.toFixed(2);
+    if (data.groundColor !== undefined) ui.light.groundColor.value = toHexString(data.groundColor);
+    if (data.distance !== undefined) ui.light.distance.value = data.distance.toFixed(2);
+    if (data.angle !== undefined) ui.light.angle.value = (data.angle * 180 / Math.PI).toFixed(1);
+    if (data.penumbra !== undefined) ui.light.penumbra.value = data.penumbra.toFixed(2);
+    if (data.castShadow !== undefined) ui.light.castShadow.checked = data.castShadow;
 }
 
-let transformSnapshotTaken = false;
+// Material fields show the active object's material; edits apply to every selected material
+function updateMaterialUI(selection) {
+    const materials = getSelectionMaterials(selection);
+    ui.materialSection.style.display = materials.length > 0 ? 'block' : 'none';
+    if (materials.length === 0) return;
+
+    const data = serializeMaterial(materials[materials.length - 1]);
+    const toHexString = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+    ui.material.color.value = toHexString(data.color);
+    ui.material.metalness.value = data.metalness.toFixed(2);
+    ui.material.roughness.value = data.roughness.toFixed(2);
+    ui.material.emissive.value = toHexString(data.emissive);
+    ui.material.emissiveIntensity.value = data.emissiveIntensity.toFixed(2);
+    ui.material.opacity.value = data.opacity.toFixed(2);
+    ui.material.transparent.checked = data.transparent;
+    ui.material.flatShading.checked = data.flatShading;
+    ui.material.doubleSided.checked = data.doubleSided;
+
+    const active = materials[materials.length - 1];
+    ui.textureSlots.forEach((row) => {
+        const texture = active[row.dataset.slot];
+        row.querySelector('.texture-name').textContent = texture ? (texture.name || 'Embedded image') : 'None';
+    });
+
+    const uv = getMaterialUV(active);
+    ui.uv.repeatU.value = uv.repeat[0].toFixed(2);
+    ui.uv.repeatV.value = uv.repeat[1].toFixed(2);
+    ui.uv.offsetU.value = uv.offset[0].toFixed(2);
+    ui.uv.offsetV.value = uv.offset[1].toFixed(2);
+    ui.uv.rotation.value = (uv.rotation * 180 / Math.PI).toFixed(1);
+}
+
+// Physics fields show the active object's properties; edits apply to every selected non-light object
+function updatePhysicsUI(selection) {
+    const objects = getPhysicsTargets(selection);
+    ui.physicsSection.style.display = objects.length > 0 ? 'block' : 'none';
+    if (objects.length === 0) return;
+
+    const props = getPhysicsProps(objects[objects.length - 1]);
+    ui.physics.static.checked = props.static;
+    ui.physics.mass.value = props.mass.toFixed(2);
+    ui.physics.friction.value = props.friction.toFixed(2);
+    ui.physics.restitution.value = props.restitution.toFixed(2);
+    // Play mode moves top-level objects as a whole
+    if (objects.some(getEditableParent)) {
+        ui.physicsNote.textContent = 'Grouped objects move with their group and use its settings';
+    } else {
+        const shapes = new Set(objects.map(getPhysicsShape));
+        ui.physicsNote.textContent = shapes.size === 1 ? `Collides as a ${[...shapes][0]}` : '';
+    }
+}
+
+// History labels for gizmo modes and transform fields
+const TRANSFORM_VERBS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+const transformEdit = createEditSession(
+    () => captureObjectState(selectionManager.getSelection()),
+    (before, verb) => createTransformCommand(`${verb} ${describeObjects(before.map((state) => state.object))}`, before)
+);
+
 const { orbit: orbitCtrl, transform, isDragging: getIsDragging } = initControls(camera, renderer, scene, {
-    onTransformChange: (obj) => {
-        updateUI(obj);
+    onTransformChange: () => {
+        objectSnap.updateDrag(transform.axis);
+        // Multi-selection drags move a shared pivot; carry that movement over to the objects
+        // (solid objects checks the result and may hold the gizmo back first)
+        solidObjects.updateDrag(() => selectionManager.applyPivotTransform());
+        updateUI(selectionManager.getSelection());
     },
     onTransformStart: () => {
-        if (!transformSnapshotTaken && history) {
-            history.record();
-            transformSnapshotTaken = true;
+        // Dragging while the timeline plays would fight the animation
+        if (timeline) timeline.pause();
+        if (history) transformEdit.begin();
+        // Object snapping applies to moves only
+        if (transform.mode === 'translate') {
+            objectSnap.beginDrag(transform.object, getTopLevelObjects(selectionManager.getSelection()));
         }
+        solidObjects.beginDrag(transform.object, selectionManager.getSelection(), transform.mode);
     },
     onTransformEnd: () => {
-        transformSnapshotTaken = false;
+        objectSnap.endDrag();
+        solidObjects.endDrag();
+        transformEdit.commit(TRANSFORM_VERBS[transform.mode]);
         requestRender();
     },
     requestRender
 });
 orbit = orbitCtrl;
 
+// Snapping to other objects' vertices, edges, faces and bounds; grid snapping still applies first
+const objectSnap = initObjectSnap(scene, camera, renderer.domElement);
+// Optional: moves stop at contact with other meshes
+const solidObjects = initSolidObjects(scene, requestRender);
+
 selectionManager = initSelection(
     camera,
     renderer.domElement,
     transform,
-    (obj) => {
-    updateUI(obj);
+    (active, selection) => {
+        updateUI(selection);
+        if (outliner) outliner.refresh();
+        if (timeline) timeline.refresh();
+        if (autosave) autosave.markDirty();
     },
     requestRender,
     getIsDragging,
-    orbit
+    orbit,
+    scene
 );
 
 history = createHistory({
-    serialize: () => serializeScene(camera, orbit),
-    load: (data) => loadSceneData(data, scene, selectionManager, camera, orbit),
-    requestRender
+    getSelection: () => selectionManager.getSelection(),
+    // Objects the undone/redone step took out of the scene drop out of the selection
+    setSelection: (objects) => selectionManager.setSelection(objects.filter(isObjectRegistered))
+});
+initHistoryPanel(document.getElementById('history-list'), history);
+
+// Play mode simulates physics on the live objects; the scene is read-only until Reset
+const playButtons = {
+    play: document.getElementById('play-btn'),
+    pause: document.getElementById('pause-btn'),
+    reset: document.getElementById('reset-btn')
+};
+const playMode = initPlayMode({
+    onStep: requestRender,
+    onStateChange: (state) => {
+        const active = state !== PLAY_STATES.STOPPED;
+        document.body.classList.toggle('simulating', active);
+        selectionManager.setEnabled(!active);
+        playButtons.play.disabled = state === PLAY_STATES.PLAYING;
+        playButtons.play.textContent = state === PLAY_STATES.PAUSED ? 'Resume' : 'Play';
+        playButtons.pause.disabled = state !== PLAY_STATES.PLAYING;
+        playButtons.reset.disabled = !active;
+    }
+});
+playButtons.play.addEventListener('click', () => {
+    if (!playMode.isActive()) {
+        placement.cancel();
+        timeline.pause();
+        selectionManager.deselect();
+    }
+    playMode.play();
+});
+playButtons.pause.addEventListener('click', () => playMode.pause());
+playButtons.reset.addEventListener('click', () => playMode.reset());
+
+// Crash recovery: every history step schedules an autosave; view changes ride along with the periodic one
+autosave = initAutosave({
+    getSnapshot: () => ({
+        // Mid-simulation positions aren't edits; keep the scene as it was before Play
+        scene: playMode.withEditState(() => serializeScene(camera, orbit)),
+        editor: {
+            selection: selectionManager.getSelection().map((obj) => obj.userData.id),
+            snap: { enabled: snapEnabled, ...snapConfig },
+            objectSnap: objectSnap.getSettings(),
+            solidObjects: solidObjects.isEnabled(),
+            timelineLoop: timeline.isLooping(),
+            project: currentProject,
+            projectDirty
+        }
+    }),
+    getObjectCount: countSceneObjects
+});
+history.onChange(autosave.markChanged);
+orbit.addEventListener('change', autosave.markDirty);
+
+outliner = initOutliner(document.getElementById('outliner-tree'), {
+    selectionManager,
+    onReparent: (object, parent) => {
+        const before = captureObjectState([object]);
+        if (!setObjectParent(object, parent, scene)) {
+            showNotification('Cannot move an object into its own child', 'warning');
+            return;
+        }
+        history.push(createObjectChangeCommand(`Reparent ${describeObjects([object])}`, before));
+        selectionManager.refreshPivot();
+        updateUI(selectionManager.getSelection());
+        requestRender();
+    }
 });
-history.record(); // initial empty state
 
 // Frame workspace after controls are initialized with smooth animation
 // Only on initial load, not during object creation
@@ -183,13 +528,15 @@ function applySnap() {
         transform.setRotationSnap(null);
         transform.setScaleSnap(null);
     }
+    // The pattern preview follows the snap settings
+    if (patternSource) refreshPattern();
 }
 
 // Professional frame functions using camera utilities
 function frameSelected() {
     try {
-        const selected = selectionManager.getSelected();
-        if (!selected) {
+        const selection = selectionManager.getSelection();
+        if (selection.length === 0) {
             showNotification('No object selected. Please select an object first.', 'warning');
             return;
         }
@@ -200,7 +547,7 @@ function frameSelected() {
             orbit.enabled = false;
         }
         
-        const frame = frameObjects([selected], camera, 0.3);
+        const frame = frameObjects(selection, camera, 0.3);
         if (frame && frame.position && frame.target) {
             // Smooth animation without OrbitControls interference
             animateCameraTo(
@@ -220,7 +567,10 @@ function frameSelected() {
                 }
             }, 450);
             
-            showNotification('Framed selected object', 'success');
+            showNotification(
+                selection.length > 1 ? `Framed ${selection.length} selected objects` : 'Framed selected object',
+                'success'
+            );
         } else {
             console.error('Invalid frame data:', frame);
             if (orbit) {
@@ -338,20 +688,28 @@ function isObjectInView(object, camera) {
     input.addEventListener('input', (e) => {
         const selected = selectionManager.getSelected();
         if (selected) {
-            if (!transformSnapshotTaken) {
-                history.record();
-                transformSnapshotTaken = true;
-            }
+            transformEdit.begin();
             const value = snapEnabled 
                 ? Math.round(Number(e.target.value) / snapConfig.translate) * snapConfig.translate
                 : e.target.value;
-            updateObjectPosition(selected, axis, value);
+            const selection = selectionManager.getSelection();
+            solidObjects.constrainEdit(selection, () => {
+                if (selection.length > 1) {
+                    updateSelectionPosition(getTopLevelObjects(selection), selectionManager.getSelectionCenter(), axis, value);
+                } else {
+                    updateObjectPosition(selected, axis, value);
+                }
+            });
+            if (selection.length > 1) selectionManager.refreshPivot();
             requestRender();
         }
     });
-    input.addEventListener('blur', () => {
-        transformSnapshotTaken = false;
+    input.addEventListener('change', () => {
+        transformEdit.commit(TRANSFORM_VERBS.translate);
+        // A solid-objects stop leaves the typed value behind; show where the object ended up
+        if (solidObjects.isEnabled()) updateUI(selectionManager.getSelection());
     });
+    input.addEventListener('blur', () => transformEdit.commit(TRANSFORM_VERBS.translate));
 });
 
 ['x', 'y', 'z'].forEach((axis) => {
@@ -359,20 +717,25 @@ function isObjectInView(object, camera) {
     input.addEventListener('input', (e) => {
         const selected = selectionManager.getSelected();
         if (selected) {
-            if (!transformSnapshotTaken) {
-                history.record();
-                transformSnapshotTaken = true;
-            }
+            transformEdit.begin();
             const value = snapEnabled
                 ? Math.round(Number(e.target.value) / snapConfig.rotateDeg) * snapConfig.rotateDeg
                 : e.target.value;
-            updateObjectRotationDeg(selected, axis, value);
+            const selection = selectionManager.getSelection();
+            // Several objects turn together about the selection center, like the gizmo turns them
+            solidObjects.constrainEdit(selection, () => {
+                if (selection.length > 1) {
+                    selectionManager.applySelectionTransform(getSelectionRotation(selected, selectionManager.getSelectionCenter(), axis, value));
+                } else {
+                    updateObjectRotationDeg(selected, axis, value);
+                }
+            });
+            selectionManager.refreshPivot();
             requestRender();
         }
     });
-    input.addEventListener('blur', () => {
-        transformSnapshotTaken = false;
-    });
+    input.addEventListener('change', () => transformEdit.commit(TRANSFORM_VERBS.rotate));
+    input.addEventListener('blur', () => transformEdit.commit(TRANSFORM_VERBS.rotate));
 });
 
 ['x', 'y', 'z'].forEach((axis) => {
@@ -380,32 +743,215 @@ function isObjectInView(object, camera) {
     input.addEventListener('input', (e) => {
         const selected = selectionManager.getSelected();
         if (selected) {
-            if (!transformSnapshotTaken) {
-                history.record();
-                transformSnapshotTaken = true;
-            }
+            transformEdit.begin();
             const value = snapEnabled
                 ? Math.round(Number(e.target.value) / snapConfig.scale) * snapConfig.scale
                 : e.target.value;
-            updateObjectScale(selected, axis, value);
+            const selection = selectionManager.getSelection();
+            solidObjects.constrainEdit(selection, () => {
+                if (selection.length > 1) {
+                    selectionManager.applySelectionTransform(getSelectionScale(selected, selectionManager.getSelectionCenter(), axis, value));
+                } else {
+                    updateObjectScale(selected, axis, value);
+                }
+            });
+            selectionManager.refreshPivot();
             requestRender();
         }
     });
-    input.addEventListener('blur', () => {
-        transformSnapshotTaken = false;
+    input.addEventListener('change', () => transformEdit.commit(TRANSFORM_VERBS.scale));
+    input.addEventListener('blur', () => transformEdit.commit(TRANSFORM_VERBS.scale));
+});
+
+// Light editor: edits apply to every selected light that has the property
+const getSelectedLights = () => selectionManager.getSelection().filter((obj) => obj.isLight);
+const lightEdit = createEditSession(
+    () => captureLightState(getSelectedLights()),
+    (before) => createLightCommand(`Edit ${describeObjects(before.map((state) => state.light))}`, before)
+);
+Object.entries(ui.light).forEach(([key, input]) => {
+    const isCheckbox = input.type === 'checkbox';
+
+    input.addEventListener(isCheckbox ? 'change' : 'input', () => {
+        const lights = getSelectedLights();
+        if (lights.length === 0) return;
+        lightEdit.begin();
+        let value = isCheckbox ? input.checked : input.value;
+        if (key === 'angle') value = (safeParseNumber(value, 30) * Math.PI) / 180;
+        lights.forEach((light) => setLightProperty(light, key, value));
+        if (isCheckbox) lightEdit.commit();
+        requestRender();
     });
+
+    if (!isCheckbox) {
+        input.addEventListener('change', () => lightEdit.commit());
+        input.addEventListener('blur', () => lightEdit.commit());
+    }
 });
 
-const addButtons = {
-    [OBJECT_TYPES.BOX]: document.getElementById('add-box'),
-    [OBJECT_TYPES.SPHERE]: document.getElementById('add-sphere'),
-    [OBJECT_TYPES.CYLINDER]: document.getElementById('add-cylinder')
-};
+// Physics properties: one history step per field edit, like the light fields
+function getPhysicsTargets(selection = selectionManager.getSelection()) {
+    return selection.filter((obj) => !obj.isLight);
+}
+const physicsEdit = createEditSession(
+    () => capturePhysicsState(getPhysicsTargets()),
+    (before) => createPhysicsCommand(`Edit ${describeObjects(before.map((state) => state.object))} physics`, before)
+);
+Object.entries(ui.physics).forEach(([key, input]) => {
+    const isCheckbox = input.type === 'checkbox';
+
+    input.addEventListener(isCheckbox ? 'change' : 'input', () => {
+        const objects = getPhysicsTargets();
+        if (objects.length === 0) return;
+        physicsEdit.begin();
+        const value = isCheckbox ? input.checked : safeParseNumber(input.value, PHYSICS_BODY_DEFAULTS[key]);
+        // Each edit replaces the properties object, which is what the history keeps
+        objects.forEach((obj) => {
+            obj.userData.physics = sanitizePhysicsProps({ ...getPhysicsProps(obj), [key]: value });
+        });
+        if (isCheckbox) physicsEdit.commit();
+    });
+
+    if (!isCheckbox) {
+        input.addEventListener('change', () => {
+            physicsEdit.commit();
+            updatePhysicsUI(selectionManager.getSelection());
+        });
+        input.addEventListener('blur', () => physicsEdit.commit());
+    }
+});
+
+function addLightWithHistory(type) {
+    const selectionBefore = selectionManager.getSelection();
+    const light = addLight(scene, type);
+    if (!light) return;
+    selectionManager.selectObject(light);
+    history.push(createAddObjectsCommand(`Add ${describeObjects([light])}`, [light]), { selectionBefore });
+    requestRender();
+}
+
+document.querySelectorAll('[data-add-light]').forEach((button) => {
+    button.addEventListener('click', () => addLightWithHistory(button.dataset.addLight));
+});
+
+// Material editor: one history step per field edit, like the transform inputs
+const materialEdit = createEditSession(
+    () => captureMaterialState(getSelectionMaterials(selectionManager.getSelection())),
+    (before) => createMaterialCommand(`Edit ${describeObjects(selectionManager.getSelection())} material`, before)
+);
+Object.entries(ui.material).forEach(([key, input]) => {
+    const isCheckbox = input.type === 'checkbox';
+
+    input.addEventListener(isCheckbox ? 'change' : 'input', () => {
+        const materials = getSelectionMaterials(selectionManager.getSelection());
+        if (materials.length === 0) return;
+        materialEdit.begin();
+
+        const value = isCheckbox ? input.checked : input.value;
+        materials.forEach((material) => setMaterialProperty(material, key, value));
+
+        // Opacity has no visible effect on opaque materials, so lowering it enables transparency
+        if (key === 'opacity' && Number(value) < 1 && !ui.material.transparent.checked) {
+            materials.forEach((material) => setMaterialProperty(material, 'transparent', true));
+            ui.material.transparent.checked = true;
+        }
+
+        if (isCheckbox) materialEdit.commit();
+        requestRender();
+    });
+
+    if (!isCheckbox) {
+        input.addEventListener('change', () => materialEdit.commit());
+        input.addEventListener('blur', () => materialEdit.commit());
+    }
+});
+
+// Texture maps: images are embedded in the scene's asset table, keyed by content hash
+let pendingTextureSlot = null;
+
+function assignTexture(slot, assetId, name = '') {
+    const selection = selectionManager.getSelection();
+    const materials = getSelectionMaterials(selection);
+    if (materials.length === 0) return;
+    const before = captureMaterialState(materials);
+    materials.forEach((material) => {
+        setMaterialMap(material, slot, assetId);
+        if (material[slot]) material[slot].name = name;
+    });
+    history.push(createMaterialCommand(`${assetId ? 'Set' : 'Clear'} ${describeObjects(selection)} texture`, before));
+    updateMaterialUI(selection);
+    requestRender();
+}
+
+ui.textureSlots.forEach((row) => {
+    const slot = row.dataset.slot;
+    row.querySelector('[data-action="load"]').addEventListener('click', () => {
+        pendingTextureSlot = slot;
+        ui.textureInput.click();
+    });
+    row.querySelector('[data-action="clear"]').addEventListener('click', () => {
+        assignTexture(slot, null);
+    });
+});
+
+ui.textureInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    const slot = pendingTextureSlot;
+    ui.textureInput.value = '';
+    pendingTextureSlot = null;
+    if (!file || !TEXTURE_SLOTS.includes(slot)) return;
+
+    try {
+        const assetId = registerAsset(await readImageFile(file));
+        if (!assetId) throw new Error('Unsupported image format');
+        assignTexture(slot, assetId, file.name);
+    } catch (error) {
+        showNotification('Failed to load texture: ' + error.message, 'error');
+    }
+});
+
+// Images decode asynchronously; redraw once they are ready
+onTextureLoaded(() => requestRender());
+
+// UV transform (shared by all maps of a material)
+Object.values(ui.uv).forEach((input) => {
+    input.addEventListener('input', () => {
+        const materials = getSelectionMaterials(selectionManager.getSelection());
+        if (materials.length === 0) return;
+        materialEdit.begin();
+        const uv = {
+            repeat: [safeParseNumber(ui.uv.repeatU.value, 1), safeParseNumber(ui.uv.repeatV.value, 1)],
+            offset: [safeParseNumber(ui.uv.offsetU.value, 0), safeParseNumber(ui.uv.offsetV.value, 0)],
+            rotation: (safeParseNumber(ui.uv.rotation.value, 0) * Math.PI) / 180
+        };
+        materials.forEach((material) => setMaterialUV(material, uv));
+        requestRender();
+    });
+    input.addEventListener('change', () => materialEdit.commit());
+    input.addEventListener('blur', () => materialEdit.commit());
+});
+
+const primitiveAdder = (type) => (targetScene, options) => addPrimitive(targetScene, type, options);
+
+// Add-object buttons and their keyboard shortcuts
+const ADD_ACTIONS = [
+    { type: OBJECT_TYPES.BOX, button: 'add-box', key: 'b', add: addBox },
+    { type: OBJECT_TYPES.SPHERE, button: 'add-sphere', key: 's', add: addSphere },
+    { type: OBJECT_TYPES.CYLINDER, button: 'add-cylinder', key: 'c', add: addCylinder },
+    { type: OBJECT_TYPES.CONE, button: 'add-cone', key: 'n', add: primitiveAdder(OBJECT_TYPES.CONE) },
+    { type: OBJECT_TYPES.TORUS, button: 'add-torus', key: 'o', add: primitiveAdder(OBJECT_TYPES.TORUS) },
+    { type: OBJECT_TYPES.PLANE, button: 'add-plane', key: 'p', add: primitiveAdder(OBJECT_TYPES.PLANE) },
+    { type: OBJECT_TYPES.CAPSULE, button: 'add-capsule', key: 'u', add: primitiveAdder(OBJECT_TYPES.CAPSULE) },
+    { type: OBJECT_TYPES.ICOSPHERE, button: 'add-icosphere', key: 'i', add: primitiveAdder(OBJECT_TYPES.ICOSPHERE) },
+    { type: OBJECT_TYPES.TORUS_KNOT, button: 'add-torus-knot', key: 'k', add: primitiveAdder(OBJECT_TYPES.TORUS_KNOT) },
+    { type: OBJECT_TYPES.RING, button: 'add-ring', key: 'r', add: primitiveAdder(OBJECT_TYPES.RING) }
+];
 
 // Professional object creation - instant, stable, with smart camera targeting
-function addObjectWithHistory(type, addFn) {
+// `position` (from click-to-place) is used as is: already snapped, and the user chose the spot
+function addObjectWithHistory(type, addFn, position = null) {
     if (!history) return;
-    history.record();
+    const selectionBefore = selectionManager.getSelection();
     
     // Temporarily disable OrbitControls updates to prevent jitter
     const wasOrbitEnabled = orbit ? orbit.enabled : true;
@@ -414,7 +960,7 @@ function addObjectWithHistory(type, addFn) {
     }
     
     // Create object with snap-to-grid option and conflict prevention
-    const obj = addFn(scene, { 
+    const obj = addFn(scene, position ? { position, checkOverlap: false } : {
         snapToGrid: snapEnabled,
         gridSize: snapConfig.translate || 1,
         checkOverlap: true
@@ -437,6 +983,7 @@ function addObjectWithHistory(type, addFn) {
         
         // Auto-select the new object
         selectionManager.selectObject(obj);
+        history.push(createAddObjectsCommand(`Add ${describeObjects([obj])}`, [obj]), { selectionBefore });
         
         // NO CAMERA MOVEMENT - Keep user's camera alignment exactly as they set it
         // User can manually frame if needed using Frame Selected button (F key)
@@ -471,31 +1018,45 @@ function frameNewObject(object) {
     animateCameraTo(camera, frame.position, frame.target, orbit, requestRender, 400);
 }
 
-addButtons[OBJECT_TYPES.BOX].addEventListener('click', () => {
-    addObjectWithHistory(OBJECT_TYPES.BOX, addBox);
+// Click-to-place: with "Click to Place" on, choosing a primitive attaches a ghost to the cursor
+const placeModeToggle = document.getElementById('place-mode-toggle');
+const placement = initPlacement(scene, camera, container, renderer.domElement, {
+    getGridSize: () => (snapEnabled ? snapConfig.translate : 0),
+    objectSnap,
+    onPlace: (type, position) => {
+        const action = ADD_ACTIONS.find((entry) => entry.type === type);
+        if (action) addObjectWithHistory(type, action.add, position);
+    },
+    onChange: requestRender
 });
 
-addButtons[OBJECT_TYPES.SPHERE].addEventListener('click', () => {
-    addObjectWithHistory(OBJECT_TYPES.SPHERE, addSphere);
+function chooseAddAction(action) {
+    if (placeModeToggle.checked) {
+        placement.start(action.type);
+    } else {
+        addObjectWithHistory(action.type, action.add);
+    }
+}
+
+placeModeToggle.addEventListener('change', () => {
+    if (!placeModeToggle.checked) placement.cancel();
 });
 
-addButtons[OBJECT_TYPES.CYLINDER].addEventListener('click', () => {
-    addObjectWithHistory(OBJECT_TYPES.CYLINDER, addCylinder);
+ADD_ACTIONS.forEach((action) => {
+    document.getElementById(action.button).addEventListener('click', () => chooseAddAction(action));
 });
 
-document.getElementById('delete-btn').addEventListener('click', () => {
-    const selected = selectionManager.getSelected();
-    if (!selected) return;
+function deleteSelected() {
+    const selection = selectionManager.getSelection();
+    if (selection.length === 0) return;
     try {
-        history.record();
-        transform.detach();
-        scene.remove(selected);
-        disposeObject(selected);
-        removeObjectFromRegistry(selected);
+        // Deleting a parent deletes its whole subtree; the objects are kept (not disposed) for undo
+        const roots = getTopLevelObjects(selection);
         selectionManager.deselect();
+        history.execute(createRemoveObjectsCommand(`Delete ${describeObjects(roots)}`, roots), { selectionBefore: selection });
         
-        // Reset first object flag if scene is now empty
-        if (getObjects().length === 0) {
+        // Reset first object flag if scene is now empty (lights alone don't count)
+        if (getObjects().every((obj) => obj.isLight)) {
             firstObjectCreated = false;
             // Reset OrbitControls target to scene center
             orbit.target.set(0, 1, 0);
@@ -505,18 +1066,355 @@ document.getElementById('delete-btn').addEventListener('click', () => {
     } catch (error) {
         console.error('Delete error:', error);
     }
-});
+}
 
-document.getElementById('clear-scene').addEventListener('click', () => {
-    if (!confirm('Clear all objects? This cannot be undone.')) return;
-    history.record();
+ui.deleteBtn.addEventListener('click', deleteSelected);
+
+// Wrap the selection in a group pivoted at the selection center (Ctrl+G)
+function groupSelected() {
+    const selection = selectionManager.getSelection();
+    if (selection.length === 0) {
+        showNotification('Select objects to group', 'warning');
+        return;
+    }
+    const members = getTopLevelObjects(selection);
+    const before = captureObjectState(members);
+    selectionManager.deselect();
+    const group = groupObjects(scene, selection);
+    if (group) {
+        selectionManager.selectObject(group);
+        history.push(createObjectStateCommand(
+            `Group ${describeObjects(members)}`,
+            [...captureRemovedState([group]), ...before],
+            captureObjectState([group, ...members])
+        ), { selectionBefore: selection });
+        showNotification(`Grouped ${getObjectSubtree(group).length - 1} object(s)`, 'success');
+    }
+    requestRender();
+}
+
+// Dissolve selected groups, keeping their members' world transforms (Ctrl+Shift+G)
+function ungroupSelected() {
+    const groups = selectionManager.getSelection().filter((obj) => obj.userData.type === OBJECT_TYPES.GROUP);
+    if (groups.length === 0) {
+        showNotification('Select a group to ungroup', 'warning');
+        return;
+    }
+    const entries = groups.map((group) => ({ group, children: getEditableChildren(group) }));
+    const before = captureObjectState(entries.flatMap(({ group, children }) => [group, ...children]));
     selectionManager.deselect();
-    const objects = [...getObjects()];
-    objects.forEach((obj) => {
-        scene.remove(obj);
-        disposeObject(obj);
+    const released = [];
+    groups.forEach((group) => released.push(...ungroupObject(group, scene)));
+    selectionManager.setSelection(released);
+    const after = entries.flatMap(({ group, children }) => [...captureRemovedState([group]), ...captureObjectState(children)]);
+    history.push(createObjectStateCommand(`Ungroup ${describeObjects(groups)}`, before, after), { selectionBefore: groups });
+    requestRender();
+}
+
+document.getElementById('group-btn').addEventListener('click', groupSelected);
+document.getElementById('ungroup-btn').addEventListener('click', ungroupSelected);
+
+// --- Copy / paste / duplicate ---
+
+// Add copies of the objects in scene data as one undo step and select them
+function addCopies(verb, data, parent = null) {
+    const selectionBefore = selectionManager.getSelection();
+    let result;
+    try {
+        result = pasteObjects(scene, data, { gridSize: snapEnabled ? snapConfig.translate : 1, parent });
+    } catch (error) {
+        showNotification(`Could not ${verb.toLowerCase()}: ` + error.message, 'error');
+        return;
+    }
+
+    const { roots, skippedCount } = result;
+    if (roots.length === 0) {
+        showNotification(`Nothing to ${verb.toLowerCase()}: no valid objects`, 'warning');
+        return;
+    }
+    selectionManager.setSelection(roots);
+    history.push(createAddObjectsCommand(`${verb} ${describeObjects(roots)}`, roots), { selectionBefore });
+    firstObjectCreated = true;
+
+    const count = roots.flatMap(getObjectSubtree).length;
+    if (skippedCount > 0) {
+        showNotification(`Added ${count} object(s), skipped ${skippedCount} invalid entries`, 'warning');
+    } else {
+        showNotification(`Added ${count} object(s)`, 'success');
+    }
+    requestRender();
+}
+
+// Copies stay with the originals' parent when they share one (Ctrl+D)
+function duplicateSelected() {
+    const roots = getTopLevelObjects(selectionManager.getSelection());
+    if (roots.length === 0) {
+        showNotification('Select objects to duplicate', 'warning');
+        return;
+    }
+    const parents = new Set(roots.map(getEditableParent));
+    addCopies('Duplicate', serializeObjects(roots), parents.size === 1 ? [...parents][0] : null);
+}
+
+function pasteText(text) {
+    const data = parseClipboardText(text);
+    if (!data) {
+        showNotification('The clipboard holds no editor objects', 'warning');
+        return;
+    }
+    addCopies('Paste', data);
+}
+
+const isTextField = (element) => !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.isContentEditable);
+
+// Ctrl+C/Ctrl+V arrive as clipboard events, which can use the system clipboard without a permission prompt.
+// Text fields and selected page text keep the browser's own copy/paste.
+document.addEventListener('copy', (event) => {
+    if (isTextField(event.target) || String(window.getSelection())) return;
+    const roots = getTopLevelObjects(selectionManager.getSelection());
+    if (roots.length === 0) return;
+    writeClipboardEvent(event, serializeObjectsToText(roots));
+    showNotification(`Copied ${describeObjects(roots)}`, 'info');
+});
+
+document.addEventListener('paste', (event) => {
+    if (isTextField(event.target) || playMode.isActive()) return;
+    event.preventDefault();
+    pasteText(event.clipboardData.getData('text/plain'));
+});
+
+document.getElementById('copy-btn').addEventListener('click', async () => {
+    const roots = getTopLevelObjects(selectionManager.getSelection());
+    if (roots.length === 0) {
+        showNotification('Select objects to copy', 'warning');
+        return;
+    }
+    const shared = await writeClipboardText(serializeObjectsToText(roots));
+    showNotification(`Copied ${describeObjects(roots)}${shared ? '' : ' (this tab only)'}`, 'info');
+});
+
+document.getElementById('paste-btn').addEventListener('click', async () => {
+    pasteText(await readClipboardText());
+});
+
+document.getElementById('duplicate-btn').addEventListener('click', duplicateSelected);
+
+// --- Align / distribute ---
+
+const alignAxisSelect = document.getElementById('align-axis');
+const alignTargetSelect = document.getElementById('align-target');
+const ALIGN_TARGET_LABELS = { first: 'first selected', selection: 'selection', grid: 'grid' };
+
+// Move objects with `arrange` as one undo step, labelled e.g. "Align 3 objects (min X to grid)";
+// `arrange` returns how many objects it moved
+function arrangeSelection(verb, detail, minCount, arrange, unchangedMessage = 'Objects are already arranged') {
+    const selection = selectionManager.getSelection();
+    const objects = getTopLevelObjects(selection);
+    if (objects.length < minCount) {
+        showNotification(`Select at least ${minCount} objects`, 'warning');
+        return;
+    }
+    const before = captureObjectState(objects);
+    if (arrange(objects) === 0) {
+        showNotification(unchangedMessage, 'info');
+        return;
+    }
+    const label = `${verb} ${describeObjects(objects)}${detail ? ` (${detail})` : ''}`;
+    history.push(createObjectChangeCommand(label, before), { selectionBefore: selection });
+    selectionManager.refreshPivot();
+    updateUI(selectionManager.getSelection());
+    requestRender();
+}
+
+document.querySelectorAll('.align-btn').forEach((button) => {
+    button.addEventListener('click', () => {
+        const axis = alignAxisSelect.value;
+        const target = alignTargetSelect.value;
+        const edge = button.dataset.edge;
+        // Aligning to the grid works for a single object too
+        arrangeSelection(
+            'Align',
+            `${edge} ${axis.toUpperCase()} to ${ALIGN_TARGET_LABELS[target]}`,
+            target === 'grid' ? 1 : 2,
+            (objects) => alignObjects(objects, { axis, edge, target, gridSize: snapConfig.translate })
+        );
+    });
+});
+
+document.querySelectorAll('.distribute-btn').forEach((button) => {
+    button.addEventListener('click', () => {
+        const axis = alignAxisSelect.value;
+        const mode = button.dataset.mode;
+        arrangeSelection(
+            'Distribute',
+            `${mode} on ${axis.toUpperCase()}`,
+            3,
+            (objects) => distributeObjects(objects, { axis, mode })
+        );
+    });
+});
+
+// --- Gravity: drop to floor / settle ---
+
+function dropSelected() {
+    arrangeSelection('Drop', '', 1, dropObjects, 'Objects are already resting');
+}
+
+function settleSelected() {
+    arrangeSelection('Settle', '', 1, (objects) => {
+        const { moved, settled } = settleObjects(objects);
+        if (!settled) showNotification('Some objects were still moving when settling stopped', 'warning');
+        return moved;
+    }, 'Objects are already resting');
+}
+
+document.getElementById('drop-btn').addEventListener('click', dropSelected);
+document.getElementById('settle-btn').addEventListener('click', settleSelected);
+
+// --- Pattern tool ---
+
+const patternUI = {
+    start: document.getElementById('pattern-start'),
+    fields: document.getElementById('pattern-fields'),
+    type: document.getElementById('pattern-type'),
+    count: document.getElementById('pattern-count'),
+    offset: ['x', 'y', 'z'].map((axis) => document.getElementById(`pattern-offset-${axis}`)),
+    gridCount: ['x', 'y', 'z'].map((axis) => document.getElementById(`pattern-grid-${axis}`)),
+    spacing: ['x', 'y', 'z'].map((axis) => document.getElementById(`pattern-spacing-${axis}`)),
+    axis: document.getElementById('pattern-axis'),
+    radius: document.getElementById('pattern-radius'),
+    angle: document.getElementById('pattern-angle'),
+    rotateCopies: document.getElementById('pattern-rotate'),
+    summary: document.getElementById('pattern-summary'),
+    apply: document.getElementById('pattern-apply'),
+    cancel: document.getElementById('pattern-cancel')
+};
+const patternPreview = createPatternPreview(scene);
+let patternResult = null;
+
+function readPatternParams() {
+    return {
+        type: patternUI.type.value,
+        count: patternUI.count.value,
+        offset: patternUI.offset.map((input) => input.value),
+        gridCount: patternUI.gridCount.map((input) => input.value),
+        spacing: patternUI.spacing.map((input) => input.value),
+        axis: patternUI.axis.value,
+        radius: patternUI.radius.value,
+        angle: patternUI.angle.value,
+        rotateCopies: patternUI.rotateCopies.checked
+    };
+}
+
+// Recompute the copies and redraw the preview
+function refreshPattern() {
+    const type = patternUI.type.value;
+    patternUI.fields.querySelectorAll('[data-pattern-show]').forEach((row) => {
+        row.style.display = row.dataset.patternShow.split(',').includes(type) ? '' : 'none';
     });
-    clearObjectsArray();
+
+    const snap = snapEnabled ? { translate: snapConfig.translate, rotateDeg: snapConfig.rotateDeg } : null;
+    patternResult = computePatternTransforms(patternSource, readPatternParams(), snap);
+    const { transforms, skipped, tooMany } = patternResult;
+    patternPreview.update(patternSource, transforms);
+
+    if (tooMany) {
+        patternUI.summary.textContent = `Too many copies (max ${PATTERN_LIMITS.maxCopies})`;
+    } else {
+        patternUI.summary.textContent = `${transforms.length} cop${transforms.length === 1 ? 'y' : 'ies'}` +
+            (skipped > 0 ? `, ${skipped} outside the workspace left out` : '');
+    }
+    patternUI.apply.disabled = transforms.length === 0;
+    requestRender();
+}
+
+function openPattern() {
+    const roots = getTopLevelObjects(selectionManager.getSelection());
+    if (roots.length !== 1) {
+        showNotification('Select one object to pattern (group several objects first)', 'warning');
+        return;
+    }
+    patternSource = roots[0];
+    patternUI.start.style.display = 'none';
+    patternUI.fields.style.display = 'block';
+    refreshPattern();
+}
+
+function closePattern() {
+    patternSource = null;
+    patternResult = null;
+    patternPreview.clear();
+    patternUI.start.style.display = '';
+    patternUI.fields.style.display = 'none';
+    requestRender();
+}
+
+// The preview follows the source while it moves; selecting something else closes the tool
+function syncPatternTool(selection) {
+    if (!patternSource) return;
+    const roots = getTopLevelObjects(selection);
+    if (roots.length !== 1 || roots[0] !== patternSource || !isObjectRegistered(patternSource)) {
+        closePattern();
+    } else {
+        refreshPattern();
+    }
+}
+
+function applyPattern() {
+    if (!patternSource) return;
+    refreshPattern();
+    const source = patternSource;
+    const { transforms } = patternResult;
+    if (transforms.length === 0) return;
+    closePattern();
+
+    try {
+        const copies = createPatternCopies(source, transforms);
+        history.push(createAddObjectsCommand(`Pattern ${describeObjects([source])}`, copies), { selectionBefore: selectionManager.getSelection() });
+        showNotification(`Created ${copies.length} cop${copies.length === 1 ? 'y' : 'ies'} of ${describeObjects([source])}`, 'success');
+    } catch (error) {
+        showNotification('Could not create pattern: ' + error.message, 'error');
+    }
+    requestRender();
+}
+
+patternUI.start.addEventListener('click', openPattern);
+patternUI.cancel.addEventListener('click', closePattern);
+patternUI.apply.addEventListener('click', applyPattern);
+patternUI.fields.addEventListener('input', () => {
+    if (patternSource) refreshPattern();
+});
+patternUI.fields.addEventListener('change', () => {
+    if (patternSource) refreshPattern();
+});
+
+/**
+ * Replace everything in the scene as one undo step. The previous objects are detached rather
+ * than disposed so undo can put them back; `build` returns a falsy value when it fails.
+ */
+function replaceSceneContent(label, build) {
+    const selectionBefore = selectionManager.getSelection();
+    const settingsBefore = getSceneSettings();
+    selectionManager.deselect();
+    const removal = createRemoveObjectsCommand('Remove objects', getRootObjects());
+    if (removal) removal.redo();
+
+    const result = build();
+    if (!result) {
+        if (removal) removal.undo();
+        return result;
+    }
+    history.push(createCompositeCommand(label, [
+        removal,
+        createAddObjectsCommand('Add objects', getRootObjects()),
+        createSettingsCommand('Scene settings', settingsBefore)
+    ]), { selectionBefore });
+    return result;
+}
+
+document.getElementById('clear-scene').addEventListener('click', () => {
+    if (!confirm('Clear all objects? Lighting is reset to the default rig.')) return;
+    replaceSceneContent('Clear scene', () => addDefaultLights(scene));
     
     // Reset first object flag since scene is now empty
     firstObjectCreated = false;
@@ -554,6 +1452,283 @@ document.getElementById('clear-scene').addEventListener('click', () => {
 });
 
 document.getElementById('save-scene').addEventListener('click', () => exportScene(camera, orbit));
+document.getElementById('export-gltf').addEventListener('click', () => exportGLTF(camera, false));
+document.getElementById('export-glb').addEventListener('click', () => exportGLTF(camera, true));
+
+// Fabrication export (STL / OBJ+MTL)
+const sceneUnitsSelect = document.getElementById('scene-units');
+const fabSelectionOnly = document.getElementById('fab-selection-only');
+const fabMerge = document.getElementById('fab-merge');
+
+function getFabricationTargets() {
+    if (fabSelectionOnly.checked) {
+        const selection = selectionManager.getSelection();
+        if (selection.length === 0) {
+            showNotification('Select objects to export, or uncheck "Selection Only"', 'warning');
+            return null;
+        }
+        return selection;
+    }
+    return getRootObjects();
+}
+
+sceneUnitsSelect.value = getSceneUnits();
+sceneUnitsSelect.addEventListener('change', () => {
+    if (sceneUnitsSelect.value === getSceneUnits()) return;
+    const before = getSceneSettings();
+    setSceneUnits(sceneUnitsSelect.value);
+    history.push(createSettingsCommand(`Change units to ${sceneUnitsSelect.value}`, before));
+});
+onSceneSettingsChanged((settings) => {
+    sceneUnitsSelect.value = settings.units;
+});
+
+// Environment panel: background, fog, and HDR environment map (saved with the scene)
+const envUI = {
+    panel: document.getElementById('environment-panel'),
+    backgroundType: document.getElementById('env-background-type'),
+    backgroundColor: document.getElementById('env-bg-color'),
+    topColor: document.getElementById('env-bg-top'),
+    bottomColor: document.getElementById('env-bg-bottom'),
+    fogType: document.getElementById('env-fog-type'),
+    fogColor: document.getElementById('env-fog-color'),
+    fogNear: document.getElementById('env-fog-near'),
+    fogFar: document.getElementById('env-fog-far'),
+    fogDensity: document.getElementById('env-fog-density'),
+    mapName: document.getElementById('env-map-name'),
+    intensity: document.getElementById('env-intensity'),
+    rotation: document.getElementById('env-rotation'),
+    fileInput: document.getElementById('env-file-input')
+};
+
+function updateEnvironmentUI() {
+    const { background, fog, envMap } = getEnvironmentSettings();
+    const toHexString = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+    const isEditing = (input) => input === document.activeElement;
+
+    envUI.backgroundType.value = background.type;
+    envUI.backgroundColor.value = toHexString(background.color);
+    envUI.topColor.value = toHexString(background.topColor);
+    envUI.bottomColor.value = toHexString(background.bottomColor);
+    envUI.fogType.value = fog.type;
+    envUI.fogColor.value = toHexString(fog.color);
+    if (!isEditing(envUI.fogNear)) envUI.fogNear.value = fog.near;
+    if (!isEditing(envUI.fogFar)) envUI.fogFar.value = fog.far;
+    if (!isEditing(envUI.fogDensity)) envUI.fogDensity.value = fog.density;
+    envUI.mapName.textContent = envMap.asset ? (envMap.name || 'Embedded HDR') : 'None';
+    if (!isEditing(envUI.intensity)) envUI.intensity.value = envMap.intensity.toFixed(2);
+    if (!isEditing(envUI.rotation)) envUI.rotation.value = (envMap.rotation * 180 / Math.PI).toFixed(1);
+
+    // Rows tagged data-env-show="fog:linear,exponential" only apply to those modes
+    envUI.panel.querySelectorAll('[data-env-show]').forEach((row) => {
+        const [group, modes] = row.dataset.envShow.split(':');
+        const current = group === 'fog' ? fog.type : background.type;
+        row.style.display = modes.split(',').includes(current) ? '' : 'none';
+    });
+}
+
+const environmentEdit = createEditSession(
+    () => getSceneSettings(),
+    (before) => createSettingsCommand('Edit environment', before)
+);
+const ENVIRONMENT_FIELDS = [
+    [envUI.backgroundType, (value) => ({ background: { type: value } })],
+    [envUI.backgroundColor, (value) => ({ background: { color: value } })],
+    [envUI.topColor, (value) => ({ background: { topColor: value } })],
+    [envUI.bottomColor, (value) => ({ background: { bottomColor: value } })],
+    [envUI.fogType, (value) => ({ fog: { type: value } })],
+    [envUI.fogColor, (value) => ({ fog: { color: value } })],
+    [envUI.fogNear, (value) => ({ fog: { near: value } })],
+    [envUI.fogFar, (value) => ({ fog: { far: value } })],
+    [envUI.fogDensity, (value) => ({ fog: { density: value } })],
+    [envUI.intensity, (value) => ({ envMap: { intensity: value } })],
+    [envUI.rotation, (value) => ({ envMap: { rotation: (safeParseNumber(value, 0) * Math.PI) / 180 } })]
+];
+ENVIRONMENT_FIELDS.forEach(([input, toPatch]) => {
+    const isSelect = input.tagName === 'SELECT';
+    input.addEventListener(isSelect ? 'change' : 'input', () => {
+        environmentEdit.begin();
+        updateEnvironmentSettings(toPatch(input.value));
+        if (isSelect) environmentEdit.commit();
+    });
+    if (!isSelect) {
+        input.addEventListener('change', () => environmentEdit.commit());
+        input.addEventListener('blur', () => environmentEdit.commit());
+    }
+});
+
+document.getElementById('env-map-load').addEventListener('click', () => envUI.fileInput.click());
+document.getElementById('env-map-clear').addEventListener('click', () => {
+    if (!getEnvironmentSettings().envMap.asset) return;
+    const before = getSceneSettings();
+    updateEnvironmentSettings({ envMap: { asset: null } });
+    history.push(createSettingsCommand('Clear environment map', before));
+});
+envUI.fileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    envUI.fileInput.value = '';
+    if (!file) return;
+    if (file.size > ENV_MAP_MAX_SIZE_MB * 1024 * 1024) {
+        showNotification(`Environment map too large (max ${ENV_MAP_MAX_SIZE_MB}MB)`, 'error');
+        return;
+    }
+    try {
+        const assetId = registerAsset(await readEnvironmentFile(file));
+        if (!assetId) throw new Error('Unsupported file');
+        const before = getSceneSettings();
+        updateEnvironmentSettings({ envMap: { asset: assetId, name: file.name } });
+        history.push(createSettingsCommand(`Load environment map ${file.name}`, before));
+        showNotification(`Environment map loaded: ${file.name}`, 'success');
+    } catch (error) {
+        showNotification('Failed to load environment map: ' + error.message, 'error');
+    }
+});
+
+onSceneSettingsChanged(updateEnvironmentUI);
+updateEnvironmentUI();
+
+// --- Timeline ---
+
+const timelineUI = {
+    fps: document.getElementById('timeline-fps'),
+    duration: document.getElementById('timeline-duration'),
+    properties: document.querySelectorAll('[data-key-property]'),
+    interpolation: document.getElementById('key-interpolation')
+};
+
+// Properties whose box is checked, in track order
+const getKeyProperties = () => [...timelineUI.properties]
+    .filter((input) => input.checked)
+    .map((input) => input.dataset.keyProperty);
+
+timeline = initTimelinePanel({
+    scrubber: document.getElementById('timeline-scrubber'),
+    keys: document.getElementById('timeline-keys'),
+    timeLabel: document.getElementById('timeline-time'),
+    playButton: document.getElementById('timeline-play'),
+    startButton: document.getElementById('timeline-start'),
+    loopToggle: document.getElementById('timeline-loop')
+}, {
+    getSettings: getAnimationSettings,
+    getKeyTimes: () => selectionManager.getSelection().flatMap((obj) => getKeyframeTimes(obj)),
+    // Posing for the timeline isn't an edit: nothing is recorded until a key is set
+    onTimeChange: (time) => {
+        if (applyAnimationAt(getObjects(), time).length === 0) return;
+        selectionManager.refreshPivot();
+        updateUI(selectionManager.getSelection());
+        requestRender();
+    }
+});
+
+document.getElementById('timeline-loop').addEventListener('change', () => autosave.markDirty());
+
+// The interpolation menu shows the active object's first checked track; new tracks use it too
+function updateKeyframeUI() {
+    const object = selectionManager.getSelected();
+    const animation = object && getAnimation(object);
+    const track = animation && getKeyProperties().map((property) => animation[property]).find(Boolean);
+    if (track) timelineUI.interpolation.value = track.interpolation;
+}
+
+// One history step for a key edit on every selected object; returns false when nothing changed
+function editKeyframes(label, edit) {
+    const selection = selectionManager.getSelection();
+    if (selection.length === 0) {
+        showNotification('Select objects to key', 'warning');
+        return false;
+    }
+    const before = captureAnimationState(selection);
+    selection.forEach(edit);
+    const command = createAnimationCommand(`${label} ${describeObjects(selection)}`, before);
+    if (!command) return false;
+    history.push(command, { selectionBefore: selection });
+    return true;
+}
+
+function setKeyAtCurrentFrame() {
+    const properties = getKeyProperties();
+    if (properties.length === 0) {
+        showNotification('Check at least one property to key', 'warning');
+        return;
+    }
+    const time = timeline.getTime();
+    const frame = timeline.getFrame();
+    const keyed = editKeyframes(`Key frame ${frame} on`, (obj) => setKeyframes(obj, properties, time, timelineUI.interpolation.value));
+    if (!keyed && selectionManager.getSelection().length > 0) {
+        showNotification('The selection has none of the checked properties', 'warning');
+    }
+}
+
+function deleteKeyAtCurrentFrame() {
+    const properties = getKeyProperties();
+    const time = timeline.getTime();
+    const frame = timeline.getFrame();
+    // Anything within half a frame counts as on this frame
+    const tolerance = 0.5 / getAnimationSettings().fps;
+    if (!editKeyframes(`Delete frame ${frame} keys of`, (obj) => removeKeyframes(obj, properties, time, tolerance))
+        && selectionManager.getSelection().length > 0) {
+        showNotification(`No checked keys on frame ${frame}`, 'info');
+    }
+}
+
+document.getElementById('key-set').addEventListener('click', setKeyAtCurrentFrame);
+document.getElementById('key-delete').addEventListener('click', deleteKeyAtCurrentFrame);
+timelineUI.properties.forEach((input) => input.addEventListener('change', updateKeyframeUI));
+timelineUI.interpolation.addEventListener('change', () => {
+    const interpolation = timelineUI.interpolation.value;
+    const properties = getKeyProperties();
+    const selection = selectionManager.getSelection();
+    const hasTrack = (obj) => {
+        const animation = getAnimation(obj);
+        return !!animation && properties.some((property) => animation[property]);
+    };
+    // Without tracks to change, the menu only picks the interpolation for new ones
+    if (!selection.some(hasTrack)) return;
+    if (editKeyframes(`Set ${interpolation} interpolation on`, (obj) => setTrackInterpolation(obj, properties, interpolation))) {
+        // Pose again along the new curves
+        timeline.setFrame(timeline.getFrame());
+    }
+});
+
+// Frame rate and duration: one history step per field edit, like the environment fields
+const timelineEdit = createEditSession(
+    () => getSceneSettings(),
+    (before) => createSettingsCommand('Edit timeline', before)
+);
+[[timelineUI.fps, 'fps'], [timelineUI.duration, 'duration']].forEach(([input, key]) => {
+    input.addEventListener('input', () => {
+        timelineEdit.begin();
+        updateAnimationSettings({ [key]: input.value });
+    });
+    input.addEventListener('change', () => timelineEdit.commit());
+    input.addEventListener('blur', () => timelineEdit.commit());
+});
+
+function updateTimelineUI() {
+    const { fps, duration } = getAnimationSettings();
+    if (timelineUI.fps !== document.activeElement) timelineUI.fps.value = fps;
+    if (timelineUI.duration !== document.activeElement) timelineUI.duration.value = duration;
+    timeline.refresh();
+    updateKeyframeUI();
+}
+
+onSceneSettingsChanged(updateTimelineUI);
+// Undo/redo of key edits changes the marks on the strip
+history.onChange(updateTimelineUI);
+updateTimelineUI();
+
+document.getElementById('export-stl').addEventListener('click', () => {
+    const targets = getFabricationTargets();
+    if (targets) exportSTL(targets, { binary: true, merge: fabMerge.checked });
+});
+document.getElementById('export-stl-ascii').addEventListener('click', () => {
+    const targets = getFabricationTargets();
+    if (targets) exportSTL(targets, { binary: false, merge: fabMerge.checked });
+});
+document.getElementById('export-obj').addEventListener('click', () => {
+    const targets = getFabricationTargets();
+    if (targets) exportOBJ(targets, { merge: fabMerge.checked });
+});
 
 // Frame controls with error handling
 const frameSelectedBtn = document.getElementById('frame-selected');
@@ -577,10 +1752,9 @@ document.getElementById('load-scene').addEventListener('click', () => fileInput.
 fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    history.record();
     const reader = new FileReader();
     reader.onload = (event) => {
-            const result = importScene(event.target.result, scene, selectionManager, camera, orbit);
+            const result = replaceSceneContent(`Load ${file.name}`, () => importScene(event.target.result, scene, selectionManager, camera, orbit));
             // Auto-frame all objects after import (if camera wasn't restored)
             // Use smooth animation to prevent jitter
             setTimeout(() => {
@@ -649,6 +1823,39 @@ fileInput.addEventListener('change', (e) => {
     fileInput.value = '';
 });
 
+// Import a glTF/GLB/OBJ/STL file as editable model objects
+async function importModelFile(file) {
+    try {
+        const model = await loadModelFile(file);
+        const selectionBefore = selectionManager.getSelection();
+        const { object, fitScale } = addModel(scene, model, {
+            snapToGrid: snapEnabled,
+            gridSize: snapConfig.translate || 1,
+            checkOverlap: true
+        });
+        selectionManager.selectObject(object);
+        history.push(createAddObjectsCommand(`Import ${model.name}`, [object]), { selectionBefore });
+
+        if (fitScale < 1) {
+            showNotification(`Imported "${model.name}" (scaled to ${(fitScale * 100).toFixed(1)}% to fit the workspace)`, 'warning');
+        } else {
+            showNotification(`Imported "${model.name}" (${model.parts.length} mesh${model.parts.length === 1 ? '' : 'es'})`, 'success');
+        }
+        requestRender();
+    } catch (error) {
+        console.error('Model import error:', error);
+        showNotification('Failed to import model: ' + error.message, 'error');
+    }
+}
+
+const modelInput = document.getElementById('model-input');
+document.getElementById('import-model').addEventListener('click', () => modelInput.click());
+modelInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    modelInput.value = '';
+    if (file) importModelFile(file);
+});
+
 // Professional drag and drop import
 container.addEventListener('dragover', (e) => {
     e.preventDefault();
@@ -666,13 +1873,18 @@ container.addEventListener('drop', (e) => {
     e.preventDefault();
     e.stopPropagation();
     container.style.borderColor = '';
+    if (playMode.isActive()) {
+        showNotification('Reset play mode before importing', 'warning');
+        return;
+    }
     
     const file = e.dataTransfer.files[0];
-    if (file && file.type === 'application/json') {
-        history.record();
+    if (isModelFile(file)) {
+        importModelFile(file);
+    } else if (file && file.type === 'application/json') {
         const reader = new FileReader();
         reader.onload = (event) => {
-            const result = importScene(event.target.result, scene, selectionManager, camera, orbit);
+            const result = replaceSceneContent(`Load ${file.name}`, () => importScene(event.target.result, scene, selectionManager, camera, orbit));
             // Auto-frame all objects after import (if camera wasn't restored)
             // Use smooth animation to prevent jitter
             setTimeout(() => {
@@ -741,12 +1953,29 @@ container.addEventListener('drop', (e) => {
 // Professional keyboard shortcuts
 window.addEventListener('keydown', (event) => {
     // Don't trigger shortcuts when typing in inputs
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.tagName === 'SELECT') {
         return;
     }
     
     const key = event.key.toLowerCase();
     const ctrl = event.ctrlKey || event.metaKey;
+
+    // Only Frame All works while play mode runs; the scene can't be edited
+    if (playMode.isActive() && key !== 'a') return;
+
+    if (key === 'k' && event.shiftKey && !ctrl) {
+        event.preventDefault();
+        setKeyAtCurrentFrame();
+        return;
+    }
+
+    // Plain letter keys add primitives; leave Ctrl/Cmd combinations to the browser and other shortcuts
+    const addAction = !ctrl && !event.altKey && ADD_ACTIONS.find((action) => action.key === key);
+    if (addAction) {
+        event.preventDefault();
+        chooseAddAction(addAction);
+        return;
+    }
     
     switch (key) {
         case 't':
@@ -757,31 +1986,10 @@ window.addEventListener('keydown', (event) => {
             setModeButtons(transform.mode);
             requestRender();
             break;
-        case 'b':
-            event.preventDefault();
-            addObjectWithHistory(OBJECT_TYPES.BOX, addBox);
-            break;
-        case 's':
-            event.preventDefault();
-            addObjectWithHistory(OBJECT_TYPES.SPHERE, addSphere);
-            break;
-        case 'c':
-            event.preventDefault();
-            addObjectWithHistory(OBJECT_TYPES.CYLINDER, addCylinder);
-            break;
         case 'delete':
         case 'backspace':
             event.preventDefault();
-            const selected = selectionManager.getSelected();
-            if (selected) {
-                history.record();
-                transform.detach();
-                scene.remove(selected);
-                disposeObject(selected);
-                removeObjectFromRegistry(selected);
-                selectionManager.deselect();
-                requestRender();
-            }
+            deleteSelected();
             break;
         case 'z':
             if (ctrl && !event.shiftKey) {
@@ -798,6 +2006,39 @@ window.addEventListener('keydown', (event) => {
                 history.redo();
             }
             break;
+        case 's':
+            if (ctrl) {
+                event.preventDefault();
+                if (isStorageAvailable()) saveCurrentProject(event.shiftKey);
+            }
+            break;
+        case 'escape':
+            if (placement.isActive()) {
+                event.preventDefault();
+                placement.cancel();
+            } else if (patternSource) {
+                event.preventDefault();
+                closePattern();
+            }
+            break;
+        case 'd':
+            if (ctrl) {
+                event.preventDefault();
+                duplicateSelected();
+            }
+            break;
+        case 'g':
+            if (ctrl) {
+                event.preventDefault();
+                if (event.shiftKey) ungroupSelected();
+                else groupSelected();
+            }
+            break;
+        case 'end':
+            event.preventDefault();
+            if (event.shiftKey) settleSelected();
+            else dropSelected();
+            break;
         case 'f':
             event.preventDefault();
             frameSelected();
@@ -806,12 +2047,48 @@ window.addEventListener('keydown', (event) => {
             event.preventDefault();
             frameAll();
             break;
+        case ' ':
+            // A focused button handles Space itself
+            if (event.target.tagName === 'BUTTON') break;
+            event.preventDefault();
+            timeline.toggle();
+            break;
     }
 });
 
 snapToggle.addEventListener('change', (e) => {
     snapEnabled = e.target.checked;
     applySnap();
+    autosave.markDirty();
+});
+
+const objectSnapToggle = document.getElementById('object-snap-toggle');
+const objectSnapTargetInputs = document.querySelectorAll('[data-snap-target]');
+
+function updateObjectSnapUI() {
+    const settings = objectSnap.getSettings();
+    objectSnapToggle.checked = settings.enabled;
+    objectSnapTargetInputs.forEach((input) => {
+        input.checked = settings[input.dataset.snapTarget];
+    });
+}
+
+objectSnapToggle.addEventListener('change', (e) => {
+    objectSnap.setSettings({ enabled: e.target.checked });
+    autosave.markDirty();
+});
+objectSnapTargetInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+        objectSnap.setSettings({ [input.dataset.snapTarget]: input.checked });
+        autosave.markDirty();
+    });
+});
+updateObjectSnapUI();
+
+const solidObjectsToggle = document.getElementById('solid-objects-toggle');
+solidObjectsToggle.addEventListener('change', (e) => {
+    solidObjects.setEnabled(e.target.checked);
+    autosave.markDirty();
 });
 
 undoBtn.addEventListener('click', () => {
@@ -822,6 +2099,23 @@ redoBtn.addEventListener('click', () => {
     history.redo();
 });
 
+const historyDepthInput = document.getElementById('history-depth');
+historyDepthInput.value = history.getDepth();
+historyDepthInput.addEventListener('change', () => {
+    const dropped = history.getDroppedCount();
+    historyDepthInput.value = history.setDepth(Number(historyDepthInput.value));
+    if (history.getDroppedCount() > dropped) {
+        showNotification(`History depth set to ${history.getDepth()}; older steps were dropped`, 'warning');
+    }
+});
+
+const updateHistoryButtons = () => {
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+};
+history.onChange(updateHistoryButtons);
+updateHistoryButtons();
+
 const clampNumber = (value, fallback, min = Number.EPSILON) => {
     const n = Number.parseFloat(value);
     if (!Number.isFinite(n) || n < min) return fallback;
@@ -831,16 +2125,19 @@ const clampNumber = (value, fallback, min = Number.EPSILON) => {
 ui.snapTranslate.addEventListener('input', (e) => {
     snapConfig.translate = clampNumber(e.target.value, snapConfig.translate, 0.01);
     if (snapEnabled) applySnap();
+    autosave.markDirty();
 });
 
 ui.snapRotate.addEventListener('input', (e) => {
     snapConfig.rotateDeg = clampNumber(e.target.value, snapConfig.rotateDeg, 1);
     if (snapEnabled) applySnap();
+    autosave.markDirty();
 });
 
 ui.snapScale.addEventListener('input', (e) => {
     snapConfig.scale = clampNumber(e.target.value, snapConfig.scale, 0.01);
     if (snapEnabled) applySnap();
+    autosave.markDirty();
 });
 
 function setModeButtons(mode) {
@@ -871,6 +2168,210 @@ ui.modeButtons.scale.addEventListener('click', () => {
 setModeButtons('translate');
 applySnap();
 
+// --- Project library ---
+
+function countSceneObjects() {
+    return getObjects().filter((obj) => !obj.isLight).length;
+}
+
+const projectNameLabel = document.getElementById('project-current-name');
+
+function setCurrentProject(project) {
+    currentProject = project ? { id: project.id, name: project.name } : null;
+    projectDirty = false;
+    projectNameLabel.textContent = currentProject ? currentProject.name : 'Unsaved scene';
+    projectPanel.setCurrent(currentProject && currentProject.id);
+}
+
+function confirmDiscardChanges() {
+    if (!projectDirty) return true;
+    const name = currentProject ? `"${currentProject.name}"` : 'the current scene';
+    return confirm(`Discard unsaved changes to ${name}?`);
+}
+
+async function refreshProjects() {
+    try {
+        projectPanel.setProjects(await listProjects());
+    } catch (error) {
+        console.warn('Could not list projects:', error);
+    }
+}
+
+// Swap in another scene: history from the previous scene does not apply to it
+function switchScene(data) {
+    loadSceneData(data, scene, selectionManager, camera, orbit);
+    history.clear();
+    firstObjectCreated = countSceneObjects() > 0;
+    requestRender();
+}
+
+async function openProject(project) {
+    if (currentProject && currentProject.id === project.id && !projectDirty) return;
+    if (!confirmDiscardChanges()) return;
+    try {
+        const entry = await loadProject(project.id);
+        if (!entry) {
+            showNotification(`Project "${project.name}" no longer exists`, 'error');
+            refreshProjects();
+            return;
+        }
+        switchScene(entry.scene);
+        setCurrentProject(entry.project);
+        showNotification(`Opened project "${entry.project.name}"`, 'success');
+    } catch (error) {
+        showNotification('Could not open project: ' + error.message, 'error');
+    }
+}
+
+function newProject() {
+    if (!confirmDiscardChanges()) return;
+    // An empty scene file gets the default lighting rig like any file without lights
+    switchScene({ objects: [] });
+    setCurrentProject(null);
+    showNotification('Started a new scene', 'info');
+}
+
+async function saveCurrentProject(saveAs = false) {
+    let name = currentProject ? currentProject.name : '';
+    if (saveAs || !currentProject) {
+        name = prompt('Project name:', currentProject ? `${currentProject.name} (copy)` : 'Untitled');
+        if (name === null) return;
+    }
+    try {
+        const project = await saveProject({
+            id: saveAs || !currentProject ? undefined : currentProject.id,
+            name,
+            scene: serializeScene(camera, orbit),
+            thumbnail: captureThumbnail(renderer, scene, camera),
+            objectCount: countSceneObjects()
+        });
+        setCurrentProject(project);
+        showNotification(`Saved project "${project.name}"`, 'success');
+        autosave.markDirty();
+        refreshProjects();
+    } catch (error) {
+        showNotification('Could not save project: ' + error.message, 'error');
+    } finally {
+        requestRender();
+    }
+}
+
+const projectPanel = initProjectPanel(document.getElementById('project-list'), {
+    onOpen: openProject,
+    onRename: async (project) => {
+        const name = prompt('Rename project:', project.name);
+        if (name === null) return;
+        try {
+            const renamed = await renameProject(project.id, name);
+            if (currentProject && currentProject.id === renamed.id) {
+                currentProject.name = renamed.name;
+                projectNameLabel.textContent = renamed.name;
+                autosave.markDirty();
+            }
+            refreshProjects();
+        } catch (error) {
+            showNotification('Could not rename project: ' + error.message, 'error');
+        }
+    },
+    onDuplicate: async (project) => {
+        try {
+            const copy = await duplicateProject(project.id);
+            showNotification(`Created "${copy.name}"`, 'success');
+            refreshProjects();
+        } catch (error) {
+            showNotification('Could not duplicate project: ' + error.message, 'error');
+        }
+    },
+    onDelete: async (project) => {
+        if (!confirm(`Delete project "${project.name}"? This cannot be undone.`)) return;
+        try {
+            await deleteProject(project.id);
+            // The open scene stays, but is no longer saved anywhere
+            if (currentProject && currentProject.id === project.id) {
+                setCurrentProject(null);
+                projectDirty = true;
+                autosave.markDirty();
+            }
+            refreshProjects();
+        } catch (error) {
+            showNotification('Could not delete project: ' + error.message, 'error');
+        }
+    }
+});
+
+// Any recorded step (including undo/redo) counts as an unsaved change
+history.onChange(() => {
+    projectDirty = true;
+});
+
+const projectButtons = ['project-new', 'project-save', 'project-save-as'].map((id) => document.getElementById(id));
+if (isStorageAvailable()) {
+    projectButtons[0].addEventListener('click', newProject);
+    projectButtons[1].addEventListener('click', () => saveCurrentProject());
+    projectButtons[2].addEventListener('click', () => saveCurrentProject(true));
+    refreshProjects();
+} else {
+    projectButtons.forEach((button) => {
+        button.disabled = true;
+    });
+    projectButtons[1].title = 'Projects need browser storage (IndexedDB), which is unavailable';
+}
+
+// Put back an autosaved session: scene, camera, selection, snap settings and the open project. History starts fresh.
+function restoreSession(session) {
+    try {
+        switchScene(session.scene);
+    } catch (error) {
+        showNotification('Could not restore the autosaved session: ' + error.message, 'error');
+        return;
+    }
+
+    const editor = session.editor && typeof session.editor === 'object' ? session.editor : {};
+    const project = editor.project;
+    setCurrentProject(project && typeof project.id === 'string' && typeof project.name === 'string' ? project : null);
+    projectDirty = !!editor.projectDirty;
+    if (editor.snap && typeof editor.snap === 'object') {
+        snapEnabled = !!editor.snap.enabled;
+        snapConfig.translate = clampNumber(editor.snap.translate, snapConfig.translate, 0.01);
+        snapConfig.rotateDeg = clampNumber(editor.snap.rotateDeg, snapConfig.rotateDeg, 1);
+        snapConfig.scale = clampNumber(editor.snap.scale, snapConfig.scale, 0.01);
+        snapToggle.checked = snapEnabled;
+        ui.snapTranslate.value = snapConfig.translate;
+        ui.snapRotate.value = snapConfig.rotateDeg;
+        ui.snapScale.value = snapConfig.scale;
+        applySnap();
+    }
+    if (editor.objectSnap && typeof editor.objectSnap === 'object') {
+        objectSnap.setSettings(editor.objectSnap);
+        updateObjectSnapUI();
+    }
+    if (typeof editor.solidObjects === 'boolean') {
+        solidObjects.setEnabled(editor.solidObjects);
+        solidObjectsToggle.checked = editor.solidObjects;
+    }
+    if (typeof editor.timelineLoop === 'boolean') timeline.setLooping(editor.timelineLoop);
+    // Selecting re-targets the orbit controls; keep the restored camera target instead
+    const target = orbit.target.clone();
+    const ids = Array.isArray(editor.selection) ? editor.selection : [];
+    selectionManager.setSelection(ids.map(getObjectById).filter(Boolean));
+    orbit.target.copy(target);
+    requestRender();
+}
+
+async function offerSessionRestore() {
+    try {
+        const session = await autosave.getLastSession();
+        if (!session) return;
+        const savedAt = new Date(session.savedAt).toLocaleString();
+        if (!confirm(`Restore your last session (${session.objectCount} object(s), autosaved ${savedAt})?`)) return;
+        restoreSession(session);
+    } catch (error) {
+        console.warn('Could not read autosaves:', error);
+    }
+}
+
+offerSessionRestore();
+
 // Grid and Axes toggle controls
 const gridToggle = document.getElementById('grid-toggle');
 const axesToggle = document.getElementById('axes-toggle');
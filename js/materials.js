@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { MATERIAL_DEFAULTS, EMISSIVE_INTENSITY_LIMITS } from './constants.js';
+import { safeParseNumber, isValidNumberArray } from './utils.js';
+import { TEXTURE_SLOTS, createTextureFromAsset } from './textures.js';
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const DEFAULT_UV = { repeat: [1, 1], offset: [0, 0], rotation: 0 };
+
+const clampIntensity = (value) =>
+    Math.max(EMISSIVE_INTENSITY_LIMITS.min, Math.min(EMISSIVE_INTENSITY_LIMITS.max, value));
+
+// Accepts 0xRRGGBB numbers and '#rrggbb' strings (from <input type="color">)
+function parseColor(value, fallback) {
+    if (typeof value === 'string' && value.startsWith('#')) {
+        const parsed = Number.parseInt(value.slice(1), 16);
+        return Number.isFinite(parsed) ? parsed : fallback;
+    }
+    const parsed = safeParseNumber(value, fallback);
+    return Math.max(0, Math.min(0xffffff, Math.round(parsed)));
+}
+
+/**
+ * Create the editor's standard PBR material from saved/partial data.
+ * Missing or invalid fields fall back to MATERIAL_DEFAULTS.
+ */
+export function createMaterial(data = {}, fallbackColor = 0xffffff) {
+    const material = new THREE.MeshStandardMaterial();
+    applyMaterialData(material, { ...MATERIAL_DEFAULTS, color: fallbackColor, ...data });
+    return material;
+}
+
+export function applyMaterialData(material, data = {}) {
+    Object.keys(data).forEach((key) => setMaterialProperty(material, key, data[key]));
+}
+
+/**
+ * Set a single editable material property with validation.
+ * Properties that change the compiled shader flag the material for recompilation.
+ */
+export function setMaterialProperty(material, key, value) {
+    if (!material) return;
+
+    switch (key) {
+        case 'color':
+            material.color.setHex(parseColor(value, material.color.getHex()));
+            break;
+        case 'emissive':
+            material.emissive.setHex(parseColor(value, material.emissive.getHex()));
+            break;
+        case 'metalness':
+            material.metalness = clamp01(safeParseNumber(value, material.metalness));
+            break;
+        case 'roughness':
+            material.roughness = clamp01(safeParseNumber(value, material.roughness));
+            break;
+        case 'emissiveIntensity':
+            material.emissiveIntensity = clampIntensity(safeParseNumber(value, material.emissiveIntensity));
+            break;
+        case 'opacity':
+            material.opacity = clamp01(safeParseNumber(value, material.opacity));
+            break;
+        case 'transparent':
+            material.transparent = !!value;
+            material.needsUpdate = true;
+            break;
+        case 'flatShading':
+            material.flatShading = !!value;
+            material.needsUpdate = true;
+            break;
+        case 'doubleSided':
+            material.side = value ? THREE.DoubleSide : THREE.FrontSide;
+            material.needsUpdate = true;
+            break;
+        case 'maps':
+            if (value && typeof value === 'object') {
+                TEXTURE_SLOTS.forEach((slot) => {
+                    if (slot in value) setMaterialMap(material, slot, value[slot]);
+                });
+            }
+            break;
+        case 'uv':
+            setMaterialUV(material, value);
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Assign (or clear, with a null id) an image texture from the asset table to a material slot.
+ */
+export function setMaterialMap(material, slot, assetId) {
+    if (!material || !TEXTURE_SLOTS.includes(slot)) return;
+
+    const previous = material[slot];
+    const texture = assetId ? createTextureFromAsset(assetId, slot) : null;
+    if (assetId && !texture) return; // Unknown asset: keep the current map
+
+    material[slot] = texture;
+    if (previous) previous.dispose();
+    applyUVToTexture(texture, getMaterialUV(material));
+    material.needsUpdate = true;
+}
+
+// UV transform is shared by all of a material's maps
+export function getMaterialUV(material) {
+    return material.userData.uv || DEFAULT_UV;
+}
+
+export function setMaterialUV(material, uv) {
+    if (!material || !uv || typeof uv !== 'object') return;
+    const current = getMaterialUV(material);
+    const next = {
+        repeat: isValidNumberArray(uv.repeat, 2) ? [...uv.repeat] : [...current.repeat],
+        offset: isValidNumberArray(uv.offset, 2) ? [...uv.offset] : [...current.offset],
+        rotation: Number.isFinite(uv.rotation) ? uv.rotation : current.rotation
+    };
+    material.userData.uv = next;
+    TEXTURE_SLOTS.forEach((slot) => applyUVToTexture(material[slot], next));
+}
+
+function applyUVToTexture(texture, uv) {
+    if (!texture) return;
+    texture.repeat.fromArray(uv.repeat);
+    texture.offset.fromArray(uv.offset);
+    texture.rotation = uv.rotation;
+}
+
+export function serializeMaterial(material) {
+    const data = {
+        color: material.color.getHex(),
+        metalness: material.metalness,
+        roughness: material.roughness,
+        emissive: material.emissive.getHex(),
+        emissiveIntensity: material.emissiveIntensity,
+        opacity: material.opacity,
+        transparent: material.transparent,
+        flatShading: material.flatShading,
+        doubleSided: material.side === THREE.DoubleSide
+    };
+
+    // Textures are referenced by asset hash; the images themselves live in the scene's asset table
+    const maps = {};
+    TEXTURE_SLOTS.forEach((slot) => {
+        const texture = material[slot];
+        if (texture && texture.userData.assetId) maps[slot] = texture.userData.assetId;
+    });
+    if (Object.keys(maps).length > 0) {
+        const uv = getMaterialUV(material);
+        data.maps = maps;
+        data.uv = { repeat: [...uv.repeat], offset: [...uv.offset], rotation: uv.rotation };
+    }
+
+    return data;
+}
+
+// Materials edited through a selection: selected meshes plus the meshes inside selected groups
+export function getSelectionMaterials(selection) {
+    const materials = [];
+    const collect = (object) => {
+        if (object.material) {
+            if (!materials.includes(object.material)) materials.push(object.material);
+        } else {
+            object.children.forEach((child) => {
+                if (child.userData && child.userData.isEditable) collect(child);
+            });
+        }
+    };
+    selection.forEach(collect);
+    return materials;
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { hashString } from './textures.js';
+import { DEFAULT_COLORS, OBJECT_TYPES } from './constants.js';
+
+// File types that can be dropped or imported as editable model objects
+export const MODEL_EXTENSIONS = ['gltf', 'glb', 'obj', 'stl'];
+
+const geometries = new Map(); // content hash -> { position, normal, uv?, index? } as base64 strings
+
+export function getFileExtension(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+}
+
+export function isModelFile(file) {
+    return !!file && MODEL_EXTENSIONS.includes(getFileExtension(file.name));
+}
+
+function encodeArray(typedArray) {
+    const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+    let binary = '';
+    const chunkSize = 0x8000; // Keep String.fromCharCode under the argument limit
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function decodeArray(base64, ArrayType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new ArrayType(bytes.buffer);
+}
+
+// Copy any attribute (interleaved, normalized, quantized) into a plain Float32Array
+function toFloat32Array(attribute) {
+    const { count, itemSize } = attribute;
+    const out = new Float32Array(count * itemSize);
+    const getters = ['getX', 'getY', 'getZ', 'getW'];
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < itemSize; k++) {
+            out[i * itemSize + k] = attribute[getters[k]](i);
+        }
+    }
+    return out;
+}
+
+function isValidGeometryData(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (typeof data.position !== 'string' || typeof data.normal !== 'string') return false;
+    if (data.uv !== undefined && typeof data.uv !== 'string') return false;
+    if (data.index !== undefined && typeof data.index !== 'string') return false;
+    return true;
+}
+
+function hashGeometryData(data) {
+    return hashString(`${data.position}|${data.normal}|${data.uv || ''}|${data.index || ''}`);
+}
+
+/**
+ * Store an imported geometry in the geometry table so saved scenes can rebuild it.
+ * @returns {string} content hash referenced by the scene item's `geometry` field
+ */
+export function registerGeometry(geometry) {
+    const data = {
+        position: encodeArray(toFloat32Array(geometry.getAttribute('position'))),
+        normal: encodeArray(toFloat32Array(geometry.getAttribute('normal')))
+    };
+    if (geometry.getAttribute('uv')) {
+        data.uv = encodeArray(toFloat32Array(geometry.getAttribute('uv')));
+    }
+    if (geometry.index) {
+        data.index = encodeArray(Uint32Array.from(geometry.index.array));
+    }
+
+    const id = hashGeometryData(data);
+    if (!geometries.has(id)) geometries.set(id, data);
+    geometry.userData.geometryId = id;
+    return id;
+}
+
+/**
+ * Register geometry data read from a scene file.
+ * @returns {string|null} content hash, or null if the data is malformed
+ */
+export function registerGeometryData(data) {
+    if (!isValidGeometryData(data)) return null;
+    const id = hashGeometryData(data);
+    if (!geometries.has(id)) geometries.set(id, { ...data });
+    return id;
+}
+
+export function getGeometryData(id) {
+    return geometries.get(id) || null;
+}
+
+export function createGeometryFromData(id) {
+    const data = geometries.get(id);
+    if (!data) return null;
+
+    try {
+        const geometry = new THREE.BufferGeometry();
+        const position = decodeArray(data.position, Float32Array);
+        const normal = decodeArray(data.normal, Float32Array);
+        if (position.length === 0 || position.length % 3 !== 0 || normal.length !== position.length) {
+            return null;
+        }
+        geometry.setAttribute('position', new THREE.BufferAttribute(position, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normal, 3));
+        if (data.uv) {
+            geometry.setAttribute('uv', new THREE.BufferAttribute(decodeArray(data.uv, Float32Array), 2));
+        }
+        if (data.index) {
+            geometry.setIndex(new THREE.BufferAttribute(decodeArray(data.index, Uint32Array), 1));
+        }
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        geometry.userData.geometryId = id;
+        return geometry;
+    } catch (error) {
+        console.warn('Could not rebuild model geometry:', error);
+        return null;
+    }
+}
+
+// Keep only what the editor's material uses; loaders may add colors, skin weights, tangents, ...
+function cleanGeometry(source, matrixWorld) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(toFloat32Array(source.getAttribute('position')), 3));
+    if (source.getAttribute('normal')) {
+        geometry.setAttribute('normal', new THREE.BufferAttribute(toFloat32Array(source.getAttribute('normal')), 3));
+    }
+    if (source.getAttribute('uv')) {
+        geometry.setAttribute('uv', new THREE.BufferAttribute(toFloat32Array(source.getAttribute('uv')), 2));
+    }
+    if (source.index) {
+        geometry.setIndex(Array.from(source.index.array));
+    }
+
+    // Bake the node's world transform so parts keep their layout without a node hierarchy
+    geometry.applyMatrix4(matrixWorld);
+    if (!geometry.getAttribute('normal')) {
+        geometry.computeVertexNormals();
+    }
+    return geometry;
+}
+
+function extractMaterialData(material) {
+    const source = Array.isArray(material) ? material[0] : material;
+    if (!source) return {};
+
+    const data = {};
+    if (source.color) data.color = source.color.getHex();
+    if (Number.isFinite(source.metalness)) data.metalness = source.metalness;
+    if (Number.isFinite(source.roughness)) data.roughness = source.roughness;
+    if (source.emissive) data.emissive = source.emissive.getHex();
+    if (Number.isFinite(source.emissiveIntensity)) data.emissiveIntensity = source.emissiveIntensity;
+    if (source.transparent) {
+        data.transparent = true;
+        data.opacity = source.opacity;
+    }
+    if (source.side === THREE.DoubleSide) data.doubleSided = true;
+    return data;
+}
+
+function collectParts(root) {
+    const parts = [];
+    root.updateMatrixWorld(true);
+    root.traverse((child) => {
+        if (!child.isMesh || !child.geometry || !child.geometry.getAttribute('position')) return;
+        parts.push({
+            name: child.name || '',
+            geometry: cleanGeometry(child.geometry, child.matrixWorld),
+            material: extractMaterialData(child.material)
+        });
+    });
+    return parts;
+}
+
+function readFile(file, asText) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Could not read file'));
+        if (asText) reader.readAsText(file);
+        else reader.readAsArrayBuffer(file);
+    });
+}
+
+function parseGLTF(data) {
+    return new Promise((resolve, reject) => {
+        // Empty resource path: external .bin/.png references cannot resolve, only embedded data
+        new GLTFLoader().parse(data, '', (gltf) => resolve(gltf.scene), reject);
+    });
+}
+
+/**
+ * Read a glTF/GLB/OBJ/STL file into mesh parts with world transforms baked into the geometry.
+ * @returns {Promise<{ name: string, parts: Array<{ name: string, geometry: THREE.BufferGeometry, material: Object }> }>}
+ */
+export async function loadModelFile(file) {
+    const extension = getFileExtension(file.name);
+    // A file named just ".stl" leaves no base name
+    const baseName = file.name.replace(/\.[^.]+$/, '') || 'Model';
+    let root;
+
+    switch (extension) {
+        case 'gltf':
+            root = await parseGLTF(await readFile(file, true));
+            break;
+        case 'glb':
+            root = await parseGLTF(await readFile(file, false));
+            break;
+        case 'obj':
+            root = new OBJLoader().parse(await readFile(file, true));
+            break;
+        case 'stl':
+            // STL has no materials; start from the model default color
+            root = new THREE.Mesh(
+                new STLLoader().parse(await readFile(file, false)),
+                new THREE.MeshStandardMaterial({ color: DEFAULT_COLORS[OBJECT_TYPES.MODEL] })
+            );
+            root.name = baseName;
+            break;
+        default:
+            throw new Error(`Unsupported model format: .${extension}`);
+    }
+
+    const parts = collectParts(root);
+    if (parts.length === 0) {
+        throw new Error('File contains no meshes');
+    }
+    return { name: baseName, parts };
+}
@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { OBJECT_SNAP_CONFIG } from './constants.js';
+import { getObjects, getObjectSubtree, isAncestorOf } from './objects.js';
+
+/*
+ * Snapping to other objects: vertices, edge midpoints, face centers, and bounding-box corners.
+ * Targets are gathered once per drag (the other objects don't move meanwhile) and matched in
+ * screen space, so the tolerance feels the same at any zoom level.
+ */
+
+export const SNAP_TARGET_TYPES = ['vertex', 'edge', 'face', 'bounds'];
+
+const INDICATOR_COLORS = {
+    vertex: 0xffcc00,
+    edge: 0x00e5ff,
+    face: 0x7cfc00,
+    bounds: 0xff66cc
+};
+const INDICATOR_SIZE = 0.025; // Fraction of the view height (sprites ignore perspective)
+const KEY_PRECISION = 1e4; // Positions closer than this (1/10000 unit) count as the same point
+const TOP_FACE_MIN_NORMAL_Y = 0.7; // Faces tilted less than ~45° from horizontal count as tops
+
+const pointKey = (x, y, z) => `${Math.round(x * KEY_PRECISION)},${Math.round(y * KEY_PRECISION)},${Math.round(z * KEY_PRECISION)}`;
+
+function getBoxCorners(box) {
+    const corners = [];
+    [box.min.x, box.max.x].forEach((x) => {
+        [box.min.y, box.max.y].forEach((y) => {
+            [box.min.z, box.max.z].forEach((z) => corners.push(new THREE.Vector3(x, y, z)));
+        });
+    });
+    return corners;
+}
+
+/**
+ * Vertices, edge midpoints and face centers of a mesh in world space. Vertices at the same spot
+ * are merged; triangles in one plane form one face, and the edges inside such a face (e.g. a
+ * box side's diagonal) are not edges of the shape. A target counts as on top when it touches a
+ * face that looks up, so something resting there would not cut into the mesh.
+ */
+function collectMeshTargets(mesh, types, add) {
+    const position = mesh.geometry.attributes.position;
+    if (!position || position.count > OBJECT_SNAP_CONFIG.maxVerticesPerObject) return;
+
+    mesh.updateWorldMatrix(true, false);
+    const keys = [];
+    const points = new Map();
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        const key = pointKey(vertex.x, vertex.y, vertex.z);
+        keys.push(key);
+        if (!points.has(key)) points.set(key, vertex.clone());
+    }
+
+    const index = mesh.geometry.index;
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+    const edges = new Map(); // key -> { a, b, planes, count, top }
+    const faces = new Map(); // plane key -> { keys: Set of point keys, top }
+    const topPoints = new Set(); // point keys on an upward-facing triangle
+    // Mirroring scales flip the winding, and with it the computed normals
+    const flip = mesh.matrixWorld.determinant() < 0 ? -1 : 1;
+    const normal = new THREE.Vector3();
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map((j) => keys[index ? index.getX(t * 3 + j) : t * 3 + j]);
+        const [a, b, c] = corners.map((key) => points.get(key));
+        normal.crossVectors(edge1.subVectors(b, a), edge2.subVectors(c, a));
+        if (normal.lengthSq() < 1e-12) continue;
+        normal.multiplyScalar(flip).normalize();
+        const top = normal.y >= TOP_FACE_MIN_NORMAL_Y;
+        if (top) corners.forEach((key) => topPoints.add(key));
+        const planeKey = `${normal.toArray().map((v) => Math.round(v * 100)).join(',')}|${Math.round(normal.dot(a) * 100)}`;
+
+        if (!faces.has(planeKey)) faces.set(planeKey, { keys: new Set(), top });
+        const face = faces.get(planeKey);
+        corners.forEach((key) => face.keys.add(key));
+
+        [[0, 1], [1, 2], [2, 0]].forEach(([i, j]) => {
+            const edgeKey = corners[i] < corners[j] ? `${corners[i]}|${corners[j]}` : `${corners[j]}|${corners[i]}`;
+            if (!edges.has(edgeKey)) edges.set(edgeKey, { a: corners[i], b: corners[j], planes: new Set(), count: 0, top: false });
+            const entry = edges.get(edgeKey);
+            entry.planes.add(planeKey);
+            entry.count++;
+            entry.top = entry.top || top;
+        });
+    }
+
+    if (types.vertex) points.forEach((point, key) => add(point, 'vertex', topPoints.has(key)));
+    if (types.edge) {
+        edges.forEach(({ a, b, planes, count, top }) => {
+            // Skip edges between two triangles of the same flat face
+            if (count > 1 && planes.size === 1) return;
+            add(points.get(a).clone().add(points.get(b)).multiplyScalar(0.5), 'edge', top);
+        });
+    }
+    if (types.face) {
+        faces.forEach(({ keys: faceKeys, top }) => {
+            const center = new THREE.Vector3();
+            faceKeys.forEach((key) => center.add(points.get(key)));
+            add(center.divideScalar(faceKeys.size), 'face', top);
+        });
+    }
+}
+
+/**
+ * @param {THREE.Scene} scene - receives the snap indicator
+ * @param {THREE.Camera} camera
+ * @param {HTMLCanvasElement} canvas - for screen-space distances
+ */
+export function initObjectSnap(scene, camera, canvas) {
+    const settings = { enabled: false, vertex: true, edge: true, face: true, bounds: true };
+
+    const indicatorMaterial = new THREE.SpriteMaterial({ color: INDICATOR_COLORS.vertex, depthTest: false, sizeAttenuation: false });
+    const indicator = new THREE.Sprite(indicatorMaterial);
+    indicator.scale.setScalar(INDICATOR_SIZE);
+    indicator.renderOrder = 999;
+    indicator.visible = false;
+    indicator.userData.isHelper = true;
+    scene.add(indicator);
+
+    let drag = null; // { object, targets, offsets } while snapping a gizmo drag
+
+    const isActive = () => settings.enabled && SNAP_TARGET_TYPES.some((type) => settings[type]);
+
+    /**
+     * Snap targets on every editable object except `moving` (and their subtrees). `top` marks
+     * targets on an upward-facing surface: the top faces of meshes and the upper bounds corners.
+     * @returns {Array<{ point: THREE.Vector3, type: string, top: boolean }>}
+     */
+    function collectTargets(moving = []) {
+        const targets = [];
+        const excluded = new Set(moving.flatMap(getObjectSubtree));
+        const add = (point, type, top) => {
+            if (targets.length < OBJECT_SNAP_CONFIG.maxCandidates) targets.push({ point, type, top });
+        };
+
+        getObjects().forEach((obj) => {
+            if (excluded.has(obj) || !obj.visible) return;
+            if (obj.isMesh && (settings.vertex || settings.edge || settings.face)) {
+                collectMeshTargets(obj, settings, add);
+            }
+            // A group that contains a moving object would move its own bounds along
+            if (settings.bounds && !moving.some((m) => isAncestorOf(obj, m))) {
+                let box;
+                if (obj.isMesh) {
+                    // The mesh's own extent; a group's bounds cover its children
+                    if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+                    obj.updateWorldMatrix(true, false);
+                    box = obj.geometry.boundingBox.clone().applyMatrix4(obj.matrixWorld);
+                } else {
+                    box = new THREE.Box3().setFromObject(obj);
+                }
+                if (box.isEmpty()) {
+                    add(obj.getWorldPosition(new THREE.Vector3()), 'bounds', true);
+                } else {
+                    getBoxCorners(box).forEach((corner) => add(corner, 'bounds', corner.y === box.max.y));
+                }
+            }
+        });
+        return targets;
+    }
+
+    // Pixel position of a world point within `rect` (the canvas bounds), or null behind the camera
+    const ndc = new THREE.Vector3();
+    function toScreen(point, rect, target = new THREE.Vector2()) {
+        ndc.copy(point).project(camera);
+        if (ndc.z > 1) return null;
+        return target.set((ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height);
+    }
+
+    /**
+     * Closest target to any of the source points, measured on screen.
+     * @returns {{ source: THREE.Vector3, target: THREE.Vector3, type: string }|null}
+     */
+    function findClosest(sources, targets) {
+        const rect = canvas.getBoundingClientRect();
+        const sourcePixels = sources.map((point) => toScreen(point, rect));
+        const pixel = new THREE.Vector2();
+        let best = null;
+        let bestDistance = OBJECT_SNAP_CONFIG.tolerancePx;
+        targets.forEach(({ point, type }) => {
+            if (!toScreen(point, rect, pixel)) return;
+            sourcePixels.forEach((sourcePixel, i) => {
+                if (!sourcePixel) return;
+                const distance = sourcePixel.distanceTo(pixel);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = { source: sources[i], target: point, type };
+                }
+            });
+        });
+        return best;
+    }
+
+    function showIndicator(point, type) {
+        indicator.position.copy(point);
+        indicatorMaterial.color.setHex(INDICATOR_COLORS[type]);
+        indicator.visible = true;
+    }
+
+    function hideIndicator() {
+        indicator.visible = false;
+    }
+
+    /**
+     * Start snapping a translate drag of `object` (a selected object or the multi-selection pivot).
+     * The origin and bounding-box corners of `moving` snap, whichever lands nearest a target.
+     */
+    function beginDrag(object, moving) {
+        if (!isActive()) return;
+        const box = new THREE.Box3();
+        moving.forEach((obj) => box.union(new THREE.Box3().setFromObject(obj)));
+        const origin = object.getWorldPosition(new THREE.Vector3());
+        const sources = [origin.clone(), ...(box.isEmpty() ? [] : getBoxCorners(box))];
+        drag = {
+            object,
+            targets: collectTargets(moving),
+            offsets: sources.map((point) => point.sub(origin))
+        };
+    }
+
+    /**
+     * Move the dragged object onto the nearest target, along the gizmo's active axes only
+     * (e.g. 'X' or 'XZ'). Call after the gizmo has moved it.
+     * @returns {boolean} whether it snapped
+     */
+    function updateDrag(axis) {
+        if (!drag) return false;
+        const origin = drag.object.getWorldPosition(new THREE.Vector3());
+        const hit = findClosest(drag.offsets.map((offset) => origin.clone().add(offset)), drag.targets);
+        if (!hit) {
+            hideIndicator();
+            return false;
+        }
+
+        const delta = hit.target.clone().sub(hit.source);
+        ['x', 'y', 'z'].forEach((component) => {
+            if (axis && !axis.includes(component.toUpperCase())) delta[component] = 0;
+        });
+        origin.add(delta);
+        if (drag.object.parent) drag.object.parent.worldToLocal(origin);
+        drag.object.position.copy(origin);
+        drag.object.updateMatrixWorld(true);
+        showIndicator(hit.target, hit.type);
+        return true;
+    }
+
+    function endDrag() {
+        drag = null;
+        hideIndicator();
+    }
+
+    /**
+     * Nearest target to a pointer position, e.g. for placing objects by clicking. Pass `targets`
+     * from collectTargets() when calling repeatedly (on every pointer move) while nothing changes.
+     * @returns {{ point: THREE.Vector3, type: string, top: boolean }|null}
+     */
+    function findAtPointer(clientX, clientY, targets = null) {
+        if (!isActive()) return null;
+        const rect = canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(clientX - rect.left, clientY - rect.top);
+        const pixel = new THREE.Vector2();
+        let best = null;
+        let bestDistance = OBJECT_SNAP_CONFIG.tolerancePx;
+        (targets || collectTargets()).forEach(({ point, type, top }) => {
+            if (!toScreen(point, rect, pixel)) return;
+            const distance = pointer.distanceTo(pixel);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { point, type, top };
+            }
+        });
+        return best;
+    }
+
+    return {
+        getSettings: () => ({ ...settings }),
+        // Partial update, e.g. { enabled: true } or { face: false }
+        setSettings: (changes) => {
+            Object.keys(settings).forEach((key) => {
+                if (typeof changes[key] === 'boolean') settings[key] = changes[key];
+            });
+        },
+        isActive,
+        collectTargets,
+        beginDrag,
+        updateDrag,
+        endDrag,
+        findAtPointer,
+        showIndicator,
+        hideIndicator,
+        dispose: () => {
+            scene.remove(indicator);
+            indicatorMaterial.dispose();
+        }
+    };
+}
@@ -1,8 +1,13 @@
 import * as THREE from 'three';
-import { DEFAULT_COLORS, OBJECT_TYPES, DEFAULT_DIMENSIONS, WORKSPACE_BOUNDS, GRID_CONFIG } from './constants.js';
-import { generateUUID, getObjectHeight, findNonOverlappingPosition, validatePosition, clampPosition } from './utils.js';
+import { DEFAULT_COLORS, OBJECT_TYPES, WORKSPACE_BOUNDS, GRID_CONFIG, MODEL_IMPORT_MAX_SIZE } from './constants.js';
+import { createMaterial, applyMaterialData } from './materials.js';
+import { registerGeometry } from './models.js';
+import { buildPrimitiveGeometry, sanitizeGeometryParams } from './geometry.js';
+import { generateUUID, getObjectBounds, getObjectHeight, findNonOverlappingPosition, validatePosition, clampPosition } from './utils.js';
 
-const objects = []; // Central registry of editable objects
+const objects = []; // Central registry of editable objects (flat, includes nested children)
+const registered = new Set(); // Same objects, for constant-time membership checks
+const changeListeners = new Set();
 
 export function getObjects() {
     return objects;
@@ -10,6 +15,84 @@ export function getObjects() {
 
 export function clearObjectsArray() {
     objects.length = 0;
+    registered.clear();
+    notifyObjectsChanged();
+}
+
+export function isObjectRegistered(object) {
+    return registered.has(object);
+}
+
+// Subscribe to registry/hierarchy changes; returns an unsubscribe function
+export function onObjectsChanged(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+export function notifyObjectsChanged() {
+    changeListeners.forEach((listener) => listener());
+}
+
+export function getObjectById(id) {
+    return objects.find((obj) => obj.userData.id === id) || null;
+}
+
+// Nearest ancestor that is itself an editable object, or null for top-level objects
+export function getEditableParent(object) {
+    let parent = object.parent;
+    while (parent) {
+        if (parent.userData && parent.userData.isEditable) return parent;
+        parent = parent.parent;
+    }
+    return null;
+}
+
+export function getRootObjects() {
+    return objects.filter((obj) => !getEditableParent(obj));
+}
+
+export function getEditableChildren(object) {
+    return object.children.filter((child) => child.userData && child.userData.isEditable);
+}
+
+// Object plus every editable descendant, parents before children
+export function getObjectSubtree(object) {
+    const result = [];
+    object.traverse((child) => {
+        if (child.userData && child.userData.isEditable) result.push(child);
+    });
+    return result;
+}
+
+export function isAncestorOf(ancestor, object) {
+    let parent = object.parent;
+    while (parent) {
+        if (parent === ancestor) return true;
+        parent = parent.parent;
+    }
+    return false;
+}
+
+// Drop objects whose ancestor is also in the list, so nested selections aren't transformed twice
+export function getTopLevelObjects(list) {
+    return list.filter((obj) => !list.some((other) => other !== obj && isAncestorOf(other, obj)));
+}
+
+/**
+ * Reparent an object while keeping its world transform.
+ * Passing a null parent moves the object back to the scene root.
+ * @returns {boolean} false if the move would create a cycle
+ */
+export function setObjectParent(object, parent, scene) {
+    if (!object || object === parent) return false;
+    if (parent && isAncestorOf(object, parent)) return false;
+
+    const target = parent || scene;
+    if (object.parent === target) return true;
+
+    target.attach(object);
+    notifyObjectsChanged();
+    return true;
 }
 
 function createMesh(geometry, color, name, type, options = {}) {
@@ -20,18 +103,19 @@ function createMesh(geometry, color, name, type, options = {}) {
         checkOverlap = true
     } = options;
 
-    const material = new THREE.MeshStandardMaterial({ color });
+    const material = createMaterial({ color });
     const mesh = new THREE.Mesh(geometry, material);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
     
     // Professional metadata with UUID and timestamps
+    const id = generateUUID();
     mesh.userData = {
         isEditable: true,
         type,
-        id: generateUUID(),
+        id,
         createdAt: Date.now(),
-        name: name || `${type}-${mesh.userData.id.substring(0, 4)}`
+        name: name || `${type}-${id.substring(0, 4)}`
     };
     mesh.name = mesh.userData.name;
 
@@ -108,42 +192,220 @@ function createMesh(geometry, color, name, type, options = {}) {
     return mesh;
 }
 
-export function addBox(scene, options = {}) {
-    const dims = DEFAULT_DIMENSIONS[OBJECT_TYPES.BOX];
-    const geometry = new THREE.BoxGeometry(dims.width, dims.height, dims.depth);
-    const mesh = createMesh(geometry, DEFAULT_COLORS[OBJECT_TYPES.BOX], 'Box', OBJECT_TYPES.BOX, options);
+const PRIMITIVE_NAMES = {
+    [OBJECT_TYPES.BOX]: 'Box',
+    [OBJECT_TYPES.SPHERE]: 'Sphere',
+    [OBJECT_TYPES.CYLINDER]: 'Cylinder',
+    [OBJECT_TYPES.CONE]: 'Cone',
+    [OBJECT_TYPES.TORUS]: 'Torus',
+    [OBJECT_TYPES.PLANE]: 'Plane',
+    [OBJECT_TYPES.CAPSULE]: 'Capsule',
+    [OBJECT_TYPES.ICOSPHERE]: 'Icosphere',
+    [OBJECT_TYPES.TORUS_KNOT]: 'TorusKnot',
+    [OBJECT_TYPES.RING]: 'Ring'
+};
+
+/**
+ * Add a parametric primitive; its geometry parameters are kept in userData.geometryParams.
+ * @param {Object} [options.geometryParams] - overrides for the type's default dimensions/segments
+ */
+export function addPrimitive(scene, type, options = {}) {
+    const geometryParams = sanitizeGeometryParams(type, options.geometryParams);
+    const geometry = buildPrimitiveGeometry(type, geometryParams);
+    if (!geometry) return null;
+    const mesh = createMesh(geometry, DEFAULT_COLORS[type], PRIMITIVE_NAMES[type], type, options);
+    mesh.userData.geometryParams = geometryParams;
+    // Single-sided flat shapes would vanish when viewed from below
+    if (type === OBJECT_TYPES.PLANE || type === OBJECT_TYPES.RING) {
+        mesh.material.side = THREE.DoubleSide;
+    }
     scene.add(mesh);
-    objects.push(mesh);
+    addObjectToRegistry(mesh);
     return mesh;
 }
 
+export function addBox(scene, options = {}) {
+    return addPrimitive(scene, OBJECT_TYPES.BOX, options);
+}
+
 export function addSphere(scene, options = {}) {
-    const dims = DEFAULT_DIMENSIONS[OBJECT_TYPES.SPHERE];
-    const geometry = new THREE.SphereGeometry(dims.radius, 32, 16);
-    const mesh = createMesh(geometry, DEFAULT_COLORS[OBJECT_TYPES.SPHERE], 'Sphere', OBJECT_TYPES.SPHERE, options);
-    scene.add(mesh);
-    objects.push(mesh);
-    return mesh;
+    return addPrimitive(scene, OBJECT_TYPES.SPHERE, options);
 }
 
 export function addCylinder(scene, options = {}) {
-    const dims = DEFAULT_DIMENSIONS[OBJECT_TYPES.CYLINDER];
-    const geometry = new THREE.CylinderGeometry(dims.radius, dims.radius, dims.height, 32);
-    const mesh = createMesh(geometry, DEFAULT_COLORS[OBJECT_TYPES.CYLINDER], 'Cylinder', OBJECT_TYPES.CYLINDER, options);
-    scene.add(mesh);
-    objects.push(mesh);
-    return mesh;
+    return addPrimitive(scene, OBJECT_TYPES.CYLINDER, options);
 }
 
-export function addObjectToRegistry(mesh) {
-    if (!objects.includes(mesh)) {
-    objects.push(mesh);
+/**
+ * Add an imported model (see loadModelFile) as editable `model` objects.
+ * A single-mesh file becomes one model; multi-mesh files become a group of models.
+ * Oversized models are scaled down to MODEL_IMPORT_MAX_SIZE and the result rests on the grid.
+ * @returns {{ object: THREE.Object3D, fitScale: number }}
+ */
+export function addModel(scene, model, options = {}) {
+    const { parts, name } = model;
+
+    const bounds = new THREE.Box3();
+    parts.forEach((part) => {
+        part.geometry.computeBoundingBox();
+        bounds.union(part.geometry.boundingBox);
+    });
+    const size = bounds.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const fitScale = maxDim > MODEL_IMPORT_MAX_SIZE ? MODEL_IMPORT_MAX_SIZE / maxDim : 1;
+    const modelCenter = bounds.getCenter(new THREE.Vector3());
+
+    const createPart = (part, partOptions) => {
+        const geometry = part.geometry;
+        geometry.translate(-modelCenter.x, -modelCenter.y, -modelCenter.z);
+        if (fitScale !== 1) geometry.scale(fitScale, fitScale, fitScale);
+
+        // Each part pivots around its own center
+        geometry.computeBoundingBox();
+        const partCenter = geometry.boundingBox.getCenter(new THREE.Vector3());
+        geometry.translate(-partCenter.x, -partCenter.y, -partCenter.z);
+        registerGeometry(geometry);
+
+        const partName = parts.length === 1 ? name : (part.name || name);
+        const mesh = createMesh(geometry, DEFAULT_COLORS[OBJECT_TYPES.MODEL], partName, OBJECT_TYPES.MODEL, partOptions);
+        applyMaterialData(mesh.material, part.material);
+        return { mesh, partCenter };
+    };
+
+    if (parts.length === 1) {
+        const { mesh } = createPart(parts[0], options);
+        scene.add(mesh);
+        addObjectToRegistry(mesh);
+        return { object: mesh, fitScale };
+    }
+
+    const meshes = parts.map((part) => {
+        const { mesh, partCenter } = createPart(part, { checkOverlap: false });
+        mesh.position.copy(partCenter);
+        scene.add(mesh);
+        addObjectToRegistry(mesh);
+        return mesh;
+    });
+
+    const group = groupObjects(scene, meshes);
+    group.userData.name = name;
+    group.name = name;
+
+    // Rest on the grid at the origin, shifted aside if something is already there
+    const { snapToGrid = false, gridSize = GRID_CONFIG.size, checkOverlap = true } = options;
+    const groupBox = new THREE.Box3().setFromObject(group);
+    const target = new THREE.Vector3(0, group.position.y - groupBox.min.y, 0);
+    if (checkOverlap) {
+        const existing = getRootObjects().filter((obj) => obj !== group);
+        if (existing.length > 0) {
+            group.position.copy(target);
+            target.copy(findNonOverlappingPosition(target, group, existing, snapToGrid ? gridSize : 0.5));
+        }
+    }
+    group.position.copy(target);
+    notifyObjectsChanged();
+
+    return { object: group, fitScale };
 }
+
+/**
+ * Wrap objects in a THREE.Group pivoted at their combined bounding-box center.
+ * World transforms are preserved; the group joins the objects' common parent
+ * (or the scene root when they come from different parents).
+ */
+export function groupObjects(scene, list) {
+    const members = getTopLevelObjects(list);
+    if (members.length === 0) return null;
+
+    const box = new THREE.Box3();
+    members.forEach((obj) => box.union(getObjectBounds(obj)));
+    const center = box.getCenter(new THREE.Vector3());
+
+    const firstParent = members[0].parent || scene;
+    const parent = members.every((obj) => obj.parent === firstParent) ? firstParent : scene;
+
+    const group = new THREE.Group();
+    const id = generateUUID();
+    group.userData = {
+        isEditable: true,
+        type: OBJECT_TYPES.GROUP,
+        id,
+        createdAt: Date.now(),
+        name: `Group-${id.substring(0, 4)}`
+    };
+    group.name = group.userData.name;
+
+    parent.updateMatrixWorld(true);
+    group.position.copy(parent.worldToLocal(center.clone()));
+    parent.add(group);
+    group.updateMatrixWorld(true);
+
+    members.forEach((obj) => group.attach(obj));
+    addObjectToRegistry(group);
+    notifyObjectsChanged();
+    return group;
+}
+
+// Dissolve a group into its parent, keeping every child's world transform
+export function ungroupObject(group, scene) {
+    if (!group || group.userData.type !== OBJECT_TYPES.GROUP) return [];
+
+    const parent = group.parent || scene;
+    const children = getEditableChildren(group);
+    children.forEach((child) => parent.attach(child));
+
+    parent.remove(group);
+    removeObjectFromRegistry(group);
+    return children;
+}
+
+// "Box" -> "Box 2", "Box 2" -> "Box 3": the lowest free number for the name without its suffix
+export function getUniqueName(name, taken) {
+    if (!taken.has(name)) return name;
+    const base = name.replace(/ \d+$/, '');
+    let index = 2;
+    while (taken.has(`${base} ${index}`)) index++;
+    return `${base} ${index}`;
+}
+
+export function addObjectToRegistry(mesh) {
+    if (!registered.has(mesh)) {
+        objects.push(mesh);
+        registered.add(mesh);
+        notifyObjectsChanged();
+    }
 }
 
 export function removeObjectFromRegistry(mesh) {
     const index = objects.indexOf(mesh);
     if (index > -1) {
         objects.splice(index, 1);
+        registered.delete(mesh);
+        notifyObjectsChanged();
     }
 }
+
+/**
+ * Batch registry update used by undo/redo, with a single change notification.
+ * @param {Array<{ object: THREE.Object3D, index: number }>} additions - objects returned to their recorded registry positions
+ * @param {THREE.Object3D[]} removals
+ */
+export function updateRegistry(additions, removals) {
+    const removed = new Set(removals.filter((obj) => registered.has(obj)));
+    if (removed.size > 0) {
+        const kept = objects.filter((obj) => !removed.has(obj));
+        objects.length = 0;
+        objects.push(...kept);
+        removed.forEach((obj) => registered.delete(obj));
+    }
+
+    // Ascending order, so earlier insertions don't shift the later recorded positions
+    [...additions]
+        .filter(({ object }) => !registered.has(object))
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ object, index }) => {
+            objects.splice(Math.min(index, objects.length), 0, object);
+            registered.add(object);
+        });
+    notifyObjectsChanged();
+}
@@ -0,0 +1,90 @@
+import { getRootObjects, getEditableChildren, getObjectById, onObjectsChanged } from './objects.js';
+
+const DRAG_MIME = 'application/x-editor-object-id';
+
+/**
+ * Scene hierarchy panel: lists editable objects as a tree, mirrors the selection,
+ * and lets users reparent objects by dragging rows onto each other.
+ * Dropping on the "Scene" root row moves an object back to the top level.
+ */
+export function initOutliner(listElement, { selectionManager, onReparent }) {
+    let refreshPending = false;
+
+    function createRow(label, depth, object) {
+        const row = document.createElement('li');
+        row.className = 'outliner-row';
+        row.style.paddingLeft = `${8 + depth * 14}px`;
+        row.textContent = label;
+
+        if (object) {
+            row.dataset.id = object.userData.id;
+            row.draggable = true;
+            row.title = `${object.userData.name} (${object.userData.type})`;
+            if (selectionManager.isSelected(object)) row.classList.add('selected');
+        } else {
+            row.classList.add('outliner-root');
+        }
+
+        row.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer.types.includes(DRAG_MIME)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            row.classList.add('drop-target');
+        });
+        row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+        row.addEventListener('drop', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            row.classList.remove('drop-target');
+            const dragged = getObjectById(event.dataTransfer.getData(DRAG_MIME));
+            if (!dragged || dragged === object) return;
+            onReparent(dragged, object || null);
+        });
+
+        return row;
+    }
+
+    function appendObject(object, depth) {
+        const row = createRow(object.userData.name || object.userData.type, depth, object);
+
+        row.addEventListener('click', (event) => {
+            if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                selectionManager.toggleObject(object);
+            } else {
+                selectionManager.selectObject(object);
+            }
+        });
+        row.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData(DRAG_MIME, object.userData.id);
+            event.dataTransfer.effectAllowed = 'move';
+        });
+
+        listElement.appendChild(row);
+        getEditableChildren(object).forEach((child) => appendObject(child, depth + 1));
+    }
+
+    function refresh() {
+        refreshPending = false;
+        listElement.innerHTML = '';
+        listElement.appendChild(createRow('Scene', 0, null));
+        getRootObjects().forEach((object) => appendObject(object, 1));
+    }
+
+    // Batch bursts of changes (e.g. loading a scene) into a single rebuild
+    function scheduleRefresh() {
+        if (refreshPending) return;
+        refreshPending = true;
+        requestAnimationFrame(refresh);
+    }
+
+    const unsubscribe = onObjectsChanged(scheduleRefresh);
+    refresh();
+
+    return {
+        refresh: scheduleRefresh,
+        dispose: () => {
+            unsubscribe();
+            listElement.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+import { PATTERN_TYPES, PATTERN_LIMITS } from './constants.js';
+import { getObjects, getObjectSubtree, getUniqueName, updateRegistry } from './objects.js';
+import { serializeObjects, createObjectsFromData } from './persistence.js';
+import { validatePosition } from './utils.js';
+
+/*
+ * Pattern (array) tool: copies of one object along a line, in a 3D grid, or around an axis.
+ * Offsets are in the object's parent space, so a pattern inside a rotated group follows the group.
+ */
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+// Direction from the ring's center to the original object, perpendicular to each axis
+const RADIAL_DIRECTIONS = {
+    x: new THREE.Vector3(0, 0, 1),
+    y: new THREE.Vector3(1, 0, 0),
+    z: new THREE.Vector3(1, 0, 0)
+};
+
+const PREVIEW_COLOR = 0x007acc;
+const PREVIEW_MARKER_RADIUS = 0.2;
+
+const clampNumber = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+const clampCount = (value, min) => Math.round(clampNumber(value, min, PATTERN_LIMITS.maxCount, min));
+const clampOffset = (value) => clampNumber(value, -PATTERN_LIMITS.maxSpacing, PATTERN_LIMITS.maxSpacing, 0);
+
+/**
+ * Valid pattern parameters.
+ * - linear: `count` copies, each `offset` further from the previous one
+ * - grid: `gridCount` items per axis (the original is the first), `spacing` apart
+ * - radial: `count` copies around `axis`, spread over `angle` degrees at `radius` from the center;
+ *   `rotateCopies` turns each copy with its place on the ring
+ */
+export function sanitizePatternParams(params = {}) {
+    const vector = (value, sanitize) => [0, 1, 2].map((i) => sanitize(Array.isArray(value) ? value[i] : undefined));
+    return {
+        type: Object.values(PATTERN_TYPES).includes(params.type) ? params.type : PATTERN_TYPES.LINEAR,
+        count: clampCount(params.count, 1),
+        offset: vector(params.offset, clampOffset),
+        gridCount: vector(params.gridCount, (value) => clampCount(value, 1)),
+        spacing: vector(params.spacing, clampOffset),
+        axis: Object.prototype.hasOwnProperty.call(AXES, params.axis) ? params.axis : 'y',
+        radius: clampNumber(params.radius, 0, PATTERN_LIMITS.maxRadius, 2),
+        angle: clampNumber(params.angle, 1, 360, 360),
+        rotateCopies: params.rotateCopies !== false
+    };
+}
+
+// Nearest non-zero multiple of the snap step, keeping the sign
+function snapValue(value, step) {
+    if (!step || value === 0) return value;
+    return Math.sign(value) * Math.max(step, Math.round(Math.abs(value) / step) * step);
+}
+
+function getLocalOffsets(params, snap) {
+    const snapVector = (values) => new THREE.Vector3(...values.map((value) => snapValue(value, snap && snap.translate)));
+    const offsets = [];
+
+    if (params.type === PATTERN_TYPES.LINEAR) {
+        const offset = snapVector(params.offset);
+        for (let i = 1; i <= params.count; i++) {
+            offsets.push({ position: offset.clone().multiplyScalar(i), rotation: null });
+        }
+    } else if (params.type === PATTERN_TYPES.GRID) {
+        const spacing = snapVector(params.spacing);
+        const [nx, ny, nz] = params.gridCount;
+        for (let iy = 0; iy < ny; iy++) {
+            for (let iz = 0; iz < nz; iz++) {
+                for (let ix = 0; ix < nx; ix++) {
+                    if (ix === 0 && iy === 0 && iz === 0) continue;
+                    offsets.push({ position: new THREE.Vector3(ix * spacing.x, iy * spacing.y, iz * spacing.z), rotation: null });
+                }
+            }
+        }
+    } else {
+        // A full circle shares it with the original, so copies stop one step short of 360°
+        const fullCircle = params.angle >= 360;
+        let step = params.angle / (fullCircle ? params.count + 1 : params.count);
+        if (snap && snap.rotateDeg) step = snapValue(step, snap.rotateDeg);
+        const radius = snapValue(params.radius, snap && snap.translate);
+        const toOriginal = RADIAL_DIRECTIONS[params.axis].clone().multiplyScalar(radius);
+        for (let i = 1; i <= params.count; i++) {
+            const rotation = new THREE.Quaternion().setFromAxisAngle(AXES[params.axis], THREE.MathUtils.degToRad(step * i));
+            const position = toOriginal.clone().applyQuaternion(rotation).sub(toOriginal);
+            offsets.push({ position, rotation: params.rotateCopies ? rotation : null });
+        }
+    }
+    return offsets;
+}
+
+/**
+ * Local transforms of the copies a pattern makes of `source`.
+ * With `snap` ({ translate, rotateDeg }, e.g. the editor's snap settings) offsets, spacing and
+ * radius are whole grid steps and the radial step is a whole rotation step.
+ * Copies whose origin falls outside WORKSPACE_BOUNDS are left out and counted in `skipped`.
+ * @returns {{ transforms: Array<{ position, quaternion, scale }>, skipped: number, tooMany: boolean }}
+ */
+export function computePatternTransforms(source, params, snap = null) {
+    const settings = sanitizePatternParams(params);
+    const offsets = getLocalOffsets(settings, snap);
+    if (offsets.length > PATTERN_LIMITS.maxCopies) {
+        return { transforms: [], skipped: 0, tooMany: true };
+    }
+
+    source.updateWorldMatrix(true, false);
+    const parentMatrix = source.parent ? source.parent.matrixWorld : new THREE.Matrix4();
+    const worldPosition = new THREE.Vector3();
+    const transforms = [];
+    let skipped = 0;
+
+    offsets.forEach(({ position, rotation }) => {
+        const copyPosition = source.position.clone().add(position);
+        if (!validatePosition(worldPosition.copy(copyPosition).applyMatrix4(parentMatrix))) {
+            skipped++;
+            return;
+        }
+        const quaternion = source.quaternion.clone();
+        if (rotation) quaternion.premultiply(rotation);
+        transforms.push({ position: copyPosition, quaternion, scale: source.scale.clone() });
+    });
+    return { transforms, skipped, tooMany: false };
+}
+
+/**
+ * Add the pattern's copies of `source` next to it (same parent), with fresh ids and unique names.
+ * @returns {THREE.Object3D[]} the new top-level copies
+ */
+export function createPatternCopies(source, transforms) {
+    const parent = source.parent;
+    const data = serializeObjects([source]);
+    const taken = new Set(getObjects().map((obj) => obj.userData.name));
+    const copies = [];
+
+    transforms.forEach(({ position, quaternion, scale }) => {
+        const { roots } = createObjectsFromData(data);
+        const copy = roots[0];
+        if (!copy) return;
+        copy.position.copy(position);
+        copy.quaternion.copy(quaternion);
+        copy.scale.copy(scale);
+        getObjectSubtree(copy).forEach((obj) => {
+            obj.userData.name = getUniqueName(obj.userData.name, taken);
+            obj.name = obj.userData.name;
+            taken.add(obj.userData.name);
+        });
+        parent.add(copy);
+        copies.push(copy);
+    });
+
+    const count = getObjects().length;
+    updateRegistry(copies.flatMap(getObjectSubtree).map((object, index) => ({ object, index: count + index })), []);
+    return copies;
+}
+
+/**
+ * Translucent stand-ins for the copies, drawn until the pattern is applied or cancelled.
+ * Call `update()` with new transforms as the parameters change; it shares the source's geometry.
+ */
+export function createPatternPreview(scene) {
+    const material = new THREE.MeshBasicMaterial({ color: PREVIEW_COLOR, transparent: true, opacity: 0.35, depthWrite: false });
+    const markerGeometry = new THREE.OctahedronGeometry(PREVIEW_MARKER_RADIUS);
+    const root = new THREE.Group();
+    root.name = 'PatternPreview';
+    root.userData.isHelper = true;
+    root.matrixAutoUpdate = false;
+    scene.add(root);
+
+    // Meshes of the source relative to its own origin; lights and groups without meshes get a marker
+    function buildTemplate(source) {
+        source.updateWorldMatrix(true, true);
+        const toSource = source.matrixWorld.clone().invert();
+        const parts = [];
+        source.traverse((child) => {
+            if (!child.isMesh) return;
+            const part = new THREE.Mesh(child.geometry, material);
+            part.matrixAutoUpdate = false;
+            part.matrix.multiplyMatrices(toSource, child.matrixWorld);
+            parts.push(part);
+        });
+        if (parts.length === 0) parts.push(new THREE.Mesh(markerGeometry, material));
+        return parts;
+    }
+
+    function clear() {
+        root.clear();
+    }
+
+    function update(source, transforms) {
+        clear();
+        if (!source || transforms.length === 0) return;
+        const template = buildTemplate(source);
+        // Transforms are in the source's parent space
+        root.matrix.copy(source.parent ? source.parent.matrixWorld : new THREE.Matrix4());
+        root.matrixWorldNeedsUpdate = true;
+        transforms.forEach(({ position, quaternion, scale }) => {
+            const instance = new THREE.Group();
+            instance.position.copy(position);
+            instance.quaternion.copy(quaternion);
+            instance.scale.copy(scale);
+            template.forEach((part) => instance.add(part.clone()));
+            root.add(instance);
+        });
+    }
+
+    return {
+        update,
+        clear,
+        dispose: () => {
+            clear();
+            scene.remove(root);
+            material.dispose();
+            markerGeometry.dispose();
+        }
+    };
+}
@@ -1,25 +1,93 @@
 import * as THREE from 'three';
-import { getObjects, addObjectToRegistry, clearObjectsArray } from './objects.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { mergeGeometries, mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { getObjects, getRootObjects, getEditableParent, getEditableChildren, getTopLevelObjects, getObjectSubtree, addObjectToRegistry, clearObjectsArray } from './objects.js';
+import { buildPrimitiveGeometry, hasGeometryParams, sanitizeGeometryParams } from './geometry.js';
+import { isLightType, createLight, serializeLight, addDefaultLights } from './lights.js';
+import { getSceneUnits, setSceneUnits, getUnitScaleToMillimeters, getEnvironmentSettings, replaceEnvironmentSettings, getAnimationSettings, replaceAnimationSettings } from './settings.js';
+import { createMaterial, serializeMaterial } from './materials.js';
+import { TEXTURE_SLOTS, registerAsset, getAsset } from './textures.js';
+import { registerGeometryData, getGeometryData, createGeometryFromData } from './models.js';
+import { sanitizePhysicsProps } from './physics.js';
+import { sanitizeAnimation, buildGLTFAnimation } from './animation.js';
 import { disposeObject, isValidNumberArray, safeParseNumber, generateUUID, validatePosition, clampPosition, validateScale, clampScale, validateRotation, clampRotation } from './utils.js';
-import { DEFAULT_COLORS, EXPORT_FILE_NAME, OBJECT_TYPES, DEFAULT_DIMENSIONS, SCALE_LIMITS } from './constants.js';
+import { DEFAULT_COLORS, EXPORT_FILE_NAME, GLTF_FILE_NAME, GLB_FILE_NAME, STL_FILE_NAME, OBJ_FILE_NAME, MTL_FILE_NAME, DEFAULT_SCENE_UNITS, WELD_TOLERANCE_MM, OBJECT_TYPES, DEFAULT_DIMENSIONS, SCALE_LIMITS } from './constants.js';
 
-const SCENE_VERSION = '1.0.0';
+const SCENE_VERSION = '1.9.0';
+const LIGHTS_VERSION = '1.6.0'; // First version that saves lights; older files get the default rig
+const MAX_IMPORT_SIZE = 50 * 1024 * 1024; // Embedded textures make scene files larger
+
+// Transforms are local to the parent; children are nested under their parent item
+function serializeObject(obj) {
+    const item = {
+        type: obj.userData.type,
+        id: obj.userData.id || generateUUID(),
+        name: obj.userData.name || obj.name,
+        position: obj.position.toArray(),
+        rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
+        scale: obj.scale.toArray()
+    };
+
+    // Imported models reference their mesh data in the scene's geometry table
+    if (obj.userData.type === OBJECT_TYPES.MODEL && obj.geometry) {
+        item.geometry = obj.geometry.userData.geometryId;
+    }
+
+    // Primitives are rebuilt from their parameters on load
+    if (hasGeometryParams(obj.userData.type)) {
+        item.geometryParams = sanitizeGeometryParams(obj.userData.type, obj.userData.geometryParams);
+    }
+
+    if (obj.isLight) {
+        item.light = serializeLight(obj);
+    }
+
+    // Only objects whose physics properties were edited carry them
+    if (obj.userData.physics) {
+        item.physics = sanitizePhysicsProps(obj.userData.physics);
+    }
+
+    const animation = sanitizeAnimation(obj.userData.animation);
+    if (animation) {
+        item.animation = animation;
+    }
+
+    // Groups are plain containers with no material of their own.
+    // `color` stays at the top level so older readers still get the base color.
+    if (obj.material) {
+        item.color = obj.material.color.getHex();
+        item.material = serializeMaterial(obj.material);
+    }
+
+    const children = getEditableChildren(obj);
+    if (children.length > 0) {
+        item.children = children.map(serializeObject);
+    }
+    return item;
+}
 
 export function serializeScene(camera = null, orbitControls = null) {
-    const objects = getObjects();
     const sceneData = {
         version: SCENE_VERSION,
         timestamp: Date.now(),
-        objects: objects.map((obj) => ({
-            type: obj.userData.type,
-            id: obj.userData.id || generateUUID(),
-            name: obj.userData.name || obj.name,
-            position: obj.position.toArray(),
-            rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
-            scale: obj.scale.toArray(),
-            color: obj.material.color.getHex()
-        }))
+        units: getSceneUnits(),
+        environment: getEnvironmentSettings(),
+        animation: getAnimationSettings(),
+        objects: getRootObjects().map(serializeObject)
     };
+
+    // Sidecar asset table: each texture image is embedded once, keyed by its content hash
+    const assets = collectAssets(getObjects(), true);
+    if (Object.keys(assets).length > 0) {
+        sceneData.assets = assets;
+    }
+
+    const geometries = collectGeometries(getObjects());
+    if (Object.keys(geometries).length > 0) {
+        sceneData.geometries = geometries;
+    }
     
     // Industry standard: Save camera position and angle for restoration
     if (camera && orbitControls) {
@@ -33,18 +101,58 @@ export function serializeScene(camera = null, orbitControls = null) {
     return sceneData;
 }
 
+/**
+ * Some objects in the scene file format, for the clipboard: a scene document without camera or
+ * environment, carrying only the assets and geometries those objects use. Nested objects are
+ * written with their world transform, since a pasted copy starts at the top level.
+ */
+export function serializeObjects(roots) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const objects = roots.map((obj) => {
+        const item = serializeObject(obj);
+        if (getEditableParent(obj)) {
+            obj.updateWorldMatrix(true, false);
+            obj.matrixWorld.decompose(position, quaternion, scale);
+            const rotation = new THREE.Euler().setFromQuaternion(quaternion, obj.rotation.order);
+            item.position = position.toArray();
+            item.rotation = [rotation.x, rotation.y, rotation.z];
+            item.scale = scale.toArray();
+        }
+        return item;
+    });
+
+    const subtree = roots.flatMap(getObjectSubtree);
+    const data = {
+        version: SCENE_VERSION,
+        timestamp: Date.now(),
+        units: getSceneUnits(),
+        objects
+    };
+    const assets = collectAssets(subtree);
+    if (Object.keys(assets).length > 0) data.assets = assets;
+    const geometries = collectGeometries(subtree);
+    if (Object.keys(geometries).length > 0) data.geometries = geometries;
+    return data;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
 export function exportScene(camera = null, orbitControls = null) {
     try {
         const data = serializeScene(camera, orbitControls);
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = EXPORT_FILE_NAME;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, EXPORT_FILE_NAME);
         
         // Professional feedback
         showNotification('Scene exported successfully!', 'success');
@@ -53,16 +161,232 @@ export function exportScene(camera = null, orbitControls = null) {
     }
 }
 
-function buildGeometry(type) {
-    switch (type) {
-        case OBJECT_TYPES.BOX:
-            return new THREE.BoxGeometry(1, 1, 1);
-        case OBJECT_TYPES.SPHERE:
-            return new THREE.SphereGeometry(0.6, 32, 16);
-        case OBJECT_TYPES.CYLINDER:
-            return new THREE.CylinderGeometry(0.5, 0.5, 1.5, 32);
-        default:
-            return null;
+// Copy an editable object and its editable descendants; helpers and gizmos are left behind
+function cloneForExport(obj) {
+    const copy = obj.clone(false);
+    // DirectionalLight.copy() ignores `recursive` and clones the target child anyway
+    copy.clear();
+    // glTF lights shine along the node's -Z like ours do, so the target would only export as an
+    // extra empty node
+    if (copy.target) copy.target = null;
+    copy.name = obj.userData.name || obj.name;
+    // Only stable identifiers go to glTF extras; editor flags stay in the editor
+    copy.userData = { id: obj.userData.id, type: obj.userData.type };
+    getEditableChildren(obj).forEach((child) => copy.add(cloneForExport(child)));
+    return copy;
+}
+
+/**
+ * Build a standalone scene for interchange formats: editable objects plus the user's camera.
+ * Grid, axes, selection outlines and TransformControls are not part of it.
+ */
+export function buildExportScene(camera = null) {
+    const exportRoot = new THREE.Scene();
+    exportRoot.name = 'Scene';
+    getRootObjects().forEach((obj) => exportRoot.add(cloneForExport(obj)));
+
+    if (camera) {
+        camera.updateMatrixWorld(true);
+        const exportCamera = new THREE.PerspectiveCamera(camera.fov, camera.aspect, camera.near, camera.far);
+        exportCamera.name = 'Camera';
+        camera.matrixWorld.decompose(exportCamera.position, exportCamera.quaternion, exportCamera.scale);
+        exportRoot.add(exportCamera);
+    }
+
+    exportRoot.updateMatrixWorld(true);
+    return exportRoot;
+}
+
+/**
+ * Export the scene as glTF 2.0 (.gltf JSON with embedded buffers, or binary .glb), with its
+ * keyframe tracks as one animation.
+ * @returns {Promise<boolean>} resolves true once the file download has been triggered
+ */
+export function exportGLTF(camera = null, binary = false) {
+    return new Promise((resolve) => {
+        try {
+            const exportRoot = buildExportScene(camera);
+            const exporter = new GLTFExporter();
+            const { animations, plugin } = buildGLTFAnimation(exportRoot);
+            if (plugin) exporter.register(plugin);
+
+            exporter.parse(
+                exportRoot,
+                (result) => {
+                    const blob = binary
+                        ? new Blob([result], { type: 'model/gltf-binary' })
+                        : new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' });
+                    downloadBlob(blob, binary ? GLB_FILE_NAME : GLTF_FILE_NAME);
+                    showNotification(`Exported ${binary ? 'GLB' : 'glTF'} successfully!`, 'success');
+                    resolve(true);
+                },
+                (error) => {
+                    showNotification(`Failed to export ${binary ? 'GLB' : 'glTF'}: ` + error.message, 'error');
+                    resolve(false);
+                },
+                { binary, onlyVisible: true, animations }
+            );
+        } catch (error) {
+            showNotification(`Failed to export ${binary ? 'GLB' : 'glTF'}: ` + error.message, 'error');
+            resolve(false);
+        }
+    });
+}
+
+// Editable meshes of the given objects and their descendants, each listed once
+function collectFabricationMeshes(objects) {
+    const meshes = [];
+    getTopLevelObjects(objects).forEach((obj) => {
+        getObjectSubtree(obj).forEach((child) => {
+            if (child.isMesh && child.geometry && !meshes.includes(child)) meshes.push(child);
+        });
+    });
+    return meshes;
+}
+
+function toFileSafeName(name, fallback) {
+    const safe = String(name || '').replace(/[^A-Za-z0-9_-]+/g, '_');
+    return safe || fallback;
+}
+
+/**
+ * Bake world transforms and scene units into standalone meshes for fabrication formats.
+ * Output is in millimeters. With `merge`, all meshes are combined into one mesh whose coincident
+ * vertices are welded; overlapping parts are not boolean-unioned.
+ * @returns {{ root: THREE.Group, materials: Array<{ name: string, source: THREE.Material }> }}
+ */
+function buildFabricationRoot(objects, { merge = false, zUp = false } = {}) {
+    const unitScale = getUnitScaleToMillimeters();
+    const bake = new THREE.Matrix4().makeScale(unitScale, unitScale, unitScale);
+    // Slicers expect Z-up; the editor is Y-up
+    if (zUp) bake.premultiply(new THREE.Matrix4().makeRotationX(Math.PI / 2));
+
+    const root = new THREE.Group();
+    const materials = [];
+    const materialNameFor = (source) => {
+        let entry = materials.find((m) => m.source === source);
+        if (!entry) {
+            entry = { name: `material_${materials.length + 1}`, source };
+            materials.push(entry);
+        }
+        return entry.name;
+    };
+
+    const parts = collectFabricationMeshes(objects).map((mesh) => {
+        mesh.updateWorldMatrix(true, false);
+        const geometry = mesh.geometry.clone();
+        geometry.applyMatrix4(mesh.matrixWorld);
+        geometry.applyMatrix4(bake);
+        return { mesh, geometry };
+    });
+
+    if (parts.length === 0) return { root, materials };
+
+    if (merge) {
+        const positionsOnly = parts.map(({ geometry }) => {
+            const flat = geometry.index ? geometry.toNonIndexed() : geometry;
+            const positions = new THREE.BufferGeometry();
+            positions.setAttribute('position', flat.getAttribute('position'));
+            return positions;
+        });
+        const welded = mergeVertices(mergeGeometries(positionsOnly), WELD_TOLERANCE_MM);
+        welded.computeVertexNormals();
+
+        const merged = new THREE.Mesh(welded, new THREE.MeshBasicMaterial({ name: materialNameFor(parts[0].mesh.material) }));
+        merged.name = 'merged';
+        root.add(merged);
+        parts.forEach(({ geometry }) => geometry.dispose());
+    } else {
+        parts.forEach(({ mesh, geometry }, index) => {
+            const baked = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ name: materialNameFor(mesh.material) }));
+            baked.name = toFileSafeName(mesh.userData.name, `object_${index + 1}`);
+            root.add(baked);
+        });
+    }
+
+    root.updateMatrixWorld(true);
+    return { root, materials };
+}
+
+function disposeFabricationRoot(root) {
+    root.traverse((child) => {
+        if (child.isMesh) disposeObject(child);
+    });
+}
+
+function buildMTL(materials) {
+    const lines = ['# Material library exported by the scene editor'];
+    materials.forEach(({ name, source }) => {
+        const color = source.color ? source.color.clone().convertLinearToSRGB() : new THREE.Color(1, 1, 1);
+        const emissive = source.emissive ? source.emissive.clone().convertLinearToSRGB() : new THREE.Color(0, 0, 0);
+        const roughness = Number.isFinite(source.roughness) ? source.roughness : 1;
+        const metalness = Number.isFinite(source.metalness) ? source.metalness : 0;
+        lines.push(
+            '',
+            `newmtl ${name}`,
+            `Kd ${color.r.toFixed(6)} ${color.g.toFixed(6)} ${color.b.toFixed(6)}`,
+            'Ka 0 0 0',
+            `Ks ${(metalness * color.r).toFixed(6)} ${(metalness * color.g).toFixed(6)} ${(metalness * color.b).toFixed(6)}`,
+            `Ke ${emissive.r.toFixed(6)} ${emissive.g.toFixed(6)} ${emissive.b.toFixed(6)}`,
+            `Ns ${((1 - roughness) * 1000).toFixed(2)}`,
+            `d ${source.opacity.toFixed(4)}`,
+            `Pr ${roughness.toFixed(4)}`,
+            `Pm ${metalness.toFixed(4)}`,
+            'illum 2'
+        );
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export objects as STL in millimeters with world transforms baked in (Z-up, as slicers expect).
+ * @param {THREE.Object3D[]} objects - selection or scene root objects
+ */
+export function exportSTL(objects, { binary = true, merge = false } = {}) {
+    try {
+        const { root } = buildFabricationRoot(objects, { merge, zUp: true });
+        if (root.children.length === 0) {
+            showNotification('Nothing to export', 'warning');
+            return false;
+        }
+
+        const result = new STLExporter().parse(root, { binary });
+        const blob = binary
+            ? new Blob([result], { type: 'application/octet-stream' })
+            : new Blob([result], { type: 'text/plain' });
+        downloadBlob(blob, STL_FILE_NAME);
+        disposeFabricationRoot(root);
+
+        showNotification(`Exported ${binary ? 'binary' : 'ASCII'} STL (${root.children.length} mesh${root.children.length === 1 ? '' : 'es'}, mm)`, 'success');
+        return true;
+    } catch (error) {
+        showNotification('Failed to export STL: ' + error.message, 'error');
+        return false;
+    }
+}
+
+/**
+ * Export objects as OBJ plus an MTL material library, in millimeters with world transforms baked in.
+ */
+export function exportOBJ(objects, { merge = false } = {}) {
+    try {
+        const { root, materials } = buildFabricationRoot(objects, { merge });
+        if (root.children.length === 0) {
+            showNotification('Nothing to export', 'warning');
+            return false;
+        }
+
+        const header = `# Units: millimeters (1 scene unit = ${getUnitScaleToMillimeters()} mm)\nmtllib ${MTL_FILE_NAME}\n`;
+        const obj = header + new OBJExporter().parse(root);
+        downloadBlob(new Blob([obj], { type: 'text/plain' }), OBJ_FILE_NAME);
+        downloadBlob(new Blob([buildMTL(materials)], { type: 'text/plain' }), MTL_FILE_NAME);
+        disposeFabricationRoot(root);
+
+        showNotification('Exported OBJ + MTL (mm)', 'success');
+        return true;
+    } catch (error) {
+        showNotification('Failed to export OBJ: ' + error.message, 'error');
+        return false;
     }
 }
 
@@ -73,9 +397,159 @@ function validateItem(item) {
     if (!isValidNumberArray(item.scale, 3)) return false;
     if (!Array.isArray(item.rotation) || item.rotation.length < 3) return false;
     if (![0, 1, 2].every((i) => Number.isFinite(item.rotation[i]))) return false;
+    if (item.children !== undefined && !Array.isArray(item.children)) return false;
+    if (item.type === OBJECT_TYPES.MODEL && typeof item.geometry !== 'string') return false;
+    if (item.geometryParams !== undefined && (!item.geometryParams || typeof item.geometryParams !== 'object')) return false;
     return true;
 }
 
+function collectAssets(objects, includeEnvironment = false) {
+    const assets = {};
+    const envAsset = includeEnvironment && getEnvironmentSettings().envMap.asset;
+    if (envAsset && getAsset(envAsset)) assets[envAsset] = getAsset(envAsset);
+    objects.forEach((obj) => {
+        if (!obj.material) return;
+        TEXTURE_SLOTS.forEach((slot) => {
+            const id = obj.material[slot] && obj.material[slot].userData.assetId;
+            const dataUrl = id && getAsset(id);
+            if (dataUrl) assets[id] = dataUrl;
+        });
+    });
+    return assets;
+}
+
+function collectGeometries(objects) {
+    const geometries = {};
+    objects.forEach((obj) => {
+        if (obj.userData.type !== OBJECT_TYPES.MODEL || !obj.geometry) return;
+        const id = obj.geometry.userData.geometryId;
+        const data = id && getGeometryData(id);
+        if (data) geometries[id] = data;
+    });
+    return geometries;
+}
+
+// Register a file's geometry table; returns file id -> runtime id (ids are re-derived from content)
+function registerGeometries(geometries) {
+    const idMap = new Map();
+    if (!geometries || typeof geometries !== 'object') return idMap;
+    Object.entries(geometries).forEach(([fileId, data]) => {
+        const id = registerGeometryData(data);
+        if (id) idMap.set(fileId, id);
+    });
+    return idMap;
+}
+
+// Register a file's asset table; returns file id -> runtime id (ids are re-derived from content)
+function registerAssets(assets) {
+    const idMap = new Map();
+    if (!assets || typeof assets !== 'object') return idMap;
+    Object.entries(assets).forEach(([fileId, dataUrl]) => {
+        const id = registerAsset(dataUrl);
+        if (id) idMap.set(fileId, id);
+    });
+    return idMap;
+}
+
+function resolveMaterialData(item, assetIds) {
+    const materialData = item.material && typeof item.material === 'object' ? { ...item.material } : {};
+    if (materialData.maps && typeof materialData.maps === 'object') {
+        const maps = {};
+        Object.entries(materialData.maps).forEach(([slot, fileId]) => {
+            maps[slot] = assetIds.get(fileId) || null;
+        });
+        materialData.maps = maps;
+    } else {
+        delete materialData.maps;
+    }
+    return materialData;
+}
+
+function buildObject(item, assetIds, geometryIds) {
+    if (item.type === OBJECT_TYPES.GROUP) {
+        return new THREE.Group();
+    }
+    if (isLightType(item.type)) {
+        return createLight(item.type, item.light);
+    }
+
+    const geometry = item.type === OBJECT_TYPES.MODEL
+        ? createGeometryFromData(geometryIds.get(item.geometry))
+        : buildPrimitiveGeometry(item.type, item.geometryParams);
+    if (!geometry) return null;
+
+    const materialData = resolveMaterialData(item, assetIds);
+    const material = createMaterial(materialData, safeParseNumber(item.color, DEFAULT_COLORS[item.type]));
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+function buildObjectFromItem(item, isRoot, assetIds, geometryIds) {
+    const mesh = buildObject(item, assetIds, geometryIds);
+    if (!mesh) return null;
+
+    // Restore position with validation (workspace bounds apply to top-level objects only,
+    // children are stored relative to their parent)
+    mesh.position.fromArray(item.position);
+    if (isRoot && !validatePosition(mesh.position)) {
+        const clamped = clampPosition(mesh.position);
+        mesh.position.copy(clamped);
+    }
+
+    // Restore rotation with validation
+    mesh.rotation.fromArray(item.rotation.slice(0, 3));
+    if (!validateRotation(mesh.rotation)) {
+        const clamped = clampRotation(mesh.rotation);
+        mesh.rotation.copy(clamped);
+    }
+
+    // Restore scale with validation
+    mesh.scale.fromArray(item.scale);
+    // Ensure scale is within limits
+    if (!validateScale(mesh.scale)) {
+        const clamped = clampScale(mesh.scale);
+        mesh.scale.copy(clamped);
+    }
+
+    // Restore metadata
+    const objectId = item.id || generateUUID();
+    mesh.userData = {
+        isEditable: true,
+        type: item.type,
+        id: objectId,
+        name: item.name || `${item.type}-${objectId.substring(0, 4)}`,
+        createdAt: item.createdAt || Date.now()
+    };
+    // Files without geometryParams predate them and get the default dimensions
+    if (hasGeometryParams(item.type)) {
+        mesh.userData.geometryParams = sanitizeGeometryParams(item.type, item.geometryParams);
+    }
+    if (item.physics && typeof item.physics === 'object' && !isLightType(item.type)) {
+        mesh.userData.physics = sanitizePhysicsProps(item.physics);
+    }
+    const animation = sanitizeAnimation(item.animation);
+    if (animation) {
+        mesh.userData.animation = animation;
+    }
+    mesh.name = mesh.userData.name;
+
+    return mesh;
+}
+
+// Compare dotted version strings; unknown versions count as older
+function isOlderVersion(version, reference) {
+    if (!/^\d+(\.\d+)*$/.test(version)) return true;
+    const a = version.split('.').map(Number);
+    const b = reference.split('.').map(Number);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff < 0;
+    }
+    return false;
+}
+
 export function loadSceneData(data, scene, selectionManager, camera = null, orbitControls = null) {
     // Handle both old format (array) and new format (object with version)
     let objectsData = [];
@@ -105,63 +579,58 @@ export function loadSceneData(data, scene, selectionManager, camera = null, orbi
     let loadedCount = 0;
     let skippedCount = 0;
 
-    objectsData.forEach((item) => {
+    const assetIds = registerAssets(Array.isArray(data) ? null : data.assets);
+    const geometryIds = registerGeometries(Array.isArray(data) ? null : data.geometries);
+
+    const usedIds = new Set();
+
+    // Parent/child links come from nesting; ids must stay unique so links remain unambiguous
+    const loadItem = (item, parent) => {
         if (!validateItem(item)) {
             skippedCount++;
             return;
         }
 
-        const geometry = buildGeometry(item.type);
-        if (!geometry) {
+        const mesh = buildObjectFromItem(item, parent === scene, assetIds, geometryIds);
+        if (!mesh) {
             skippedCount++;
             return;
         }
 
-        const material = new THREE.MeshStandardMaterial({
-            color: safeParseNumber(item.color, DEFAULT_COLORS[item.type])
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-
-        // Restore position with validation
-        mesh.position.fromArray(item.position);
-        if (!validatePosition(mesh.position)) {
-            const clamped = clampPosition(mesh.position);
-            mesh.position.copy(clamped);
+        if (usedIds.has(mesh.userData.id)) {
+            mesh.userData.id = generateUUID();
         }
+        usedIds.add(mesh.userData.id);
 
-        // Restore rotation with validation
-        mesh.rotation.fromArray(item.rotation.slice(0, 3));
-        if (!validateRotation(mesh.rotation)) {
-            const clamped = clampRotation(mesh.rotation);
-            mesh.rotation.copy(clamped);
-        }
+        parent.add(mesh);
+        addObjectToRegistry(mesh);
+        loadedCount++;
 
-        // Restore scale with validation
-        mesh.scale.fromArray(item.scale);
-        // Ensure scale is within limits
-        if (!validateScale(mesh.scale)) {
-            const clamped = clampScale(mesh.scale);
-            mesh.scale.copy(clamped);
-        }
+        (item.children || []).forEach((child) => loadItem(child, mesh));
+    };
 
-        // Restore metadata
-        const objectId = item.id || generateUUID();
-        mesh.userData = {
-            isEditable: true,
-            type: item.type,
-            id: objectId,
-            name: item.name || `${item.type}-${objectId.substring(0, 4)}`,
-            createdAt: item.createdAt || Date.now()
-        };
-        mesh.name = mesh.userData.name;
-        
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
+    objectsData.forEach((item) => loadItem(item, scene));
 
-        scene.add(mesh);
-        addObjectToRegistry(mesh);
-        loadedCount++;
-    });
+    // Scenes saved before lights were editable relied on the built-in lighting rig
+    if (isOlderVersion(version, LIGHTS_VERSION) && !getObjects().some((obj) => obj.isLight)) {
+        addDefaultLights(scene);
+    }
+
+    // Environment asset ids are remapped like texture ids; files without an environment get the defaults
+    const environment = !Array.isArray(data) && data.environment && typeof data.environment === 'object'
+        ? structuredClone(data.environment)
+        : null;
+    if (environment && environment.envMap && typeof environment.envMap === 'object' && environment.envMap.asset) {
+        environment.envMap.asset = assetIds.get(environment.envMap.asset) || null;
+    }
+    replaceEnvironmentSettings(environment);
+    replaceAnimationSettings(!Array.isArray(data) ? data.animation : null);
+
+    // Files without units predate the setting and are treated as the default
+    const units = !Array.isArray(data) && typeof data.units === 'string' ? data.units : DEFAULT_SCENE_UNITS;
+    if (!setSceneUnits(units)) {
+        setSceneUnits(DEFAULT_SCENE_UNITS);
+    }
 
     // Industry standard: Restore camera position and angle if available
     if (cameraData && camera && orbitControls) {
@@ -191,11 +660,45 @@ export function loadSceneData(data, scene, selectionManager, camera = null, orbi
     return { loadedCount, skippedCount, cameraRestored: !!cameraData };
 }
 
+/**
+ * Build new copies of the objects in scene data (e.g. serializeObjects() output) without adding
+ * them to the scene or the registry. Every copy gets a fresh id; invalid entries are skipped.
+ * @returns {{ roots: THREE.Object3D[], skippedCount: number }}
+ */
+export function createObjectsFromData(data) {
+    const objectsData = Array.isArray(data) ? data : (data && typeof data === 'object' ? data.objects : null);
+    if (!Array.isArray(objectsData)) {
+        throw new Error('Invalid format: root should be an array or object with objects array');
+    }
+
+    const assetIds = registerAssets(Array.isArray(data) ? null : data.assets);
+    const geometryIds = registerGeometries(Array.isArray(data) ? null : data.geometries);
+    let skippedCount = 0;
+
+    const build = (item, isRoot) => {
+        const object = validateItem(item) ? buildObjectFromItem(item, isRoot, assetIds, geometryIds) : null;
+        if (!object) {
+            skippedCount++;
+            return null;
+        }
+        object.userData.id = generateUUID();
+        object.userData.createdAt = Date.now();
+        (item.children || []).forEach((child) => {
+            const built = build(child, false);
+            if (built) object.add(built);
+        });
+        return object;
+    };
+
+    const roots = objectsData.map((item) => build(item, true)).filter(Boolean);
+    return { roots, skippedCount };
+}
+
 export function importScene(jsonString, scene, selectionManager, camera = null, orbitControls = null) {
     try {
         // Validate JSON size (prevent memory issues)
-        if (jsonString.length > 10 * 1024 * 1024) { // 10MB limit
-            throw new Error('File too large (max 10MB)');
+        if (jsonString.length > MAX_IMPORT_SIZE) {
+            throw new Error(`File too large (max ${MAX_IMPORT_SIZE / (1024 * 1024)}MB)`);
         }
 
         const data = JSON.parse(jsonString);
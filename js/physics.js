@@ -0,0 +1,875 @@
+import * as THREE from 'three';
+import { PHYSICS_CONFIG, PHYSICS_BODY_DEFAULTS, PHYSICS_BODY_LIMITS, WORKSPACE_BOUNDS, OBJECT_TYPES } from './constants.js';
+import { getEditableChildren } from './objects.js';
+
+/*
+ * A small rigid-body simulation: gravity, contacts with the grid floor and between bodies,
+ * restitution and friction. Bodies rotate, so boxes tip over edges and off overhangs, and spheres
+ * and cylinders roll. A body is a sphere, a cylinder or an oriented box in its object's own frame;
+ * groups and other primitives collide as their box.
+ *
+ * Each step finds the contacts between nearby bodies, solves them with sequential impulses and
+ * moves the bodies; a body that stays still falls asleep until something moving touches it.
+ * Contacts are picked up a little before bodies touch (further for fast ones), so bodies stop at
+ * contact instead of passing through thin ones. Fixed time steps and a fixed body order make it
+ * deterministic: the same scene always plays out the same way (see checkDeterminism).
+ */
+
+const SHAPES = { BOX: 'box', SPHERE: 'sphere', CYLINDER: 'cylinder' };
+const EPSILON = 1e-9;
+const MIN_HALF_EXTENT = 0.005; // Flat meshes (planes, rings) still get some thickness
+const CYLINDER_SIDES = 16; // Cylinders meet boxes and other cylinders as prisms with this many sides
+const MAX_MANIFOLD_POINTS = 4;
+const FACE_TOLERANCE = 0.005; // Prefer face contacts to barely shallower edge ones, which rock
+const MAX_ANGULAR_SPEED = 50; // Radians per second
+const UNIT_SCALE = new THREE.Vector3(1, 1, 1);
+
+const inverseRotation = new THREE.Quaternion();
+
+const clampNumber = (value, { min, max }, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/**
+ * Valid physics properties for an object: `static` bodies never move; `mass`, `friction` and
+ * `restitution` (bounciness) are clamped to PHYSICS_BODY_LIMITS.
+ */
+export function sanitizePhysicsProps(props = {}) {
+    const source = props && typeof props === 'object' ? props : {};
+    return {
+        static: source.static === true,
+        mass: clampNumber(source.mass, PHYSICS_BODY_LIMITS.mass, PHYSICS_BODY_DEFAULTS.mass),
+        friction: clampNumber(source.friction, PHYSICS_BODY_LIMITS.friction, PHYSICS_BODY_DEFAULTS.friction),
+        restitution: clampNumber(source.restitution, PHYSICS_BODY_LIMITS.restitution, PHYSICS_BODY_DEFAULTS.restitution)
+    };
+}
+
+// An object's physics properties, with defaults for objects that never had any set
+export function getPhysicsProps(object) {
+    return sanitizePhysicsProps(object.userData.physics);
+}
+
+// Spheres and cylinders collide as themselves; everything else (and any object with children) as its box
+export function getPhysicsShape(object) {
+    if (getEditableChildren(object).length > 0) return SHAPES.BOX;
+    switch (object.userData.type) {
+        case OBJECT_TYPES.SPHERE:
+        case OBJECT_TYPES.ICOSPHERE:
+            return SHAPES.SPHERE;
+        case OBJECT_TYPES.CYLINDER:
+            return SHAPES.CYLINDER;
+        default:
+            return SHAPES.BOX;
+    }
+}
+
+// addBody() options for an object from its physics properties and shape
+export function getBodyOptions(object) {
+    const props = getPhysicsProps(object);
+    return {
+        dynamic: !props.static,
+        mass: props.mass,
+        friction: props.friction,
+        restitution: props.restitution,
+        shape: getPhysicsShape(object)
+    };
+}
+
+/**
+ * Bounds of the object's editable meshes (just the object itself with `meshOnly`) in `frame`,
+ * the object's world frame without scale, so scale ends up in the shape's size.
+ */
+function getFrameBounds(object, frame, meshOnly) {
+    const frameInverse = frame.clone().invert();
+    const bounds = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+    const addMesh = (mesh) => {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        const toFrame = new THREE.Matrix4().multiplyMatrices(frameInverse, mesh.matrixWorld);
+        bounds.union(meshBox.copy(mesh.geometry.boundingBox).applyMatrix4(toFrame));
+    };
+    if (meshOnly) {
+        if (object.isMesh) addMesh(object);
+    } else {
+        object.traverse((child) => {
+            if (child.isMesh && child.userData.isEditable) addMesh(child);
+        });
+    }
+    return bounds;
+}
+
+/**
+ * Convex hull in a body's frame: faces list their vertices counter-clockwise seen from outside;
+ * each edge is listed once, with the index of its direction among the hull's distinct ones.
+ */
+function createHull(vertices, faceIndices) {
+    const faces = faceIndices.map((indices) => {
+        const [a, b, c] = indices.map((i) => vertices[i]);
+        const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize();
+        return { indices, normal };
+    });
+    const directions = [];
+    const edges = [];
+    faceIndices.forEach((indices) => {
+        indices.forEach((start, k) => {
+            const end = indices[(k + 1) % indices.length];
+            if (start > end) return; // The neighboring face lists it the other way round
+            const direction = new THREE.Vector3().subVectors(vertices[end], vertices[start]).normalize();
+            let index = directions.findIndex((d) => Math.abs(d.dot(direction)) > 1 - 1e-6);
+            if (index < 0) index = directions.push(direction) - 1;
+            edges.push({ start, end, direction: index });
+        });
+    });
+    return { vertices, faces, edges, directions };
+}
+
+function createBoxHull(half) {
+    const vertices = [];
+    for (let i = 0; i < 8; i++) {
+        vertices.push(new THREE.Vector3(i & 1 ? half.x : -half.x, i & 2 ? half.y : -half.y, i & 4 ? half.z : -half.z));
+    }
+    return createHull(vertices, [
+        [1, 3, 7, 5], [0, 4, 6, 2], // +x, -x
+        [2, 6, 7, 3], [0, 1, 5, 4], // +y, -y
+        [4, 5, 7, 6], [0, 2, 3, 1] // +z, -z
+    ]);
+}
+
+// A cylinder as a prism around its y axis, with flat sides touching the true cylinder
+function createPrismHull(radius, halfHeight) {
+    const corner = radius / Math.cos(Math.PI / CYLINDER_SIDES);
+    const vertices = [];
+    const faces = [];
+    const bottom = [];
+    const top = [];
+    for (let i = 0; i < CYLINDER_SIDES; i++) {
+        const angle = (i / CYLINDER_SIDES) * Math.PI * 2;
+        const x = Math.cos(angle) * corner;
+        const z = Math.sin(angle) * corner;
+        vertices.push(new THREE.Vector3(x, -halfHeight, z), new THREE.Vector3(x, halfHeight, z));
+        const next = (i + 1) % CYLINDER_SIDES;
+        faces.push([2 * i, 2 * i + 1, 2 * next + 1, 2 * next]);
+        bottom.push(2 * i);
+        top.unshift(2 * i + 1);
+    }
+    faces.push(bottom, top);
+    return createHull(vertices, faces);
+}
+
+// Inverse of the principal moments of inertia, in the body's frame
+function getInverseInertia(shape, mass, { half, radius, halfHeight }) {
+    let moments;
+    if (shape === SHAPES.SPHERE) {
+        moments = new THREE.Vector3().setScalar((2 / 5) * mass * radius * radius);
+    } else if (shape === SHAPES.CYLINDER) {
+        const across = (mass * (3 * radius * radius + 4 * halfHeight * halfHeight)) / 12;
+        moments = new THREE.Vector3(across, (mass * radius * radius) / 2, across);
+    } else {
+        const { x, y, z } = half;
+        moments = new THREE.Vector3(y * y + z * z, x * x + z * z, x * x + y * y).multiplyScalar(mass / 3);
+    }
+    return new THREE.Vector3(1 / moments.x, 1 / moments.y, 1 / moments.z);
+}
+
+const isMoving = (body) => body.dynamic && !body.asleep;
+const isRound = (body) => body.shape === SHAPES.SPHERE || body.shape === SHAPES.CYLINDER;
+
+// `vector` mapped by the body's inverse inertia in world space (zero for bodies that don't move)
+function applyInverseInertia(body, vector) {
+    if (!isMoving(body)) return vector.set(0, 0, 0);
+    inverseRotation.copy(body.quaternion).invert();
+    return vector.applyQuaternion(inverseRotation).multiply(body.invInertia).applyQuaternion(body.quaternion);
+}
+
+const getInverseMass = (body) => (isMoving(body) ? body.invMass : 0);
+
+/**
+ * One direction a contact constrains (its normal or a friction direction) for the solver, with
+ * the bodies' response to an impulse along it worked out up front: the lever arms r × d, the
+ * spin I⁻¹ (r × d) a unit impulse causes, and the effective mass along it.
+ */
+function createRow(a, b, rA, rB, direction) {
+    const armA = rA.clone().cross(direction);
+    const armB = rB.clone().cross(direction);
+    const turnA = applyInverseInertia(a, armA.clone());
+    const turnB = applyInverseInertia(b, armB.clone());
+    const inverseMass = getInverseMass(a) + getInverseMass(b) + armA.dot(turnA) + armB.dot(turnB);
+    return { direction, armA, armB, turnA, turnB, mass: 1 / inverseMass, impulse: 0 };
+}
+
+// Speed of `b` relative to `a` along a row at the contact point
+function getRowSpeed(row, a, b) {
+    const { direction, armA, armB } = row;
+    return direction.x * (b.velocity.x - a.velocity.x)
+        + direction.y * (b.velocity.y - a.velocity.y)
+        + direction.z * (b.velocity.z - a.velocity.z)
+        + armB.dot(b.angularVelocity) - armA.dot(a.angularVelocity);
+}
+
+// Push `b` by `impulse` along the row, and `a` back by as much
+function applyRowImpulse(row, a, b, impulse) {
+    a.velocity.addScaledVector(row.direction, -impulse * getInverseMass(a));
+    a.angularVelocity.addScaledVector(row.turnA, -impulse);
+    b.velocity.addScaledVector(row.direction, impulse * getInverseMass(b));
+    b.angularVelocity.addScaledVector(row.turnB, impulse);
+}
+
+// Keep up to MAX_MANIFOLD_POINTS contacts that span the patch: the deepest, then the farthest spread
+function reduceManifold(contacts) {
+    if (contacts.length <= MAX_MANIFOLD_POINTS) return contacts;
+    const maxBy = (score) => contacts.reduce((best, c) => (score(c) > score(best) ? c : best));
+    const deepest = maxBy((c) => -c.separation);
+    const farthest = maxBy((c) => c.point.distanceToSquared(deepest.point));
+    const side = new THREE.Vector3().subVectors(farthest.point, deepest.point);
+    const third = maxBy((c) => new THREE.Vector3().subVectors(c.point, deepest.point).cross(side).lengthSq());
+    const fourth = maxBy((c) => Math.min(
+        c.point.distanceToSquared(deepest.point),
+        c.point.distanceToSquared(farthest.point),
+        c.point.distanceToSquared(third.point)
+    ));
+    return [...new Set([deepest, farthest, third, fourth])];
+}
+
+// The body's hull in world space, recomputed after it moves
+function getWorldHull(body) {
+    if (body.worldHull && body.worldHullValid) return body.worldHull;
+    const { hull, position, quaternion } = body;
+    if (!body.worldHull) {
+        body.worldHull = {
+            faces: hull.faces,
+            edges: hull.edges,
+            vertices: hull.vertices.map(() => new THREE.Vector3()),
+            normals: hull.faces.map(() => new THREE.Vector3()),
+            directions: hull.directions.map(() => new THREE.Vector3())
+        };
+    }
+    const world = body.worldHull;
+    hull.vertices.forEach((v, i) => world.vertices[i].copy(v).applyQuaternion(quaternion).add(position));
+    hull.faces.forEach((face, i) => world.normals[i].copy(face.normal).applyQuaternion(quaternion));
+    hull.directions.forEach((d, i) => world.directions[i].copy(d).applyQuaternion(quaternion));
+    body.worldHullValid = true;
+    return world;
+}
+
+function getProjectionRange(vertices, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of vertices) {
+        const d = axis.dot(v);
+        if (d < min) min = d;
+        if (d > max) max = d;
+    }
+    return { min, max };
+}
+
+// Largest separation of `other` from one of `hull`'s face planes (negative while they overlap)
+function queryFaces(hull, other) {
+    let best = { separation: -Infinity, face: -1 };
+    hull.normals.forEach((normal, face) => {
+        const offset = normal.dot(hull.vertices[hull.faces[face].indices[0]]);
+        const separation = getProjectionRange(other.vertices, normal).min - offset;
+        if (separation > best.separation) best = { separation, face };
+    });
+    return best;
+}
+
+// Largest separation along the cross product of an edge of each hull; `axis` points from a to b
+function queryEdges(a, b) {
+    let best = { separation: -Infinity, axis: null };
+    a.directions.forEach((edgeA, indexA) => {
+        b.directions.forEach((edgeB, indexB) => {
+            const axis = edgeA.clone().cross(edgeB);
+            const length = axis.length();
+            if (length < 1e-3) return; // Parallel edges; the face queries cover them
+            axis.divideScalar(length);
+            const rangeA = getProjectionRange(a.vertices, axis);
+            const rangeB = getProjectionRange(b.vertices, axis);
+            let separation = rangeB.min - rangeA.max;
+            if (rangeA.min - rangeB.max > separation) {
+                separation = rangeA.min - rangeB.max;
+                axis.negate();
+            }
+            if (separation > best.separation) best = { separation, axis, indexA, indexB };
+        });
+    });
+    return best;
+}
+
+// Closest points between segments p1-q1 and p2-q2
+function closestPointsOnSegments(p1, q1, p2, q2) {
+    const d1 = new THREE.Vector3().subVectors(q1, p1);
+    const d2 = new THREE.Vector3().subVectors(q2, p2);
+    const r = new THREE.Vector3().subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    const c = d1.dot(r);
+    const b = d1.dot(d2);
+    const denominator = a * e - b * b;
+    let s = denominator > EPSILON ? THREE.MathUtils.clamp((b * f - c * e) / denominator, 0, 1) : 0;
+    let t = (b * s + f) / e;
+    if (t < 0) {
+        t = 0;
+        s = THREE.MathUtils.clamp(-c / a, 0, 1);
+    } else if (t > 1) {
+        t = 1;
+        s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+    }
+    return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+}
+
+// The edge of `hull` along direction `index` through its furthest vertex along `axis`
+function findSupportEdge(hull, index, axis) {
+    let support = 0;
+    hull.vertices.forEach((v, i) => {
+        if (axis.dot(v) > axis.dot(hull.vertices[support])) support = i;
+    });
+    const edge = hull.edges.find((e) => e.direction === index && (e.start === support || e.end === support));
+    return edge ? [hull.vertices[edge.start], hull.vertices[edge.end]] : [hull.vertices[support], hull.vertices[support]];
+}
+
+// Keep the part of `polygon` on the inner side of the plane normal · p = offset
+function clipPolygon(polygon, normal, offset) {
+    const result = [];
+    polygon.forEach((current, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        const dc = normal.dot(current) - offset;
+        const dn = normal.dot(next) - offset;
+        if (dc <= 0) result.push(current);
+        if ((dc < 0 && dn > 0) || (dc > 0 && dn < 0)) result.push(current.clone().lerp(next, dc / (dc - dn)));
+    });
+    return result;
+}
+
+/**
+ * Contacts where the incident hull's most opposed face meets face `face` of the reference hull:
+ * that face clipped to the reference face's sides, keeping points near enough to its plane.
+ */
+function getFaceContacts(reference, incident, face, maxSeparation, flip) {
+    const normal = reference.normals[face];
+    const indices = reference.faces[face].indices;
+    let incidentFace = 0;
+    incident.normals.forEach((n, i) => {
+        if (n.dot(normal) < incident.normals[incidentFace].dot(normal)) incidentFace = i;
+    });
+
+    let polygon = incident.faces[incidentFace].indices.map((i) => incident.vertices[i]);
+    for (let k = 0; k < indices.length && polygon.length > 0; k++) {
+        const start = reference.vertices[indices[k]];
+        const end = reference.vertices[indices[(k + 1) % indices.length]];
+        const side = new THREE.Vector3().subVectors(end, start).cross(normal).normalize();
+        polygon = clipPolygon(polygon, side, side.dot(start));
+    }
+
+    const offset = normal.dot(reference.vertices[indices[0]]);
+    const contactNormal = flip ? normal.clone().negate() : normal.clone();
+    const contacts = polygon
+        .map((point) => ({ point: point.clone(), normal: contactNormal, separation: normal.dot(point) - offset }))
+        .filter((contact) => contact.separation <= maxSeparation);
+    return reduceManifold(contacts);
+}
+
+// Box and cylinder pairs: separating axis test over both hulls' faces and edge pairs
+function getHullContacts(a, b, maxSeparation) {
+    const hullA = getWorldHull(a);
+    const hullB = getWorldHull(b);
+    const faceA = queryFaces(hullA, hullB);
+    if (faceA.separation > maxSeparation) return [];
+    const faceB = queryFaces(hullB, hullA);
+    if (faceB.separation > maxSeparation) return [];
+    const edge = queryEdges(hullA, hullB);
+    if (edge.separation > maxSeparation) return [];
+
+    const faceSeparation = Math.max(faceA.separation, faceB.separation);
+    if (edge.separation > faceSeparation + FACE_TOLERANCE) {
+        const [startA, endA] = findSupportEdge(hullA, edge.indexA, edge.axis);
+        const [startB, endB] = findSupportEdge(hullB, edge.indexB, edge.axis.clone().negate());
+        const [pointA, pointB] = closestPointsOnSegments(startA, endA, startB, endB);
+        return [{ point: pointA.add(pointB).multiplyScalar(0.5), normal: edge.axis, separation: edge.separation }];
+    }
+    return faceB.separation > faceA.separation + FACE_TOLERANCE
+        ? getFaceContacts(hullB, hullA, faceB.face, maxSeparation, true)
+        : getFaceContacts(hullA, hullB, faceA.face, maxSeparation, false);
+}
+
+/**
+ * Closest point on a box or cylinder to `center`, in the solid's frame, with the outward normal
+ * there and how far `center` is outside (negative inside).
+ */
+function getClosestSolidPoint(solid, center) {
+    const point = center.clone();
+    const normal = new THREE.Vector3();
+    if (solid.shape === SHAPES.CYLINDER) {
+        const { radius, halfHeight } = solid;
+        const radial = Math.hypot(center.x, center.z);
+        if (radial > radius || Math.abs(center.y) > halfHeight) {
+            if (radial > radius) {
+                point.x *= radius / radial;
+                point.z *= radius / radial;
+            }
+            point.y = THREE.MathUtils.clamp(center.y, -halfHeight, halfHeight);
+        } else if (radius - radial < halfHeight - Math.abs(center.y)) {
+            normal.set(radial > EPSILON ? center.x / radial : 1, 0, radial > EPSILON ? center.z / radial : 0);
+            point.set(normal.x * radius, center.y, normal.z * radius);
+            return { point, normal, distance: radial - radius };
+        } else {
+            normal.set(0, Math.sign(center.y) || 1, 0);
+            point.y = normal.y * halfHeight;
+            return { point, normal, distance: Math.abs(center.y) - halfHeight };
+        }
+    } else {
+        const { half } = solid;
+        point.clamp(half.clone().negate(), half);
+        if (point.equals(center)) {
+            let axis = 'x';
+            ['y', 'z'].forEach((other) => {
+                if (half[other] - Math.abs(center[other]) < half[axis] - Math.abs(center[axis])) axis = other;
+            });
+            normal[axis] = Math.sign(center[axis]) || 1;
+            point[axis] = normal[axis] * half[axis];
+            return { point, normal, distance: Math.abs(center[axis]) - half[axis] };
+        }
+    }
+    normal.subVectors(center, point);
+    const distance = normal.length();
+    normal.divideScalar(distance);
+    return { point, normal, distance };
+}
+
+function getSphereContacts(a, b, maxSeparation) {
+    const between = new THREE.Vector3().subVectors(b.position, a.position);
+    const distance = between.length();
+    const separation = distance - a.radius - b.radius;
+    if (separation > maxSeparation) return [];
+    const normal = distance > EPSILON ? between.divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+    return [{ point: a.position.clone().addScaledVector(normal, a.radius), normal, separation }];
+}
+
+// A box or cylinder `a` against sphere `b`
+function getSolidSphereContacts(a, b, maxSeparation) {
+    inverseRotation.copy(a.quaternion).invert();
+    const center = b.position.clone().sub(a.position).applyQuaternion(inverseRotation);
+    const { point, normal, distance } = getClosestSolidPoint(a, center);
+    const separation = distance - b.radius;
+    if (separation > maxSeparation) return [];
+    return [{
+        point: point.applyQuaternion(a.quaternion).add(a.position),
+        normal: normal.applyQuaternion(a.quaternion),
+        separation
+    }];
+}
+
+/**
+ * Points of a body near the floor. A cylinder offers the lowest point of each cap rim plus four
+ * points around each rim, so it rolls on its side and stands flat on its end.
+ */
+function getFloorPoints(body) {
+    if (body.shape === SHAPES.SPHERE) return [body.position.clone().setY(body.position.y - body.radius)];
+    if (body.shape === SHAPES.BOX) return getWorldHull(body).vertices;
+
+    const { position, quaternion, radius, halfHeight } = body;
+    const axis = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+    const rim = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]]
+        .map((direction) => new THREE.Vector3(...direction).applyQuaternion(quaternion).multiplyScalar(radius));
+    const down = new THREE.Vector3(0, -1, 0).addScaledVector(axis, axis.y); // Down, across the axis
+    if (down.lengthSq() > EPSILON) rim.push(down.normalize().multiplyScalar(radius));
+    return [-1, 1].flatMap((end) => {
+        const cap = position.clone().addScaledVector(axis, end * halfHeight);
+        return rim.map((offset) => cap.clone().add(offset));
+    });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.gravity] - downward acceleration (PHYSICS_CONFIG.gravity)
+ * @param {number} [options.floorY] - height of the floor every body rests on (WORKSPACE_BOUNDS.minY)
+ */
+export function createPhysicsWorld({ gravity = PHYSICS_CONFIG.gravity, floorY = WORKSPACE_BOUNDS.minY } = {}) {
+    const bodies = [];
+    const floor = {
+        dynamic: false,
+        invMass: 0,
+        friction: PHYSICS_CONFIG.floorFriction,
+        restitution: 0,
+        position: new THREE.Vector3(0, floorY, 0),
+        velocity: new THREE.Vector3(),
+        angularVelocity: new THREE.Vector3()
+    };
+    // Last step's contact impulses per pair of bodies, which this step's solve starts from
+    let previousImpulses = new Map();
+    const getPairKey = (a, b) => `${a.index}:${b === floor ? 'floor' : b.index}`;
+
+    /**
+     * Add an object as one body around its meshes (or around the object alone with `meshOnly`,
+     * e.g. a mesh whose children are simulated separately). Static bodies never move; dynamic
+     * ones fall.
+     * @returns {Object|null} the body, or null for objects without meshes
+     */
+    function addBody(object, {
+        dynamic = true,
+        mass = PHYSICS_BODY_DEFAULTS.mass,
+        friction = PHYSICS_BODY_DEFAULTS.friction,
+        restitution = PHYSICS_BODY_DEFAULTS.restitution,
+        shape = SHAPES.BOX,
+        meshOnly = false
+    } = {}) {
+        object.updateWorldMatrix(true, true);
+        const worldPosition = new THREE.Vector3();
+        const worldQuaternion = new THREE.Quaternion();
+        object.matrixWorld.decompose(worldPosition, worldQuaternion, new THREE.Vector3());
+        const frame = new THREE.Matrix4().compose(worldPosition, worldQuaternion, UNIT_SCALE);
+        const bounds = getFrameBounds(object, frame, meshOnly);
+        if (bounds.isEmpty()) return null;
+
+        const half = bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5).max(new THREE.Vector3().setScalar(MIN_HALF_EXTENT));
+        const dimensions = {
+            half,
+            radius: shape === SHAPES.SPHERE ? Math.max(half.x, half.y, half.z) : Math.max(half.x, half.z),
+            halfHeight: half.y
+        };
+        const position = bounds.getCenter(new THREE.Vector3()).applyMatrix4(frame);
+        const pose = new THREE.Matrix4().compose(position, worldQuaternion, UNIT_SCALE);
+
+        const body = {
+            object,
+            shape,
+            ...dimensions,
+            hull: shape === SHAPES.BOX ? createBoxHull(half) : shape === SHAPES.CYLINDER ? createPrismHull(dimensions.radius, half.y) : null,
+            boundingRadius: shape === SHAPES.SPHERE ? dimensions.radius
+                : shape === SHAPES.CYLINDER ? Math.hypot(dimensions.radius, half.y) : half.length(),
+            dynamic,
+            invMass: dynamic && mass > 0 ? 1 / mass : 0,
+            invInertia: dynamic && mass > 0 ? getInverseInertia(shape, mass, dimensions) : new THREE.Vector3(),
+            friction,
+            restitution,
+            position,
+            quaternion: worldQuaternion.clone(),
+            velocity: new THREE.Vector3(),
+            angularVelocity: new THREE.Vector3(),
+            start: position.clone(),
+            startQuaternion: worldQuaternion.clone(),
+            objectOffset: pose.invert().multiply(object.matrixWorld), // Object's world matrix in the body's frame
+            objectScale: object.scale.clone(),
+            index: bodies.length, // Position in the fixed body order
+            asleep: false,
+            stillSteps: 0,
+            worldHull: null,
+            worldHullValid: false
+        };
+        bodies.push(body);
+        return body;
+    }
+
+    // How far a body can sweep in one step, from its speed and spin
+    const getSweep = (body, dt) => (isMoving(body)
+        ? (body.velocity.length() + body.angularVelocity.length() * body.boundingRadius) * dt
+        : 0);
+
+    function findContacts(a, b, maxSeparation) {
+        if (b === floor) {
+            const normal = new THREE.Vector3(0, -1, 0);
+            return reduceManifold(getFloorPoints(a)
+                .map((point) => ({ point, normal, separation: point.y - floorY }))
+                .filter((contact) => contact.separation <= maxSeparation));
+        }
+        if (a.shape === SHAPES.SPHERE && b.shape === SHAPES.SPHERE) return getSphereContacts(a, b, maxSeparation);
+        if (b.shape === SHAPES.SPHERE) return getSolidSphereContacts(a, b, maxSeparation);
+        if (a.shape === SHAPES.SPHERE) {
+            return getSolidSphereContacts(b, a, maxSeparation).map((contact) => ({ ...contact, normal: contact.normal.negate() }));
+        }
+        return getHullContacts(a, b, maxSeparation);
+    }
+
+    /**
+     * Contacts for this step between bodies close enough to touch during it (the floor and
+     * pairs whose bounding spheres overlap, sweeping along x), skipping pairs where neither moves.
+     */
+    function collectContacts(dt) {
+        const margin = PHYSICS_CONFIG.contactMargin;
+        const sweeps = bodies.map((body) => getSweep(body, dt));
+        const reaches = bodies.map((body) => body.boundingRadius + margin / 2 + sweeps[body.index]);
+        const contacts = [];
+        const addContacts = (a, b, maxSeparation) => {
+            findContacts(a, b, maxSeparation).forEach(({ point, normal, separation }) => {
+                // Every field up front, so the solver sees contacts of one shape
+                contacts.push({
+                    a, b, point, normal, separation,
+                    normalRow: null, frictionRows: null, friction: 0, targetSpeed: 0, rolling: 0, rollingImpulse: null, localPoint: null
+                });
+            });
+        };
+
+        bodies.forEach((body) => {
+            const reach = margin + sweeps[body.index];
+            if (isMoving(body) && body.position.y - body.boundingRadius - floorY <= reach) addContacts(body, floor, reach);
+        });
+
+        const sorted = bodies
+            .map((body) => ({ body, min: body.position.x - reaches[body.index], max: body.position.x + reaches[body.index] }))
+            .sort((a, b) => a.min - b.min);
+        sorted.forEach(({ body: a, max }, i) => {
+            for (let j = i + 1; j < sorted.length && sorted[j].min <= max; j++) {
+                const b = sorted[j].body;
+                if (!isMoving(a) && !isMoving(b)) continue;
+                const limit = reaches[a.index] + reaches[b.index];
+                if (a.position.distanceToSquared(b.position) > limit * limit) continue;
+                // Keep pairs in body order, so the contacts don't depend on the sort
+                const [first, second] = a.index < b.index ? [a, b] : [b, a];
+                addContacts(first, second, margin + sweeps[a.index] + sweeps[b.index]);
+            }
+        });
+        return contacts;
+    }
+
+    // Something moving that touches a sleeping body wakes it
+    function wakeTouched(contacts) {
+        contacts.forEach(({ a, b }) => {
+            [[a, b], [b, a]].forEach(([sleeper, other]) => {
+                if (sleeper.dynamic && sleeper.asleep && isMoving(other) && other.stillSteps === 0) {
+                    sleeper.asleep = false;
+                    sleeper.stillSteps = 0;
+                }
+            });
+        });
+    }
+
+    /**
+     * Set up each contact's normal and friction rows and the speed it should separate at: a
+     * bounce by the bouncier body's restitution (only above PHYSICS_CONFIG.bounceMinSpeed, so
+     * resting contacts stay put), a gentle push apart for overlap, or for a gap the most it may
+     * still close this step.
+     */
+    function prepareContacts(contacts, dt) {
+        contacts.forEach((contact) => {
+            const { a, b, point, normal, separation } = contact;
+            const rA = new THREE.Vector3().subVectors(point, a.position);
+            const rB = new THREE.Vector3().subVectors(point, b.position);
+            const relative = b.angularVelocity.clone().cross(rB).add(b.velocity)
+                .sub(a.angularVelocity.clone().cross(rA)).sub(a.velocity);
+            const approach = relative.dot(normal);
+
+            // Friction acts first against the way the contact slides
+            const sliding = relative.addScaledVector(normal, -approach);
+            const tangent = sliding.lengthSq() > EPSILON
+                ? sliding.normalize()
+                : new THREE.Vector3(Math.abs(normal.x) < 0.9 ? 1 : 0, Math.abs(normal.x) < 0.9 ? 0 : 1, 0).cross(normal).normalize();
+            contact.normalRow = createRow(a, b, rA, rB, normal);
+            contact.frictionRows = [tangent, normal.clone().cross(tangent)].map((direction) => createRow(a, b, rA, rB, direction));
+            contact.friction = Math.sqrt(a.friction * b.friction);
+
+            let target = separation > 0
+                ? -separation / dt
+                : Math.min(PHYSICS_CONFIG.positionCorrection * Math.max(0, -separation - PHYSICS_CONFIG.penetrationSlop) / dt, PHYSICS_CONFIG.maxCorrectionSpeed);
+            if (-approach > PHYSICS_CONFIG.bounceMinSpeed && separation < -approach * dt) {
+                target = Math.max(target, -approach * Math.max(a.restitution, b.restitution));
+            }
+            contact.targetSpeed = target;
+            contact.rolling = isRound(a) || isRound(b) ? PHYSICS_CONFIG.rollingResistance : 0;
+            contact.rollingImpulse = new THREE.Vector3();
+            contact.localPoint = rA.applyQuaternion(inverseRotation.copy(a.quaternion).invert());
+        });
+    }
+
+    /**
+     * Warm starting: a contact that was there last step (same pair, about the same point on the
+     * first body) starts from last step's impulses, so resting stacks hold still instead of
+     * re-converging from nothing every step.
+     */
+    function warmStart(contacts) {
+        const reach = PHYSICS_CONFIG.warmStartDistance * PHYSICS_CONFIG.warmStartDistance;
+        contacts.forEach((contact) => {
+            const { a, b, normalRow, frictionRows, localPoint } = contact;
+            const candidates = previousImpulses.get(getPairKey(a, b));
+            if (!candidates) return;
+            let match = null;
+            candidates.forEach((candidate) => {
+                const distance = candidate.localPoint.distanceToSquared(localPoint);
+                if (distance < reach && (!match || distance < match.localPoint.distanceToSquared(localPoint))) match = candidate;
+            });
+            if (!match) return;
+            normalRow.impulse = match.normal;
+            applyRowImpulse(normalRow, a, b, normalRow.impulse);
+            frictionRows.forEach((row) => {
+                row.impulse = match.friction.dot(row.direction);
+                applyRowImpulse(row, a, b, row.impulse);
+            });
+        });
+    }
+
+    function rememberImpulses(contacts) {
+        previousImpulses = new Map();
+        contacts.forEach(({ a, b, normalRow, frictionRows, localPoint }) => {
+            const key = getPairKey(a, b);
+            if (!previousImpulses.has(key)) previousImpulses.set(key, []);
+            previousImpulses.get(key).push({
+                localPoint,
+                normal: normalRow.impulse,
+                friction: frictionRows.reduce((sum, row) => sum.addScaledVector(row.direction, row.impulse), new THREE.Vector3())
+            });
+        });
+    }
+
+    // One pass of sequential impulses: push apart along the normal, then Coulomb friction
+    function solveContacts(contacts) {
+        contacts.forEach((contact) => {
+            const { a, b, normalRow, frictionRows } = contact;
+            const previous = normalRow.impulse;
+            normalRow.impulse = Math.max(0, previous + normalRow.mass * (contact.targetSpeed - getRowSpeed(normalRow, a, b)));
+            applyRowImpulse(normalRow, a, b, normalRow.impulse - previous);
+
+            const limit = contact.friction * normalRow.impulse;
+            frictionRows.forEach((row) => {
+                const before = row.impulse;
+                row.impulse = THREE.MathUtils.clamp(before - row.mass * getRowSpeed(row, a, b), -limit, limit);
+                applyRowImpulse(row, a, b, row.impulse - before);
+            });
+
+            if (contact.rolling > 0) resistRolling(contact);
+        });
+    }
+
+    // Rolling resistance: a torque against the bodies' relative spin, up to the contact's share
+    function resistRolling(contact) {
+        const { a, b } = contact;
+        const spin = b.angularVelocity.clone().sub(a.angularVelocity);
+        const speed = spin.length();
+        if (speed < EPSILON) return;
+        const axis = spin.clone().divideScalar(speed);
+        const resistance = axis.dot(applyInverseInertia(a, axis.clone())) + axis.dot(applyInverseInertia(b, axis.clone()));
+        if (resistance < EPSILON) return;
+
+        const before = contact.rollingImpulse.clone();
+        contact.rollingImpulse.addScaledVector(spin, -1 / resistance);
+        const limit = contact.rolling * contact.normalRow.impulse;
+        if (contact.rollingImpulse.length() > limit) contact.rollingImpulse.setLength(limit);
+        const torque = contact.rollingImpulse.clone().sub(before);
+        b.angularVelocity.add(applyInverseInertia(b, torque.clone()));
+        a.angularVelocity.sub(applyInverseInertia(a, torque));
+    }
+
+    // Move and turn a body by its velocities; report whether it has been still long enough to sleep
+    function integrate(body, dt) {
+        const { position, quaternion, velocity, angularVelocity } = body;
+        position.addScaledVector(velocity, dt);
+        const spin = new THREE.Quaternion(angularVelocity.x * dt / 2, angularVelocity.y * dt / 2, angularVelocity.z * dt / 2, 0)
+            .multiply(quaternion);
+        quaternion.set(quaternion.x + spin.x, quaternion.y + spin.y, quaternion.z + spin.z, quaternion.w + spin.w).normalize();
+        body.worldHullValid = false;
+
+        const restSpeed = PHYSICS_CONFIG.restSpeed;
+        const still = velocity.lengthSq() < restSpeed * restSpeed
+            && angularVelocity.lengthSq() * body.boundingRadius * body.boundingRadius < restSpeed * restSpeed;
+        body.stillSteps = still ? body.stillSteps + 1 : 0;
+        if (body.stillSteps >= PHYSICS_CONFIG.restSteps) {
+            body.asleep = true;
+            velocity.set(0, 0, 0);
+            angularVelocity.set(0, 0, 0);
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed step.
+     * @returns {number} how many dynamic bodies are still awake
+     */
+    function step(dt = PHYSICS_CONFIG.timeStep) {
+        const linearDamping = 1 / (1 + dt * PHYSICS_CONFIG.linearDamping);
+        const angularDamping = 1 / (1 + dt * PHYSICS_CONFIG.angularDamping);
+        bodies.forEach((body) => {
+            if (!isMoving(body)) return;
+            body.velocity.y -= gravity * dt;
+            body.velocity.multiplyScalar(linearDamping);
+            body.angularVelocity.multiplyScalar(angularDamping);
+        });
+
+        const contacts = collectContacts(dt);
+        wakeTouched(contacts);
+        prepareContacts(contacts, dt);
+        warmStart(contacts);
+        for (let i = 0; i < PHYSICS_CONFIG.solverIterations; i++) solveContacts(contacts);
+        rememberImpulses(contacts);
+
+        let awake = 0;
+        bodies.forEach((body) => {
+            if (!isMoving(body)) return;
+            if (body.angularVelocity.length() > MAX_ANGULAR_SPEED) body.angularVelocity.setLength(MAX_ANGULAR_SPEED);
+            integrate(body, dt);
+            if (!body.asleep) awake++;
+        });
+        return awake;
+    }
+
+    /**
+     * Step until every dynamic body is asleep, or for at most `maxSeconds` of simulated time.
+     * @returns {boolean} whether everything came to rest
+     */
+    function runUntilRest(maxSeconds = PHYSICS_CONFIG.settleMaxSeconds) {
+        const dt = PHYSICS_CONFIG.timeStep;
+        for (let i = 0; i < Math.ceil(maxSeconds / dt); i++) {
+            if (step(dt) === 0) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether the simulation has moved or turned a body from where it was added. Shifts within
+     * PHYSICS_CONFIG.penetrationSlop (at the body's rim, for turns) don't count, so objects that
+     * were already resting keep their exact transforms.
+     */
+    function hasMoved(body) {
+        const tolerance = PHYSICS_CONFIG.penetrationSlop;
+        return body.position.distanceTo(body.start) > tolerance
+            || body.quaternion.angleTo(body.startQuaternion) * body.boundingRadius > tolerance;
+    }
+
+    /**
+     * Move and turn the dynamic bodies' objects to where the simulation has put them so far.
+     * Poses are set from the bodies alone, so they don't depend on how often this is called;
+     * objects that haven't moved keep their exact transforms.
+     */
+    function applyToObjects() {
+        bodies.forEach((body) => {
+            if (!body.dynamic || !hasMoved(body)) return;
+            const { object } = body;
+            const world = new THREE.Matrix4().compose(body.position, body.quaternion, UNIT_SCALE).multiply(body.objectOffset);
+            if (object.parent) {
+                object.parent.updateWorldMatrix(true, false);
+                world.premultiply(object.parent.matrixWorld.clone().invert());
+            }
+            world.decompose(object.position, object.quaternion, new THREE.Vector3());
+            object.scale.copy(body.objectScale);
+            object.updateMatrixWorld(true);
+        });
+    }
+
+    return {
+        addBody,
+        step,
+        runUntilRest,
+        hasMoved,
+        applyToObjects,
+        getBodies: () => bodies
+    };
+}
+
+/**
+ * Headless determinism check: simulate `objects` twice from their current poses for `steps`
+ * fixed steps and compare every body's position and rotation bit for bit. Objects aren't moved
+ * and nothing is rendered, so it also runs outside the browser.
+ * @returns {{ deterministic: boolean, steps: number, bodies: number }}
+ */
+export function checkDeterminism(objects, steps = Math.round(PHYSICS_CONFIG.checkSeconds / PHYSICS_CONFIG.timeStep)) {
+    const simulate = () => {
+        const world = createPhysicsWorld();
+        objects.forEach((object) => world.addBody(object, getBodyOptions(object)));
+        for (let i = 0; i < steps; i++) world.step(PHYSICS_CONFIG.timeStep);
+        return world.getBodies().flatMap((body) => [...body.position.toArray(), ...body.quaternion.toArray()]);
+    };
+    const first = simulate();
+    const second = simulate();
+    return {
+        deterministic: first.length === second.length && first.every((value, i) => Object.is(value, second[i])),
+        steps,
+        bodies: first.length / 7
+    };
+}
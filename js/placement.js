@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+import { OBJECT_TYPES } from './constants.js';
+import { getObjects } from './objects.js';
+import { buildPrimitiveGeometry, sanitizeGeometryParams } from './geometry.js';
+import { getObjectHeight, validatePosition, clampPosition } from './utils.js';
+
+/*
+ * Click-to-place: a translucent ghost of the chosen primitive follows the cursor, resting on the
+ * ground or on the top face of the object under it, or standing against a side face, and a left
+ * click adds the object there.
+ */
+
+const GHOST_COLOR = 0x007acc;
+const TOP_FACE_MIN_NORMAL_Y = 0.7; // Faces tilted less than ~45° from horizontal count as tops
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const normalMatrix = new THREE.Matrix3();
+const boxCenter = new THREE.Vector3();
+
+/**
+ * @param {HTMLElement} container - the canvas's parent; its capture-phase listeners see clicks
+ *   before selection, orbit and the gizmo do
+ * @param {Object} options
+ * @param {Function} options.getGridSize - grid step to snap to, or 0 when grid snapping is off
+ * @param {Object} [options.objectSnap] - initObjectSnap() API; its targets take priority over the grid
+ * @param {Function} options.onPlace - (type, position) when the user clicks
+ * @param {Function} options.onChange - called whenever the ghost changes (render request)
+ */
+export function initPlacement(scene, camera, container, canvas, { getGridSize, objectSnap = null, onPlace, onChange }) {
+    const material = new THREE.MeshBasicMaterial({ color: GHOST_COLOR, transparent: true, opacity: 0.4, depthWrite: false });
+    const ghost = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    ghost.name = 'PlacementGhost';
+    ghost.userData.isHelper = true;
+    ghost.visible = false;
+    scene.add(ghost);
+
+    let placing = null; // { type, height, box } while a primitive waits for its click
+    // Top-surface snap targets, gathered once rather than on every pointer move; null until needed
+    let snapTargets = null;
+
+    function getSnapTargets() {
+        if (!snapTargets) snapTargets = objectSnap.collectTargets().filter((target) => target.top);
+        return snapTargets;
+    }
+
+    /**
+     * Origin for the ghost standing against a side face: its bounding box pushed out along the
+     * face normal until it only touches the face, centered on the hit point, and no lower than
+     * the floor.
+     * @returns {THREE.Vector3|null} null when it would have to sink into the floor (faces
+     *   looking down, e.g. an overhang's underside near the ground)
+     */
+    function getSidePosition(point, normal) {
+        const { box } = placing;
+        const halfX = (box.max.x - box.min.x) / 2;
+        const halfY = (box.max.y - box.min.y) / 2;
+        const halfZ = (box.max.z - box.min.z) / 2;
+        const extent = Math.abs(normal.x) * halfX + Math.abs(normal.y) * halfY + Math.abs(normal.z) * halfZ;
+        const position = point.clone().addScaledVector(normal, extent).sub(box.getCenter(boxCenter));
+        if (position.y < placing.height) {
+            // Lifting along a face that looks down would push the ghost back into it
+            if (normal.y < 0) return null;
+            position.y = placing.height;
+        }
+        return position;
+    }
+
+    /**
+     * Where the object's origin would go for a pointer position: on top of the surface under the
+     * cursor (its bottom at the surface, via getObjectHeight) or against the side face under it,
+     * snapped and clamped to the workspace.
+     * @returns {THREE.Vector3|null} null when the cursor points at nothing to rest on
+     */
+    function getPlacementPosition(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        pointer.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+        raycaster.setFromCamera(pointer, camera);
+
+        let position = null;
+        // Only targets on top surfaces: a side face's center would leave the object half inside
+        const snapped = objectSnap && objectSnap.isActive()
+            ? objectSnap.findAtPointer(clientX, clientY, getSnapTargets())
+            : null;
+        if (snapped) {
+            position = snapped.point.clone().setY(snapped.point.y + placing.height);
+        } else {
+            const hit = raycaster.intersectObjects(getObjects().filter((obj) => obj.visible), false)[0];
+            let base = null;
+            if (hit && hit.face) {
+                normalMatrix.getNormalMatrix(hit.object.matrixWorld);
+                const normal = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+                if (normal.y >= TOP_FACE_MIN_NORMAL_Y) {
+                    base = hit.point.clone();
+                } else {
+                    // Grid snapping could pull the ghost back into the face, so it is skipped here
+                    position = getSidePosition(hit.point, normal);
+                    if (!position) return null;
+                }
+            } else {
+                // Empty space: the grid floor under the cursor
+                base = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3());
+            }
+
+            if (base) {
+                const gridSize = getGridSize();
+                if (gridSize > 0) {
+                    base.x = Math.round(base.x / gridSize) * gridSize;
+                    base.z = Math.round(base.z / gridSize) * gridSize;
+                }
+                position = base.setY(base.y + placing.height);
+            }
+            if (!position) return null;
+        }
+
+        if (objectSnap) {
+            if (snapped) objectSnap.showIndicator(snapped.point, snapped.type);
+            else objectSnap.hideIndicator();
+        }
+
+        return validatePosition(position) ? position : clampPosition(position);
+    }
+
+    function hideGhost() {
+        if (!ghost.visible) return;
+        ghost.visible = false;
+        if (objectSnap) objectSnap.hideIndicator();
+        onChange();
+    }
+
+    function start(type) {
+        const geometry = buildPrimitiveGeometry(type, sanitizeGeometryParams(type));
+        if (!geometry) return false;
+        ghost.geometry.dispose();
+        ghost.geometry = geometry;
+        // Flat shapes would vanish when seen from below
+        material.side = type === OBJECT_TYPES.PLANE || type === OBJECT_TYPES.RING ? THREE.DoubleSide : THREE.FrontSide;
+        ghost.visible = false;
+        placing = { type, height: getObjectHeight(geometry, type), box: geometry.boundingBox.clone() };
+        snapTargets = null;
+        if (objectSnap && objectSnap.isActive()) getSnapTargets();
+        canvas.style.cursor = 'crosshair';
+        onChange();
+        return true;
+    }
+
+    function cancel() {
+        if (!placing) return;
+        placing = null;
+        snapTargets = null;
+        canvas.style.cursor = 'default';
+        hideGhost();
+    }
+
+    function onPointerMove(event) {
+        if (!placing) return;
+        const position = getPlacementPosition(event.clientX, event.clientY);
+        if (!position) {
+            hideGhost();
+            return;
+        }
+        ghost.position.copy(position);
+        ghost.visible = true;
+        onChange();
+    }
+
+    // Left clicks place; other buttons still pan and orbit
+    function onPointerDown(event) {
+        if (!placing || event.button !== 0 || event.target !== canvas) return;
+        event.stopPropagation();
+        event.preventDefault();
+        const position = getPlacementPosition(event.clientX, event.clientY);
+        if (!position) return;
+
+        const { type } = placing;
+        // Shift-click keeps placing copies of the same primitive
+        if (!event.shiftKey) cancel();
+        onPlace(type, position);
+        // The new object is a surface to snap to as well
+        snapTargets = null;
+    }
+
+    container.addEventListener('pointerdown', onPointerDown, true);
+    container.addEventListener('pointermove', onPointerMove, true);
+    canvas.addEventListener('pointerleave', hideGhost);
+
+    return {
+        start,
+        cancel,
+        isActive: () => !!placing,
+        getType: () => (placing ? placing.type : null),
+        dispose: () => {
+            cancel();
+            container.removeEventListener('pointerdown', onPointerDown, true);
+            container.removeEventListener('pointermove', onPointerMove, true);
+            canvas.removeEventListener('pointerleave', hideGhost);
+            scene.remove(ghost);
+            ghost.geometry.dispose();
+            material.dispose();
+        }
+    };
+}
@@ -0,0 +1,124 @@
+import { PHYSICS_CONFIG } from './constants.js';
+import { getObjects, getRootObjects } from './objects.js';
+import { captureObjectState, applyObjectState } from './commands.js';
+import { createPhysicsWorld, getBodyOptions } from './physics.js';
+
+/*
+ * Play mode: runs the physics simulation (see physics.js) on the whole scene. Every visible
+ * top-level object with meshes is one body that falls, or stays put when marked static; lights
+ * and empty groups take no part. Pause holds the simulation, and Reset puts every object back
+ * exactly where it was before Play.
+ *
+ * The simulation always advances in PHYSICS_CONFIG.timeStep steps; frames only decide how many
+ * steps to show at once, so a scene plays out the same at any frame rate.
+ */
+
+export const PLAY_STATES = { STOPPED: 'stopped', PLAYING: 'playing', PAUSED: 'paused' };
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onStep - called after the simulation moved objects (render request)
+ * @param {Function} options.onStateChange - (state) when play mode starts, pauses, resumes or resets
+ */
+export function initPlayMode({ onStep, onStateChange }) {
+    let state = PLAY_STATES.STOPPED;
+    let world = null;
+    let snapshot = null; // Object states from before Play, for Reset
+    let frame = null;
+    let lastTime = null;
+    let accumulator = 0; // Simulated time owed to the clock but not yet stepped
+
+    function setState(next) {
+        state = next;
+        onStateChange(state);
+    }
+
+    function buildWorld() {
+        const physicsWorld = createPhysicsWorld();
+        getRootObjects().forEach((object) => {
+            if (object.visible) physicsWorld.addBody(object, getBodyOptions(object));
+        });
+        return physicsWorld;
+    }
+
+    // Advance by `steps` fixed steps and move the objects there
+    function advance(steps) {
+        for (let i = 0; i < steps; i++) world.step(PHYSICS_CONFIG.timeStep);
+        world.applyToObjects();
+        onStep();
+    }
+
+    function tick(time) {
+        frame = requestAnimationFrame(tick);
+        // The first frame after Play only starts the clock; a slow frame catches up only so far
+        const elapsed = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, PHYSICS_CONFIG.maxFrameSeconds);
+        lastTime = time;
+        accumulator += elapsed;
+        const steps = Math.floor(accumulator / PHYSICS_CONFIG.timeStep);
+        accumulator -= steps * PHYSICS_CONFIG.timeStep;
+        if (steps > 0) advance(steps);
+    }
+
+    function stopClock() {
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        lastTime = null;
+    }
+
+    // Start from the edited scene, or resume after Pause
+    function play() {
+        if (state === PLAY_STATES.PLAYING) return;
+        if (state === PLAY_STATES.STOPPED) {
+            snapshot = captureObjectState(getObjects());
+            world = buildWorld();
+            accumulator = 0;
+        }
+        frame = requestAnimationFrame(tick);
+        setState(PLAY_STATES.PLAYING);
+    }
+
+    function pause() {
+        if (state !== PLAY_STATES.PLAYING) return;
+        stopClock();
+        setState(PLAY_STATES.PAUSED);
+    }
+
+    function reset() {
+        if (state === PLAY_STATES.STOPPED) return;
+        stopClock();
+        applyObjectState(snapshot);
+        snapshot = null;
+        world = null;
+        setState(PLAY_STATES.STOPPED);
+        onStep();
+    }
+
+    /**
+     * Run `fn` with every object back in its place from before Play, e.g. to save the scene as
+     * edited rather than mid-simulation. Outside play mode it just runs `fn`.
+     */
+    function withEditState(fn) {
+        if (!snapshot) return fn();
+        const current = captureObjectState(snapshot.map((entry) => entry.object));
+        applyObjectState(snapshot);
+        try {
+            return fn();
+        } finally {
+            applyObjectState(current);
+        }
+    }
+
+    return {
+        play,
+        pause,
+        reset,
+        // Advance a paused simulation by whole steps (frame-by-frame inspection, headless runs)
+        step: (count = 1) => {
+            if (state === PLAY_STATES.PAUSED) advance(count);
+        },
+        getState: () => state,
+        isActive: () => state !== PLAY_STATES.STOPPED,
+        withEditState,
+        dispose: reset
+    };
+}
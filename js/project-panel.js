@@ -0,0 +1,86 @@
+const formatDate = (time) => new Date(time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+/**
+ * Project browser: one card per saved project with its thumbnail, name and last-modified date.
+ * Clicking a card opens the project; the card buttons rename, duplicate or delete it.
+ * The panel only renders what it is given; storage and scene changes happen in the callbacks.
+ */
+export function initProjectPanel(listElement, { onOpen, onRename, onDuplicate, onDelete }) {
+    let projects = [];
+    let currentId = null;
+
+    function createButton(label, title, handler) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'project-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            handler();
+        });
+        return button;
+    }
+
+    function createCard(project) {
+        const card = document.createElement('li');
+        card.className = 'project-card';
+        if (project.id === currentId) card.classList.add('current');
+        card.title = `Open "${project.name}"`;
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'project-thumbnail';
+        if (project.thumbnail) thumbnail.style.backgroundImage = `url("${project.thumbnail}")`;
+        card.appendChild(thumbnail);
+
+        const info = document.createElement('div');
+        info.className = 'project-info';
+        const name = document.createElement('span');
+        name.className = 'project-name';
+        name.textContent = project.name;
+        const date = document.createElement('span');
+        date.className = 'project-date';
+        date.textContent = formatDate(project.modifiedAt);
+        info.append(name, date);
+        card.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        actions.append(
+            createButton('Rename', 'Rename project', () => onRename(project)),
+            createButton('Duplicate', 'Duplicate project', () => onDuplicate(project)),
+            createButton('Delete', 'Delete project', () => onDelete(project))
+        );
+        card.appendChild(actions);
+
+        card.addEventListener('click', () => onOpen(project));
+        return card;
+    }
+
+    function render() {
+        listElement.innerHTML = '';
+        if (projects.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'project-empty';
+            empty.textContent = 'No saved projects';
+            listElement.appendChild(empty);
+            return;
+        }
+        projects.forEach((project) => listElement.appendChild(createCard(project)));
+    }
+
+    render();
+
+    return {
+        // `list` is listProjects() output; `id` marks the open project
+        setProjects: (list, id = currentId) => {
+            projects = list;
+            currentId = id;
+            render();
+        },
+        setCurrent: (id) => {
+            currentId = id;
+            render();
+        }
+    };
+}
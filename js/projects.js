@@ -0,0 +1,114 @@
+import { PROJECT_THUMBNAIL_SIZE } from './constants.js';
+import { STORES, getRecord, getAllRecords, putRecords, deleteRecords } from './storage.js';
+import { generateUUID } from './utils.js';
+
+/*
+ * Project library: named scenes stored in the browser (IndexedDB).
+ * A project is a metadata record `{ id, name, createdAt, modifiedAt, objectCount, thumbnail }`
+ * plus its serializeScene() output, kept in a separate store so listing stays cheap.
+ */
+
+const PROJECT_STORES = [STORES.PROJECTS, STORES.PROJECT_DATA];
+
+export function sanitizeProjectName(name, fallback = 'Untitled') {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, 100) : '';
+    return trimmed || fallback;
+}
+
+// Project metadata, most recently modified first
+export async function listProjects() {
+    const projects = await getAllRecords(STORES.PROJECTS);
+    return projects.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+/**
+ * @returns {Promise<{ project: Object, scene: Object }|null>} null if the project no longer exists
+ */
+export async function loadProject(id) {
+    const project = await getRecord(STORES.PROJECTS, id);
+    const data = project ? await getRecord(STORES.PROJECT_DATA, id) : null;
+    return data ? { project, scene: data.scene } : null;
+}
+
+/**
+ * Create (without an id) or overwrite a project.
+ * @param {Object} options - `{ id?, name, scene, thumbnail, objectCount }`
+ * @returns {Promise<Object>} the saved metadata
+ */
+export async function saveProject({ id, name, scene, thumbnail = '', objectCount = 0 }) {
+    const existing = id ? await getRecord(STORES.PROJECTS, id) : null;
+    const now = Date.now();
+    const project = {
+        id: existing ? existing.id : `${now}-${generateUUID()}`,
+        name: sanitizeProjectName(name, existing ? existing.name : undefined),
+        createdAt: existing ? existing.createdAt : now,
+        modifiedAt: now,
+        objectCount,
+        thumbnail
+    };
+    await putRecords({
+        [STORES.PROJECTS]: project,
+        [STORES.PROJECT_DATA]: { id: project.id, scene }
+    });
+    return project;
+}
+
+export async function renameProject(id, name) {
+    const project = await getRecord(STORES.PROJECTS, id);
+    if (!project) throw new Error('Project not found');
+    const renamed = { ...project, name: sanitizeProjectName(name, project.name), modifiedAt: Date.now() };
+    await putRecords({ [STORES.PROJECTS]: renamed });
+    return renamed;
+}
+
+// Copy a project (scene and thumbnail) under a new id
+export async function duplicateProject(id) {
+    const source = await loadProject(id);
+    if (!source) throw new Error('Project not found');
+    return saveProject({
+        name: `${source.project.name} (copy)`,
+        scene: source.scene,
+        thumbnail: source.project.thumbnail,
+        objectCount: source.project.objectCount
+    });
+}
+
+export function deleteProject(id) {
+    return deleteRecords(PROJECT_STORES, id);
+}
+
+/**
+ * Render the current view to a small JPEG data URL for the library.
+ * Selection outlines, light helpers, and the transform gizmo are hidden for the shot;
+ * the caller should request a normal render afterwards.
+ */
+export function captureThumbnail(renderer, scene, camera) {
+    const hidden = scene.children.filter((child) => child.visible && (child.userData.isHelper || child.isTransformControls));
+    hidden.forEach((child) => {
+        child.visible = false;
+    });
+
+    try {
+        renderer.render(scene, camera);
+        const source = renderer.domElement;
+        const { width, height } = PROJECT_THUMBNAIL_SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        // Crop the view to the thumbnail's aspect ratio around its center
+        const scale = Math.min(source.width / width, source.height / height);
+        const cropWidth = width * scale;
+        const cropHeight = height * scale;
+        canvas.getContext('2d').drawImage(
+            source,
+            (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+            0, 0, width, height
+        );
+        return canvas.toDataURL('image/jpeg', 0.8);
+    } finally {
+        hidden.forEach((child) => {
+            child.visible = true;
+        });
+    }
+}
@@ -3,7 +3,7 @@ import { WORKSPACE_BOUNDS } from './constants.js';
 
 export function initScene(container, requestRender) {
     const scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x222222);
+    // Background, fog and environment lighting come from the scene settings (see environment.js)
 
     // Professional camera setup with proper FOV and limits
     const width = container.clientWidth || window.innerWidth || 800;
@@ -31,27 +31,7 @@ export function initScene(container, requestRender) {
     const axesHelper = new THREE.AxesHelper(2);
     scene.add(axesHelper);
 
-    // Professional lighting setup
-    const ambientLight = new THREE.AmbientLight(0x404040, 1.2);
-    scene.add(ambientLight);
-
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1.8);
-    dirLight.position.set(5, 10, 7);
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
-    dirLight.shadow.camera.near = 0.5;
-    dirLight.shadow.camera.far = 50;
-    dirLight.shadow.camera.left = -10;
-    dirLight.shadow.camera.right = 10;
-    dirLight.shadow.camera.top = 10;
-    dirLight.shadow.camera.bottom = -10;
-    dirLight.shadow.bias = -0.0001;
-    scene.add(dirLight);
-
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.4);
-    fillLight.position.set(-5, 3, -5);
-    scene.add(fillLight);
+    // Lights are editable scene objects (see lights.js), created by the editor
 
     // Professional initial camera position: isometric-like view at mid-distance
     // x=45°, y=30° elevation, distance ~8 units (optimal for viewing 1x1x1 objects)
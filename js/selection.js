@@ -1,85 +1,147 @@
 import * as THREE from 'three';
-import { getObjects } from './objects.js';
+import { getObjects, getTopLevelObjects, getEditableParent, isAncestorOf } from './objects.js';
+import { OBJECT_TYPES } from './constants.js';
+import { getObjectBounds } from './utils.js';
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
-let selectedObject = null;
+let selectedObjects = []; // Ordered selection; last entry is the active object
 let hoveredObject = null;
 let outlinePass = null;
+let activeGroup = null; // Group entered with a double-click; clicks inside pick its direct children
+
+const SELECTION_COLOR = 0x007acc;
+const HOVER_COLOR = 0x888888;
+const MARQUEE_MIN_SIZE = 4; // Pixels before a drag counts as a marquee
+
+function isGroup(object) {
+    return !!object && object.userData.type === OBJECT_TYPES.GROUP;
+}
+
+// Resolve a raycast hit to the object a click should select: the outermost enclosing group,
+// or the direct child of the entered group when the hit lies inside it
+function resolvePick(object) {
+    const context = activeGroup && isAncestorOf(activeGroup, object) ? activeGroup : null;
+    let pick = object;
+    let parent = getEditableParent(object);
+    while (parent && parent !== context) {
+        if (isGroup(parent)) pick = parent;
+        parent = getEditableParent(parent);
+    }
+    return pick;
+}
+
+// Bounding-box outlines for selection and hover; materials are never touched,
+// so the material editor always shows (and saves) the object's real values
+function createOutlineEffect(scene) {
+    const selectionHelpers = new Map();
+    let hoverHelper = null;
+
+    const createHelper = (object, color) => {
+        if (!scene) return null;
+        const helper = new THREE.BoxHelper(object, color);
+        helper.name = 'SelectionOutline';
+        helper.userData.isHelper = true;
+        helper.raycast = () => {};
+        // Follow the object while it is dragged or edited; bounds change every frame so skip culling
+        helper.frustumCulled = false;
+        helper.onBeforeRender = () => helper.update();
+        scene.add(helper);
+        return helper;
+    };
+
+    const removeHelper = (helper) => {
+        if (!helper) return;
+        if (helper.parent) helper.parent.remove(helper);
+        helper.geometry.dispose();
+        helper.material.dispose();
+    };
 
-// Create outline effect using a simple approach
-function createOutlineEffect(renderer, scene, camera) {
-    const originalMaterials = new WeakMap();
-    
     return {
         highlight: (object) => {
-            if (!object) return;
-            
-            if (!originalMaterials.has(object)) {
-                originalMaterials.set(object, object.material);
-            }
-            
-            const outlineMaterial = object.material.clone();
-            outlineMaterial.emissive.setHex(0x007acc);
-            outlineMaterial.emissiveIntensity = 0.5;
-            object.material = outlineMaterial;
+            if (!object || selectionHelpers.has(object)) return;
+            selectionHelpers.set(object, createHelper(object, SELECTION_COLOR));
         },
-        clear: () => {
-            originalMaterials.forEach((originalMaterial, object) => {
-                if (object && object.material) {
-                    object.material = originalMaterial;
-                }
-            });
-            originalMaterials.clear();
+        unhighlight: (object) => {
+            if (!object) return;
+            removeHelper(selectionHelpers.get(object));
+            selectionHelpers.delete(object);
         },
         hover: (object) => {
-            if (hoveredObject && hoveredObject !== selectedObject) {
-                if (originalMaterials.has(hoveredObject)) {
-                    hoveredObject.material = originalMaterials.get(hoveredObject);
-                } else {
-                    hoveredObject.material.emissive.setHex(0x000000);
-                }
-            }
-            
+            removeHelper(hoverHelper);
+            hoverHelper = null;
             hoveredObject = object;
-            
-            if (object && object !== selectedObject) {
-                if (!originalMaterials.has(object)) {
-                    originalMaterials.set(object, object.material);
-                }
-                const hoverMaterial = object.material.clone();
-                hoverMaterial.emissive.setHex(0x333333);
-                hoverMaterial.emissiveIntensity = 0.3;
-                object.material = hoverMaterial;
+            if (object && !selectedObjects.includes(object)) {
+                hoverHelper = createHelper(object, HOVER_COLOR);
             }
         },
         clearHover: () => {
-            if (hoveredObject && hoveredObject !== selectedObject) {
-                if (originalMaterials.has(hoveredObject)) {
-                    hoveredObject.material = originalMaterials.get(hoveredObject);
-                } else {
-                    hoveredObject.material.emissive.setHex(0x000000);
-                }
-                hoveredObject = null;
-            }
+            removeHelper(hoverHelper);
+            hoverHelper = null;
+            hoveredObject = null;
         }
     };
 }
 
-export function initSelection(camera, canvas, transformControl, onSelectCallback, requestRender, getIsDragging, orbitControls = null) {
-    outlinePass = createOutlineEffect(null, null, camera);
-    
+export function initSelection(camera, canvas, transformControl, onSelectCallback, requestRender, getIsDragging, orbitControls = null, scene = null) {
+    outlinePass = createOutlineEffect(scene);
+
     // Track if transform controls are active to prevent raycasting interference
     let isTransformActive = false;
-    
+    // Picking is switched off while the scene can't be edited (play mode)
+    let enabled = true;
+
+    // Shared pivot the gizmo drives when more than one object is selected
+    const pivot = new THREE.Object3D();
+    pivot.name = 'SelectionPivot';
+    if (scene) scene.add(pivot);
+
+    // World matrices captured when a multi-object drag starts
+    let pivotStartMatrix = null;
+    const startMatrices = new Map();
+
+    // Marquee (box select) state
+    const marqueeElement = document.createElement('div');
+    marqueeElement.className = 'selection-marquee';
+    marqueeElement.style.display = 'none';
+    if (canvas.parentElement) canvas.parentElement.appendChild(marqueeElement);
+    let marquee = null;
+
     // Listen to transform control events to know when it's active
     if (transformControl) {
         transformControl.addEventListener('dragging-changed', (event) => {
             isTransformActive = event.value;
         });
+        transformControl.addEventListener('mouseDown', () => {
+            if (transformControl.object !== pivot) return;
+            pivot.updateMatrixWorld(true);
+            pivotStartMatrix = pivot.matrixWorld.clone();
+            startMatrices.clear();
+            getTopLevelObjects(selectedObjects).forEach((obj) => {
+                obj.updateMatrixWorld(true);
+                startMatrices.set(obj, obj.matrixWorld.clone());
+            });
+        });
+        transformControl.addEventListener('mouseUp', () => {
+            pivotStartMatrix = null;
+            startMatrices.clear();
+        });
     }
-    
+
+    function getPointerNDC(event, target) {
+        const rect = canvas.getBoundingClientRect();
+        target.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        target.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        return target;
+    }
+
     function onPointerMove(event) {
+        if (!enabled) return;
+        if (marquee) {
+            updateMarquee(event);
+            return;
+        }
+
         // Don't process hover if dragging transform or transform is active
         if (getIsDragging && getIsDragging()) {
             return;
@@ -87,18 +149,21 @@ export function initSelection(camera, canvas, transformControl, onSelectCallback
         if (isTransformActive) {
             return;
         }
-        
-        const rect = canvas.getBoundingClientRect();
-        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        getPointerNDC(event, mouse);
 
         // Hover preview - only if not dragging
         raycaster.setFromCamera(mouse, camera);
         const intersects = raycaster.intersectObjects(getObjects(), false);
-        
+
         if (intersects.length > 0) {
-            const object = intersects[0].object;
-            if (object !== hoveredObject && object !== selectedObject) {
+            const object = resolvePick(intersects[0].object);
+            if (selectedObjects.includes(object)) {
+                if (hoveredObject) {
+                    outlinePass.clearHover();
+                    requestRender();
+                }
+            } else if (object !== hoveredObject) {
                 outlinePass.hover(object);
                 canvas.style.cursor = 'pointer';
                 requestRender();
@@ -112,8 +177,8 @@ export function initSelection(camera, canvas, transformControl, onSelectCallback
 
     function onPointerDown(event) {
         // Only handle left click
-        if (event.button !== 0) return;
-        
+        if (event.button !== 0 || !enabled) return;
+
         // CRITICAL: Don't process selection if transform controls are active or dragging
         if (getIsDragging && getIsDragging()) {
             return;
@@ -121,79 +186,250 @@ export function initSelection(camera, canvas, transformControl, onSelectCallback
         if (isTransformActive) {
             return;
         }
-        
-        const rect = canvas.getBoundingClientRect();
-        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-        
+
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+
+        getPointerNDC(event, mouse);
         raycaster.setFromCamera(mouse, camera);
-        
+
         // Check all objects for selection (exclude transform controls by only checking editable objects)
         const intersects = raycaster.intersectObjects(getObjects(), false);
-        
+
         if (intersects.length > 0) {
-            const object = intersects[0].object;
-            
-            // Check if this is the currently selected object
-            if (object === selectedObject) {
-                // Clicking on selected object - keep selection, don't change
+            const hit = intersects[0].object;
+
+            // Clicking outside the entered group leaves it
+            if (activeGroup && !isAncestorOf(activeGroup, hit)) {
+                activeGroup = null;
+            }
+            const object = resolvePick(hit);
+
+            if (additive) {
+                toggleObject(object);
+            } else if (selectedObjects.length === 1 && selectedObjects[0] === object) {
+                // Clicking on the only selected object - keep selection, don't change
                 return;
+            } else {
+                setSelection([object]);
             }
-            
-            // Instant selection - select immediately on first click
-            selectObject(object);
+        } else if (additive) {
+            // Modifier + drag on empty space starts a marquee that adds to the selection
+            beginMarquee(event);
         } else {
-            // Clicked empty space - deselect
+            // Clicked empty space - deselect and leave any entered group
+            activeGroup = null;
             deselect();
         }
-        
+
         requestRender();
     }
 
-    function selectObject(object) {
-        // Prevent selection if transform is active
+    // Double-clicking a group member enters the group and selects the member inside it
+    function onDoubleClick(event) {
+        if (event.button !== 0 || !enabled) return;
         if (isTransformActive || (getIsDragging && getIsDragging())) {
             return;
         }
-        
-        if (selectedObject === object) return;
-        
-        // Clear previous selection highlight (only visual, no transform modification)
-        if (selectedObject) {
-            if (selectedObject.material && selectedObject.material.emissive !== undefined) {
-                selectedObject.material.emissive.setHex(0x000000);
-                selectedObject.material.emissiveIntensity = 0;
-            }
+
+        getPointerNDC(event, mouse);
+        raycaster.setFromCamera(mouse, camera);
+        const intersects = raycaster.intersectObjects(getObjects(), false);
+        if (intersects.length === 0) return;
+
+        const hit = intersects[0].object;
+        const pick = resolvePick(hit);
+        if (!isGroup(pick) || pick === hit) return;
+
+        activeGroup = pick;
+        setSelection([resolvePick(hit)]);
+        requestRender();
+    }
+
+    function beginMarquee(event) {
+        const rect = canvas.getBoundingClientRect();
+        marquee = {
+            startX: event.clientX - rect.left,
+            startY: event.clientY - rect.top,
+            endX: event.clientX - rect.left,
+            endY: event.clientY - rect.top,
+            orbitWasEnabled: orbitControls ? orbitControls.enabled : true
+        };
+        // Keep the camera still while the rectangle is drawn
+        if (orbitControls) orbitControls.enabled = false;
+        window.addEventListener('pointermove', onPointerMove);
+        window.addEventListener('pointerup', endMarquee);
+    }
+
+    function updateMarquee(event) {
+        const rect = canvas.getBoundingClientRect();
+        marquee.endX = Math.max(0, Math.min(rect.width, event.clientX - rect.left));
+        marquee.endY = Math.max(0, Math.min(rect.height, event.clientY - rect.top));
+
+        const left = Math.min(marquee.startX, marquee.endX);
+        const top = Math.min(marquee.startY, marquee.endY);
+        const width = Math.abs(marquee.endX - marquee.startX);
+        const height = Math.abs(marquee.endY - marquee.startY);
+
+        if (width < MARQUEE_MIN_SIZE && height < MARQUEE_MIN_SIZE) {
+            marqueeElement.style.display = 'none';
+            return;
+        }
+
+        marqueeElement.style.display = 'block';
+        marqueeElement.style.left = `${canvas.offsetLeft + left}px`;
+        marqueeElement.style.top = `${canvas.offsetTop + top}px`;
+        marqueeElement.style.width = `${width}px`;
+        marqueeElement.style.height = `${height}px`;
+    }
+
+    function endMarquee() {
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', endMarquee);
+        marqueeElement.style.display = 'none';
+
+        const { startX, startY, endX, endY, orbitWasEnabled } = marquee;
+        marquee = null;
+        if (orbitControls) orbitControls.enabled = orbitWasEnabled;
+
+        if (Math.abs(endX - startX) < MARQUEE_MIN_SIZE && Math.abs(endY - startY) < MARQUEE_MIN_SIZE) {
+            return;
+        }
+
+        const hits = getObjectsInRect(startX, startY, endX, endY);
+        if (hits.length > 0) {
+            setSelection([...selectedObjects, ...hits.filter((obj) => !selectedObjects.includes(obj))]);
+        }
+        requestRender();
+    }
+
+    // Objects whose world bounding-box center projects inside the given canvas-space rectangle
+    function getObjectsInRect(x1, y1, x2, y2) {
+        const rect = canvas.getBoundingClientRect();
+        const minX = Math.min(x1, x2);
+        const maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2);
+        const maxY = Math.max(y1, y2);
+        const box = new THREE.Box3();
+        const center = new THREE.Vector3();
+
+        return getObjects().filter((obj) => {
+            // Members of closed groups are selected through their group
+            if (!obj.visible || resolvePick(obj) !== obj) return false;
+            getObjectBounds(obj, box).getCenter(center);
+            center.project(camera);
+            if (center.z < -1 || center.z > 1) return false; // Behind the camera or clipped
+            const sx = ((center.x + 1) / 2) * rect.width;
+            const sy = ((1 - center.y) / 2) * rect.height;
+            return sx >= minX && sx <= maxX && sy >= minY && sy <= maxY;
+        });
+    }
+
+    function getSelectionCenter(target = new THREE.Vector3()) {
+        if (selectedObjects.length === 0) return target.set(0, 0, 0);
+        const box = new THREE.Box3();
+        selectedObjects.forEach((obj) => box.union(getObjectBounds(obj)));
+        return box.getCenter(target);
+    }
+
+    // Attach the gizmo to the single selected object, or to the shared pivot for multi-selection
+    function attachTransform() {
+        if (selectedObjects.length === 0) {
+            transformControl.detach();
+            transformControl.visible = false;
+            return;
         }
 
-        selectedObject = object;
-        
-        // Attach transform control (this only shows handles, doesn't modify object transform)
-        // The transform control handles are separate from the object itself
-        transformControl.attach(object);
+        if (selectedObjects.length === 1) {
+            transformControl.attach(selectedObjects[0]);
+        } else {
+            getSelectionCenter(pivot.position);
+            pivot.rotation.set(0, 0, 0);
+            pivot.scale.set(1, 1, 1);
+            pivot.updateMatrixWorld(true);
+            transformControl.attach(pivot);
+        }
         transformControl.visible = true;
-        
+
         // Set pivot to object center (industry standard)
         transformControl.setSpace('world');
-        
-        // Professional: Update OrbitControls target to object center for proper zoom behavior
-        // This ensures zoom, rotate, and pan behave around the object center
-        if (orbitControls) {
-            orbitControls.target.copy(object.position);
+    }
+
+    // Give an object a world matrix, whatever its parent's transform
+    function setWorldMatrix(obj, world) {
+        const local = world.clone();
+        if (obj.parent) {
+            obj.parent.updateMatrixWorld(true);
+            local.premultiply(obj.parent.matrixWorld.clone().invert());
         }
+        local.decompose(obj.position, obj.quaternion, obj.scale);
+        obj.updateMatrixWorld(true);
+    }
+
+    // Apply the pivot's movement since drag start to every selected object
+    function applyPivotTransform() {
+        if (!pivotStartMatrix || transformControl.object !== pivot) return false;
+
+        pivot.updateMatrixWorld(true);
+        const delta = pivot.matrixWorld.clone().multiply(pivotStartMatrix.clone().invert());
+        startMatrices.forEach((start, obj) => setWorldMatrix(obj, delta.clone().multiply(start)));
+        return true;
+    }
 
-        // Visual feedback: selection highlight (ONLY visual, no position/rotation/scale modification)
-        // We only modify the emissive property for highlighting, not the object's transform
-        if (object.material && object.material.emissive !== undefined) {
-            object.material.emissive.setHex(0x007acc);
-            object.material.emissiveIntensity = 0.6;
+    /**
+     * Apply a world-space transform (e.g. a rotation about the selection center) to the selection,
+     * the way a gizmo drag of the shared pivot does; children follow their selected parents.
+     */
+    function applySelectionTransform(matrix) {
+        getTopLevelObjects(selectedObjects).forEach((obj) => {
+            obj.updateMatrixWorld(true);
+            setWorldMatrix(obj, matrix.clone().multiply(obj.matrixWorld));
+        });
+    }
+
+    function setSelection(objects) {
+        // Prevent selection if transform is active
+        if (isTransformActive || (getIsDragging && getIsDragging())) {
+            return;
         }
 
-        // Clear hover on selection
+        const next = objects.filter((obj, index) => obj && objects.indexOf(obj) === index);
+
+        // Clear highlight on objects leaving the selection (only visual, no transform modification)
+        selectedObjects.forEach((obj) => {
+            if (!next.includes(obj)) outlinePass.unhighlight(obj);
+        });
+
         outlinePass.clearHover();
-        hoveredObject = null;
 
-        onSelectCallback(object);
+        next.forEach((obj) => {
+            if (!selectedObjects.includes(obj)) outlinePass.highlight(obj);
+        });
+
+        selectedObjects = next;
+        attachTransform();
+
+        // Professional: Update OrbitControls target to selection center for proper zoom behavior
+        if (orbitControls && selectedObjects.length > 0) {
+            if (selectedObjects.length === 1) {
+                selectedObjects[0].getWorldPosition(orbitControls.target);
+            } else {
+                getSelectionCenter(orbitControls.target);
+            }
+        }
+
+        onSelectCallback(getActive(), [...selectedObjects]);
+    }
+
+    function toggleObject(object) {
+        if (selectedObjects.includes(object)) {
+            setSelection(selectedObjects.filter((obj) => obj !== object));
+        } else {
+            setSelection([...selectedObjects, object]);
+        }
+    }
+
+    function getActive() {
+        return selectedObjects.length > 0 ? selectedObjects[selectedObjects.length - 1] : null;
     }
 
     function deselect() {
@@ -201,34 +437,62 @@ export function initSelection(camera, canvas, transformControl, onSelectCallback
         if (isTransformActive || (getIsDragging && getIsDragging())) {
             return;
         }
-        
-        if (selectedObject) {
-            if (selectedObject.material && selectedObject.material.emissive) {
-                selectedObject.material.emissive.setHex(0x000000);
-                selectedObject.material.emissiveIntensity = 0;
-            }
-        }
-        selectedObject = null;
+
+        selectedObjects.forEach((obj) => outlinePass.unhighlight(obj));
+        selectedObjects = [];
         transformControl.detach();
         transformControl.visible = false;
-        onSelectCallback(null);
+        onSelectCallback(null, []);
     }
 
     // Use pointerdown only for instant, smooth selection
     // Remove pointerup to prevent double-click issues
     canvas.addEventListener('pointerdown', onPointerDown);
     canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('dblclick', onDoubleClick);
 
     return {
-        getSelected: () => selectedObject,
+        getSelected: getActive,
+        getSelection: () => [...selectedObjects],
+        getSelectionCenter,
+        isSelected: (obj) => selectedObjects.includes(obj),
+        getActiveGroup: () => activeGroup,
         deselect,
         selectObject: (obj) => {
-            selectObject(obj);
+            setSelection(obj ? [obj] : []);
             requestRender();
         },
+        setSelection: (objects) => {
+            setSelection(objects);
+            requestRender();
+        },
+        toggleObject: (obj) => {
+            toggleObject(obj);
+            requestRender();
+        },
+        applyPivotTransform,
+        applySelectionTransform,
+        // Disabling also clears the hover highlight; the selection itself is left to the caller
+        setEnabled: (value) => {
+            enabled = !!value;
+            if (!enabled) {
+                outlinePass.clearHover();
+                canvas.style.cursor = 'default';
+                requestRender();
+            }
+        },
+        // Re-center the shared pivot after objects were moved outside the gizmo
+        refreshPivot: () => {
+            if (!pivotStartMatrix) attachTransform();
+        },
         dispose: () => {
             canvas.removeEventListener('pointerdown', onPointerDown);
             canvas.removeEventListener('pointermove', onPointerMove);
+            canvas.removeEventListener('dblclick', onDoubleClick);
+            window.removeEventListener('pointermove', onPointerMove);
+            window.removeEventListener('pointerup', endMarquee);
+            marqueeElement.remove();
+            if (pivot.parent) pivot.parent.remove(pivot);
         }
     };
 }
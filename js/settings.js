@@ -0,0 +1,151 @@
+import {
+    SCENE_UNITS,
+    DEFAULT_SCENE_UNITS,
+    ENVIRONMENT_DEFAULTS,
+    BACKGROUND_TYPES,
+    FOG_TYPES,
+    ENVIRONMENT_LIMITS,
+    ANIMATION_DEFAULTS,
+    ANIMATION_LIMITS
+} from './constants.js';
+import { safeParseNumber } from './utils.js';
+
+// Per-scene settings that are saved with the scene (as opposed to editor preferences)
+const settings = {
+    units: DEFAULT_SCENE_UNITS,
+    environment: structuredClone(ENVIRONMENT_DEFAULTS),
+    animation: { ...ANIMATION_DEFAULTS }
+};
+const changeListeners = new Set();
+
+export function getSceneSettings() {
+    return structuredClone(settings);
+}
+
+// Subscribe to settings changes (e.g. after loading a scene); returns an unsubscribe function
+export function onSceneSettingsChanged(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+function notify() {
+    changeListeners.forEach((listener) => listener(getSceneSettings()));
+}
+
+export function getSceneUnits() {
+    return settings.units;
+}
+
+export function setSceneUnits(units) {
+    if (!Object.prototype.hasOwnProperty.call(SCENE_UNITS, units)) return false;
+    settings.units = units;
+    notify();
+    return true;
+}
+
+// Millimeters per scene unit
+export function getUnitScaleToMillimeters() {
+    return SCENE_UNITS[settings.units];
+}
+
+const clamp = (value, limits) => Math.min(limits.max, Math.max(limits.min, value));
+const parseColor = (value, fallback) => {
+    const hex = typeof value === 'string' ? parseInt(value.replace('#', ''), 16) : value;
+    return Number.isInteger(hex) && hex >= 0 && hex <= 0xffffff ? hex : fallback;
+};
+
+// Apply a (possibly partial, possibly untrusted) patch on top of a complete environment
+function mergeEnvironment(base, patch) {
+    const result = structuredClone(base);
+    if (!patch || typeof patch !== 'object') return result;
+
+    const background = patch.background && typeof patch.background === 'object' ? patch.background : {};
+    if (BACKGROUND_TYPES.includes(background.type)) result.background.type = background.type;
+    ['color', 'topColor', 'bottomColor'].forEach((key) => {
+        if (background[key] !== undefined) result.background[key] = parseColor(background[key], result.background[key]);
+    });
+
+    const fog = patch.fog && typeof patch.fog === 'object' ? patch.fog : {};
+    if (FOG_TYPES.includes(fog.type)) result.fog.type = fog.type;
+    if (fog.color !== undefined) result.fog.color = parseColor(fog.color, result.fog.color);
+    ['near', 'far'].forEach((key) => {
+        if (fog[key] !== undefined) {
+            result.fog[key] = clamp(safeParseNumber(fog[key], result.fog[key]), ENVIRONMENT_LIMITS.fogDistance);
+        }
+    });
+    if (fog.density !== undefined) {
+        result.fog.density = clamp(safeParseNumber(fog.density, result.fog.density), ENVIRONMENT_LIMITS.fogDensity);
+    }
+    // Linear fog needs its far distance beyond the near one
+    if (result.fog.far <= result.fog.near) result.fog.far = result.fog.near + 1;
+
+    const envMap = patch.envMap && typeof patch.envMap === 'object' ? patch.envMap : {};
+    if (envMap.asset !== undefined) {
+        result.envMap.asset = typeof envMap.asset === 'string' && envMap.asset ? envMap.asset : null;
+        result.envMap.name = typeof envMap.name === 'string' ? envMap.name : '';
+    }
+    if (envMap.intensity !== undefined) {
+        result.envMap.intensity = clamp(safeParseNumber(envMap.intensity, result.envMap.intensity), ENVIRONMENT_LIMITS.intensity);
+    }
+    if (envMap.rotation !== undefined) {
+        result.envMap.rotation = safeParseNumber(envMap.rotation, result.envMap.rotation) % (Math.PI * 2);
+    }
+    return result;
+}
+
+export function getEnvironmentSettings() {
+    return structuredClone(settings.environment);
+}
+
+/**
+ * Change some environment settings, e.g. `{ fog: { type: 'linear' } }`.
+ * Invalid values are ignored and numbers are clamped to ENVIRONMENT_LIMITS.
+ */
+export function updateEnvironmentSettings(patch) {
+    settings.environment = mergeEnvironment(settings.environment, patch);
+    notify();
+}
+
+// Replace the whole environment (missing fields take their defaults), e.g. when loading a scene
+export function replaceEnvironmentSettings(data) {
+    settings.environment = mergeEnvironment(ENVIRONMENT_DEFAULTS, data);
+    notify();
+}
+
+// Timeline settings: whole frames per second and a duration in seconds
+function mergeAnimation(base, patch) {
+    const result = { ...base };
+    if (!patch || typeof patch !== 'object') return result;
+    if (patch.fps !== undefined) {
+        result.fps = Math.round(clamp(safeParseNumber(patch.fps, result.fps), ANIMATION_LIMITS.fps));
+    }
+    if (patch.duration !== undefined) {
+        result.duration = clamp(safeParseNumber(patch.duration, result.duration), ANIMATION_LIMITS.duration);
+    }
+    return result;
+}
+
+export function getAnimationSettings() {
+    return { ...settings.animation };
+}
+
+// Change some timeline settings, e.g. `{ fps: 24 }`; values are clamped to ANIMATION_LIMITS
+export function updateAnimationSettings(patch) {
+    settings.animation = mergeAnimation(settings.animation, patch);
+    notify();
+}
+
+// Replace the timeline settings (missing fields take their defaults), e.g. when loading a scene
+export function replaceAnimationSettings(data) {
+    settings.animation = mergeAnimation(ANIMATION_DEFAULTS, data);
+    notify();
+}
+
+// Put back a snapshot taken with getSceneSettings() (undo/redo); listeners are notified once
+export function restoreSceneSettings(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return;
+    if (Object.prototype.hasOwnProperty.call(SCENE_UNITS, snapshot.units)) settings.units = snapshot.units;
+    settings.environment = mergeEnvironment(ENVIRONMENT_DEFAULTS, snapshot.environment);
+    settings.animation = mergeAnimation(ANIMATION_DEFAULTS, snapshot.animation);
+    notify();
+}
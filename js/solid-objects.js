@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import { SOLID_OBJECTS_CONFIG } from './constants.js';
+import { getObjects, getObjectSubtree, getTopLevelObjects } from './objects.js';
+import { getMeshBox } from './utils.js';
+
+/*
+ * "Solid objects": moved objects stop at contact with other meshes and slide along them instead
+ * of passing through. Checks use world-space bounding boxes of the meshes involved; obstacle
+ * boxes are measured once when a move starts, so each step only compares boxes.
+ */
+
+const AXES = ['x', 'y', 'z'];
+const EPSILON = 1e-6; // Boxes that merely touch don't collide
+const CUE_COLOR = 0xff3b30;
+
+const boxesOverlap = (a, b) => AXES.every((axis) => a.min[axis] < b.max[axis] - EPSILON && a.max[axis] > b.min[axis] + EPSILON);
+
+// Overlap on the two axes other than `axis`, i.e. the boxes would meet moving along `axis`
+const overlapAcross = (a, b, axis) => AXES.every((other) => other === axis
+    || (a.min[other] < b.max[other] - EPSILON && a.max[other] > b.min[other] + EPSILON));
+
+// Place an object's origin at a world position, whatever its parent's transform
+function setWorldPosition(object, world) {
+    const local = world.clone();
+    if (object.parent) object.parent.worldToLocal(local);
+    object.position.copy(local);
+    object.updateMatrixWorld(true);
+}
+
+/**
+ * @param {THREE.Scene} scene - receives the blocked-motion outlines
+ * @param {Function} requestRender - for the outlines fading out after a numeric edit
+ */
+export function initSolidObjects(scene, requestRender) {
+    let enabled = false;
+    let session = null; // Moving roots and meshes, their start boxes, obstacle boxes and the offset reached
+    let cueTimer = null;
+
+    // Red outlines around whatever blocked the last step
+    const cueMaterial = new THREE.LineBasicMaterial({ color: CUE_COLOR, depthTest: false, transparent: true });
+    const cues = [];
+    function showCue(blockers) {
+        clearTimeout(cueTimer);
+        blockers.slice(0, SOLID_OBJECTS_CONFIG.maxCueOutlines).forEach((box, index) => {
+            if (!cues[index]) {
+                const helper = new THREE.Box3Helper(new THREE.Box3(), CUE_COLOR);
+                helper.material.dispose();
+                helper.material = cueMaterial;
+                helper.renderOrder = 998;
+                helper.userData.isHelper = true;
+                scene.add(helper);
+                cues.push(helper);
+            }
+            cues[index].box.copy(box);
+            cues[index].visible = true;
+        });
+        for (let i = blockers.length; i < cues.length; i++) cues[i].visible = false;
+    }
+    function hideCue() {
+        clearTimeout(cueTimer);
+        cues.forEach((helper) => { helper.visible = false; });
+    }
+
+    /**
+     * Start a move of `objects`: measures their meshes and every other visible mesh.
+     * Meshes they already overlap are left out so they can be pulled apart.
+     */
+    function begin(objects) {
+        const roots = getTopLevelObjects(objects);
+        const moving = new Set(roots.flatMap(getObjectSubtree));
+        const meshes = [...moving].filter((obj) => obj.isMesh);
+        const startBoxes = meshes.map((mesh) => getMeshBox(mesh));
+        const obstacles = getObjects()
+            .filter((obj) => obj.isMesh && obj.visible && !moving.has(obj))
+            .map((mesh) => getMeshBox(mesh))
+            .filter((box) => !startBoxes.some((start) => boxesOverlap(start, box)));
+        session = { roots, meshes, startBoxes, obstacles, offset: new THREE.Vector3() };
+    }
+
+    function end() {
+        session = null;
+        hideCue();
+    }
+
+    /**
+     * Furthest the moving boxes can go from the session's current offset towards `target`
+     * (offsets from where the move started), one axis at a time so blocked motion slides.
+     * @returns {Array<THREE.Box3>} the obstacles that stopped it
+     */
+    function sweepTo(target) {
+        let blockers = sweepAxes(target);
+        // Moving along one axis may have cleared the obstacle that stopped another
+        if (blockers.length > 0) blockers = sweepAxes(target);
+        return blockers;
+    }
+
+    function sweepAxes(target) {
+        const { startBoxes, obstacles, offset } = session;
+        const blockers = [];
+        AXES.forEach((axis) => {
+            const amount = target[axis] - offset[axis];
+            if (Math.abs(amount) < EPSILON) return;
+            const boxes = startBoxes.map((box) => box.clone().translate(offset));
+
+            // Broad phase: only obstacles within reach of this step
+            const reach = new THREE.Box3();
+            boxes.forEach((box) => reach.union(box));
+            reach.min[axis] += Math.min(0, amount);
+            reach.max[axis] += Math.max(0, amount);
+            const nearby = obstacles.filter((obstacle) => reach.intersectsBox(obstacle));
+
+            let allowed = amount;
+            let blocker = null;
+            boxes.forEach((box) => {
+                nearby.forEach((obstacle) => {
+                    if (!overlapAcross(box, obstacle, axis)) return;
+                    if (amount > 0 && obstacle.min[axis] >= box.max[axis] - EPSILON) {
+                        const gap = Math.max(0, obstacle.min[axis] - box.max[axis]);
+                        if (gap < allowed) { allowed = gap; blocker = obstacle; }
+                    } else if (amount < 0 && obstacle.max[axis] <= box.min[axis] + EPSILON) {
+                        const gap = Math.min(0, obstacle.max[axis] - box.min[axis]);
+                        if (gap > allowed) { allowed = gap; blocker = obstacle; }
+                    }
+                });
+            });
+            offset[axis] += allowed;
+            if (blocker) blockers.push(blocker);
+        });
+        return blockers;
+    }
+
+    // Obstacles the moving meshes overlap in their current pose
+    function findOverlaps() {
+        const boxes = session.meshes.map((mesh) => getMeshBox(mesh));
+        return session.obstacles.filter((obstacle) => boxes.some((box) => boxesOverlap(box, obstacle)));
+    }
+
+    const capturePose = (object) => ({
+        position: object.position.clone(),
+        quaternion: object.quaternion.clone(),
+        scale: object.scale.clone()
+    });
+    const restorePose = (object, pose) => {
+        object.position.copy(pose.position);
+        object.quaternion.copy(pose.quaternion);
+        object.scale.copy(pose.scale);
+        object.updateMatrixWorld(true);
+    };
+
+    /**
+     * Start constraining a gizmo drag of `object` (a selected object or the multi-selection pivot)
+     * that moves `moving`.
+     */
+    function beginDrag(object, moving, mode) {
+        if (!enabled) return;
+        begin(moving);
+        session.object = object;
+        session.mode = mode;
+        session.startWorld = object.getWorldPosition(new THREE.Vector3());
+        session.lastPose = capturePose(object);
+    }
+
+    /**
+     * Constrain the gizmo's latest step. Moves stop at contact; rotations and scales that would
+     * cut into a neighbor go back to the last pose that didn't.
+     * @param {Function} applyToSelection - carries the gizmo object's transform over to the selection
+     * @returns {boolean} whether the step was blocked
+     */
+    function updateDrag(applyToSelection) {
+        if (!session || !session.object) {
+            applyToSelection();
+            return false;
+        }
+        const { object } = session;
+        let blockers;
+        if (session.mode === 'translate') {
+            const target = object.getWorldPosition(new THREE.Vector3()).sub(session.startWorld);
+            blockers = sweepTo(target);
+            setWorldPosition(object, session.startWorld.clone().add(session.offset));
+            applyToSelection();
+        } else {
+            applyToSelection();
+            blockers = findOverlaps();
+            if (blockers.length > 0) {
+                restorePose(object, session.lastPose);
+                applyToSelection();
+            }
+        }
+        session.lastPose = capturePose(object);
+        if (blockers.length > 0) showCue(blockers);
+        else hideCue();
+        return blockers.length > 0;
+    }
+
+    /**
+     * Apply a numeric edit to `objects` under the same rules as a drag: `edit()` changes them,
+     * then a move is cut short at contact and any other change that causes an overlap is undone.
+     * @returns {boolean} whether the edit was blocked
+     */
+    function constrainEdit(objects, edit) {
+        if (!enabled) {
+            edit();
+            return false;
+        }
+        begin(objects);
+        const { roots } = session;
+        const before = roots.map(capturePose);
+        const startWorld = roots.map((root) => root.getWorldPosition(new THREE.Vector3()));
+        edit();
+
+        const rotatedOrScaled = roots.some((root, index) => !root.quaternion.equals(before[index].quaternion)
+            || !root.scale.equals(before[index].scale));
+        let blockers;
+        if (rotatedOrScaled) {
+            blockers = findOverlaps();
+            if (blockers.length > 0) roots.forEach((root, index) => restorePose(root, before[index]));
+        } else {
+            // Every root moves by the same world offset (updateSelectionPosition keeps it rigid); replay it as a sweep from the start
+            const target = roots[0].getWorldPosition(new THREE.Vector3()).sub(startWorld[0]);
+            roots.forEach((root, index) => restorePose(root, before[index]));
+            blockers = sweepTo(target);
+            roots.forEach((root, index) => setWorldPosition(root, startWorld[index].clone().add(session.offset)));
+        }
+        session = null;
+
+        if (blockers.length === 0) return false;
+        showCue(blockers);
+        cueTimer = setTimeout(() => {
+            hideCue();
+            requestRender();
+        }, SOLID_OBJECTS_CONFIG.cueDurationMs);
+        return true;
+    }
+
+    return {
+        isEnabled: () => enabled,
+        setEnabled: (value) => {
+            enabled = !!value;
+            if (!enabled) end();
+        },
+        beginDrag,
+        updateDrag,
+        endDrag: end,
+        constrainEdit,
+        dispose: () => {
+            end();
+            cues.forEach((helper) => {
+                scene.remove(helper);
+                helper.geometry.dispose();
+            });
+            cueMaterial.dispose();
+        }
+    };
+}
@@ -0,0 +1,86 @@
+import { STORAGE_DB_NAME } from './constants.js';
+
+// Small metadata records and their (possibly large) scene payloads live in separate stores,
+// so listing and pruning never load whole scenes. Bump DB_VERSION when adding a store.
+const DB_VERSION = 2; // 2: project library
+export const STORES = {
+    AUTOSAVES: 'autosaves',
+    AUTOSAVE_DATA: 'autosave-data',
+    PROJECTS: 'projects',
+    PROJECT_DATA: 'project-data'
+};
+
+let databasePromise = null;
+
+export function isStorageAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!isStorageAvailable()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(STORAGE_DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORES).forEach((name) => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Could not open the editor database'));
+            request.onblocked = () => reject(new Error('The editor database is in use by another tab'));
+        });
+        // Let a later call retry after a failure
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run `work` in one transaction over the named stores. `work` receives the stores by name and may
+ * return a request; the promise resolves with that request's result once the transaction commits.
+ */
+async function transact(storeNames, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = {};
+        storeNames.forEach((name) => {
+            stores[name] = transaction.objectStore(name);
+        });
+        const request = work(stores);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error || new Error('Storage request failed'));
+        transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+    });
+}
+
+// Records are plain (structured-cloneable) objects keyed by their `id`
+export function getRecord(storeName, id) {
+    return transact([storeName], 'readonly', (stores) => stores[storeName].get(id)).then((record) => record || null);
+}
+
+export function getAllRecords(storeName) {
+    return transact([storeName], 'readonly', (stores) => stores[storeName].getAll());
+}
+
+// Write one record per store atomically, e.g. `{ autosaves: meta, 'autosave-data': data }`
+export function putRecords(recordsByStore) {
+    const storeNames = Object.keys(recordsByStore);
+    return transact(storeNames, 'readwrite', (stores) => {
+        storeNames.forEach((name) => stores[name].put(recordsByStore[name]));
+    });
+}
+
+// Delete the records with this id from every named store atomically
+export function deleteRecords(storeNames, id) {
+    return transact(storeNames, 'readwrite', (stores) => {
+        storeNames.forEach((name) => stores[name].delete(id));
+    });
+}
@@ -0,0 +1,79 @@
+import * as THREE from 'three';
+
+// Material slots that accept an image texture
+export const TEXTURE_SLOTS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap'];
+
+// Only the base color map holds color data; the others are linear data textures
+const COLOR_SLOTS = ['map'];
+
+const assets = new Map(); // content hash -> image data URL
+const loader = new THREE.TextureLoader();
+const loadListeners = new Set();
+
+// 53-bit string hash (cyrb53); synchronous so scene serialization stays synchronous
+export function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+// Only inline base64 images are accepted, so loading a scene never touches the network
+export function isImageDataUrl(value) {
+    return typeof value === 'string' && /^data:image\/[a-z0-9.+-]+;base64,/i.test(value);
+}
+
+/**
+ * Store an image in the asset table.
+ * @returns {string|null} content hash used to reference the image, or null if invalid
+ */
+export function registerAsset(dataUrl) {
+    if (!isImageDataUrl(dataUrl)) return null;
+    const id = hashString(dataUrl);
+    if (!assets.has(id)) assets.set(id, dataUrl);
+    return id;
+}
+
+export function getAsset(id) {
+    return assets.get(id) || null;
+}
+
+// Subscribe to texture image loads (images decode asynchronously); returns an unsubscribe function
+export function onTextureLoaded(listener) {
+    loadListeners.add(listener);
+    return () => loadListeners.delete(listener);
+}
+
+export function createTextureFromAsset(id, slot) {
+    const dataUrl = assets.get(id);
+    if (!dataUrl) return null;
+
+    const texture = loader.load(dataUrl, () => {
+        loadListeners.forEach((listener) => listener(texture));
+    });
+    texture.userData.assetId = id;
+    texture.colorSpace = COLOR_SLOTS.includes(slot) ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.center.set(0.5, 0.5); // Rotate around the middle of the UV square
+    return texture;
+}
+
+export function readImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!file || !file.type.startsWith('image/')) {
+            reject(new Error('Not an image file'));
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Could not read image file'));
+        reader.readAsDataURL(file);
+    });
+}
@@ -0,0 +1,144 @@
+/**
+ * Timeline panel: a frame scrubber over the scene's duration with the selection's keyframes marked
+ * under it, Play/Pause and Loop. The panel owns the current frame; posing the scene for it happens
+ * in `onTimeChange(seconds)`. Playback follows the clock but only ever shows whole frames, so the
+ * frame rate setting is what the animation plays at.
+ *
+ * @param {Object} elements - scrubber (range input), keys (marker strip), timeLabel, playButton,
+ *   startButton, loopToggle (checkbox)
+ * @param {Object} options
+ * @param {Function} options.getSettings - the scene's { fps, duration }
+ * @param {Function} options.getKeyTimes - key times (seconds) to mark, e.g. the selection's
+ * @param {Function} options.onTimeChange - (seconds) after the current frame changed
+ */
+export function initTimelinePanel(elements, { getSettings, getKeyTimes, onTimeChange }) {
+    const { scrubber, keys, timeLabel, playButton, startButton, loopToggle } = elements;
+    let time = 0; // Seconds; shown and posed at the nearest frame
+    let posedTime = 0; // Last time passed to onTimeChange
+    let request = null;
+    let lastTime = null;
+    let playTime = 0; // Seconds into playback, including the part of a frame not shown yet
+
+    // Frames run from 0 to the last one, at the duration
+    const getLastFrame = () => {
+        const { fps, duration } = getSettings();
+        return Math.max(1, Math.round(duration * fps));
+    };
+    const getFrame = () => Math.min(getLastFrame(), Math.round(time * getSettings().fps));
+    const getTime = () => getFrame() / getSettings().fps;
+
+    function renderKeys(frame) {
+        const lastFrame = getLastFrame();
+        const { fps } = getSettings();
+        keys.innerHTML = '';
+        new Set(getKeyTimes().map((keyTime) => Math.round(keyTime * fps))).forEach((keyFrame) => {
+            if (keyFrame > lastFrame) return; // Keys past the duration stay in the file but off the strip
+            const mark = document.createElement('span');
+            mark.className = 'timeline-key';
+            if (keyFrame === frame) mark.classList.add('current');
+            mark.style.left = `${(keyFrame / lastFrame) * 100}%`;
+            mark.title = `Frame ${keyFrame}`;
+            mark.addEventListener('click', () => {
+                pause();
+                setFrame(keyFrame);
+            });
+            keys.appendChild(mark);
+        });
+    }
+
+    /**
+     * Redraw for the current time, settings and key times. A new frame rate or a shorter duration
+     * can move the current frame to another time; the scene is posed again for it.
+     */
+    function refresh() {
+        const lastFrame = getLastFrame();
+        const frame = getFrame();
+        scrubber.max = lastFrame;
+        scrubber.value = frame;
+        timeLabel.textContent = `Frame ${frame} / ${lastFrame} · ${getTime().toFixed(2)} s`;
+        playButton.textContent = request !== null ? 'Pause' : 'Play';
+        renderKeys(frame);
+        if (getTime() !== posedTime) {
+            posedTime = getTime();
+            onTimeChange(posedTime);
+        }
+    }
+
+    // Go to a frame and pose the scene for it, even when it is the current one
+    function setFrame(value) {
+        time = Math.max(0, Math.round(value)) / getSettings().fps;
+        posedTime = null;
+        refresh();
+    }
+
+    function tick(now) {
+        request = requestAnimationFrame(tick);
+        const elapsed = lastTime === null ? 0 : (now - lastTime) / 1000;
+        lastTime = now;
+        const { fps, duration } = getSettings();
+        playTime += elapsed;
+        if (playTime > duration) {
+            if (!loopToggle.checked) {
+                pause();
+                setFrame(getLastFrame());
+                return;
+            }
+            playTime %= duration;
+        }
+        const next = Math.floor(playTime * fps);
+        if (next !== getFrame()) setFrame(next);
+    }
+
+    // Play from the current frame; at the end without Loop, start over
+    function play() {
+        if (request !== null) return;
+        if (getFrame() >= getLastFrame() && !loopToggle.checked) setFrame(0);
+        playTime = getTime();
+        lastTime = null;
+        request = requestAnimationFrame(tick);
+        refresh();
+    }
+
+    function pause() {
+        if (request === null) return;
+        cancelAnimationFrame(request);
+        request = null;
+        refresh();
+    }
+
+    const toggle = () => (request !== null ? pause() : play());
+    const onScrub = () => {
+        pause();
+        setFrame(Number(scrubber.value));
+    };
+    const onStart = () => {
+        pause();
+        setFrame(0);
+    };
+
+    scrubber.addEventListener('input', onScrub);
+    playButton.addEventListener('click', toggle);
+    startButton.addEventListener('click', onStart);
+    refresh();
+
+    return {
+        refresh,
+        play,
+        pause,
+        toggle,
+        setFrame,
+        getFrame,
+        getTime,
+        isPlaying: () => request !== null,
+        isLooping: () => loopToggle.checked,
+        setLooping: (value) => {
+            loopToggle.checked = !!value;
+        },
+        dispose: () => {
+            pause();
+            scrubber.removeEventListener('input', onScrub);
+            playButton.removeEventListener('click', toggle);
+            startButton.removeEventListener('click', onStart);
+        }
+    };
+}
@@ -1,5 +1,6 @@
+import * as THREE from 'three';
 import { safeParseNumber, clampPosition, clampRotation, clampScale, validatePosition, validateRotation, validateScale } from './utils.js';
-import { SCALE_LIMITS, ROTATION_LIMITS } from './constants.js';
+import { SCALE_LIMITS, ROTATION_LIMITS, WORKSPACE_BOUNDS } from './constants.js';
 
 export function updateObjectPosition(object, axis, value) {
     if (!object) return;
@@ -57,3 +58,77 @@ export function updateObjectScale(object, axis, value) {
         object.scale.copy(clamped);
     }
 }
+
+/**
+ * Move a whole selection so that its center (world space) lands on the new axis value. Every object
+ * moves by the same world offset, carried into its parent's space, so objects inside rotated or
+ * scaled groups still move along the world axis. The offset is cut short so that no object leaves
+ * the workspace, which keeps the selection's layout intact.
+ */
+export function updateSelectionPosition(objects, center, axis, value) {
+    if (!objects || objects.length === 0) return;
+    const parsed = safeParseNumber(value, center[axis] ?? 0);
+    const starts = objects.map((object) => object.getWorldPosition(new THREE.Vector3()));
+
+    const key = axis.toUpperCase();
+    const lowest = Math.max(...starts.map((start) => WORKSPACE_BOUNDS[`min${key}`] - start[axis]));
+    const highest = Math.min(...starts.map((start) => WORKSPACE_BOUNDS[`max${key}`] - start[axis]));
+    const delta = Math.min(highest, Math.max(lowest, parsed - center[axis]));
+    if (delta === 0 || !Number.isFinite(delta)) return;
+
+    objects.forEach((object, index) => {
+        const target = starts[index].clone();
+        target[axis] += delta;
+        if (object.parent) object.parent.worldToLocal(target);
+        object.position.copy(target);
+        object.updateMatrixWorld(true);
+    });
+}
+
+// World-space `rotation` or `scale` applied about `center`
+function aboutCenter(center, matrix) {
+    return new THREE.Matrix4()
+        .makeTranslation(center.x, center.y, center.z)
+        .multiply(matrix)
+        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+}
+
+/**
+ * World transform that rotates a multi-selection about its center so the active object gets the
+ * typed rotation, as rotating the shared pivot with the gizmo would.
+ */
+export function getSelectionRotation(active, center, axis, degValue) {
+    const probe = new THREE.Object3D();
+    probe.rotation.copy(active.rotation);
+    updateObjectRotationDeg(probe, axis, degValue);
+
+    // The change in the active object's parent space, expressed in world space
+    const change = probe.quaternion.clone().multiply(active.quaternion.clone().invert());
+    const parentRotation = active.parent ? active.parent.getWorldQuaternion(new THREE.Quaternion()) : new THREE.Quaternion();
+    const worldChange = parentRotation.clone().multiply(change).multiply(parentRotation.invert());
+    return aboutCenter(center, new THREE.Matrix4().makeRotationFromQuaternion(worldChange));
+}
+
+/**
+ * World transform that scales a multi-selection about its center, along the active object's own
+ * axis, by the factor that takes the active object to the typed scale.
+ */
+export function getSelectionScale(active, center, axis, value) {
+    const probe = new THREE.Object3D();
+    probe.scale.copy(active.scale);
+    updateObjectScale(probe, axis, value);
+    const factor = probe.scale[axis] / active.scale[axis];
+
+    // Stretch by `factor` along the axis direction d: I + (factor - 1) d dᵀ
+    const direction = new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0)
+        .applyQuaternion(active.getWorldQuaternion(new THREE.Quaternion()));
+    const k = factor - 1;
+    const { x, y, z } = direction;
+    const stretch = new THREE.Matrix4().set(
+        1 + k * x * x, k * x * y, k * x * z, 0,
+        k * y * x, 1 + k * y * y, k * y * z, 0,
+        k * z * x, k * z * y, 1 + k * z * z, 0,
+        0, 0, 0, 1
+    );
+    return aboutCenter(center, stretch);
+}
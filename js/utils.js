@@ -6,12 +6,18 @@ export function disposeObject(object) {
     if (object.geometry) object.geometry.dispose();
 
     if (object.material) {
-        if (Array.isArray(object.material)) {
-            object.material.forEach((material) => material.dispose());
-        } else {
-            object.material.dispose();
-        }
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach((material) => {
+            // Textures are owned per material, so release them with it
+            Object.values(material).forEach((value) => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
     }
+
+    // Shadow-casting lights own a shadow map render target
+    if (object.isLight) object.dispose();
 }
 
 export function generateUUID() {
@@ -90,6 +96,41 @@ export function clampScale(scale) {
     );
 }
 
+// World bounds of an object and its descendants; objects without geometry (lights, empty groups)
+// count as a point at their world position so they can still be framed and box-selected
+export function getObjectBounds(object, target = new THREE.Box3()) {
+    target.setFromObject(object);
+    if (target.isEmpty()) {
+        const position = object.getWorldPosition(new THREE.Vector3());
+        target.set(position, position.clone());
+    }
+    return target;
+}
+
+// World bounds of one mesh's own geometry, without its children
+export function getMeshBox(mesh, target = new THREE.Box3()) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    mesh.updateWorldMatrix(true, false);
+    return target.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+}
+
+// World bounds of the editable meshes in an object's subtree; empty for lights and empty groups
+export function getMeshBounds(object, target = new THREE.Box3()) {
+    target.makeEmpty();
+    object.traverse((child) => {
+        if (child.isMesh && child.userData.isEditable) target.union(getMeshBox(child));
+    });
+    return target;
+}
+
+// Move an object by a world-space offset, whatever its parent's transform
+export function translateObjectWorld(object, offset) {
+    const world = object.getWorldPosition(new THREE.Vector3()).add(offset);
+    if (object.parent) object.parent.worldToLocal(world);
+    object.position.copy(world);
+    object.updateMatrixWorld(true);
+}
+
 // Check if two objects overlap (bounding box intersection)
 export function checkObjectOverlap(obj1, obj2) {
     const box1 = new THREE.Box3().setFromObject(obj1);
@@ -144,9 +185,8 @@ export function findNonOverlappingPosition(targetPos, object, existingObjects, g
 export function getObjectHeight(geometry, type) {
     geometry.computeBoundingBox();
     if (geometry.boundingBox) {
-        const size = new THREE.Vector3();
-        geometry.boundingBox.getSize(size);
-        return size.y / 2; // Half height for bottom alignment
+        // Distance from the origin down to the lowest point; half the height for centered shapes
+        return -geometry.boundingBox.min.y;
     }
     // Fallback: use known dimensions for standard primitives
     switch (type) {